@@ -0,0 +1,115 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { CONFIG } from './constants.js';
+
+/**
+ * API key and tenant configuration
+ * Keys come from a JSON file (API_KEYS_FILE) and/or the API_KEYS env variable.
+ *
+ * File format: {
+ *   "tenants": { "team-a": { "maxSessions": 20, "pairingsPerHour": 60, "sessionTtl": 2592000, "queuePriority": 10 } },
+ *   "keys": [{ "name": "ops", "key": "secret", "scopes": ["admin"], "tenant": "team-a" }]
+ * }
+ * Env format:  API_KEYS="secret:admin,other-secret:pair|session-delete:team-a"
+ */
+
+/**
+ * Hash an API key so raw keys are never kept in memory lookups
+ * @param {string} key - Raw API key
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashApiKey = (key) => {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const parseEnvKeys = (value) => {
+    return value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry, index) => {
+            const [key, scopes = '', tenant] = entry.split(':');
+            return {
+                name: `env-key-${index + 1}`,
+                key,
+                scopes: scopes.split('|').filter(Boolean),
+                ...(tenant && { tenant })
+            };
+        });
+};
+
+const readAccessFile = (filePath) => {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+};
+
+const accessFile = process.env.API_KEYS_FILE ? readAccessFile(process.env.API_KEYS_FILE) : {};
+
+/**
+ * Load API keys from file and env
+ * @returns {Map} - keyHash -> { name, scopes }
+ */
+export const loadApiKeys = () => {
+    const definitions = [
+        ...(accessFile.keys || []),
+        ...(process.env.API_KEYS ? parseEnvKeys(process.env.API_KEYS) : [])
+    ];
+    
+    const validScopes = Object.values(CONFIG.SCOPES);
+    const keys = new Map();
+    
+    definitions.forEach(({ key, name, scopes = [], ...rest }) => {
+        if (!key) {
+            throw new Error(`API key "${name}" has no key value`);
+        }
+        
+        const unknownScopes = scopes.filter(scope => !validScopes.includes(scope));
+        if (unknownScopes.length > 0) {
+            throw new Error(`API key "${name}" has unknown scopes: ${unknownScopes.join(', ')}`);
+        }
+        
+        keys.set(hashApiKey(key), { ...rest, name, scopes });
+    });
+    
+    return keys;
+};
+
+export const apiKeys = loadApiKeys();
+
+/**
+ * Find the API key record for a raw key
+ * @param {string} key - Raw API key
+ * @returns {Object|null} - Key record or null
+ */
+export const findApiKey = (key) => {
+    return apiKeys.get(hashApiKey(key)) || null;
+};
+
+/**
+ * Load tenant quotas from file, filled with configured defaults
+ * @returns {Map} - tenant -> { maxSessions, pairingsPerHour, sessionTtl, queuePriority }
+ */
+export const loadTenants = () => {
+    const tenants = new Map();
+    const definitions = accessFile.tenants || {};
+    
+    // Tenants referenced by keys but not declared get the defaults
+    apiKeys.forEach(({ tenant }) => {
+        if (tenant && !definitions[tenant]) {
+            definitions[tenant] = {};
+        }
+    });
+    
+    Object.entries(definitions).forEach(([name, quota]) => {
+        tenants.set(name, {
+            name,
+            maxSessions: quota.maxSessions ?? CONFIG.TENANT_DEFAULT_MAX_SESSIONS,
+            pairingsPerHour: quota.pairingsPerHour ?? CONFIG.TENANT_DEFAULT_PAIRINGS_PER_HOUR,
+            sessionTtl: quota.sessionTtl ?? CONFIG.TENANT_DEFAULT_SESSION_TTL,
+            queuePriority: quota.queuePriority ?? 0
+        });
+    });
+    
+    return tenants;
+};
+
+export const tenants = loadTenants();
@@ -1,29 +1,199 @@
 /**
  * Configuration constants for the Smart Gateway
  */
+
+// Forwarding timeouts and retries, also used to size the shutdown grace period
+const REQUEST_TIMEOUT = parseInt(process.env.REQUEST_TIMEOUT) || 30000; // 30 secondes pour pairing
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES) || 3;
+const RETRY_DELAY = 1000;
+
+// Longest a forwarded request can run: every attempt times out, with growing delays in between
+const MAX_FORWARD_DURATION = REQUEST_TIMEOUT * (MAX_RETRIES + 1) +
+    RETRY_DELAY * MAX_RETRIES * (MAX_RETRIES + 1) / 2;
+
 export const CONFIG = {
-    // Backend servers configuration
+    // Backend servers configuration ("url" or "id=url", optional ";maxSessions=N;weight=N")
+    // Servers without an explicit id are named after their host and port
+    // ("localhost-4001"), not their position: use "server-1=url" to keep the
+    // IDs of older releases.
     BACKEND_SERVERS: process.env.BACKEND_SERVERS?.split(',') || [
         'https://new-production-0876.up.railway.app',
         'https://new-production-b381.up.railway.app'
     ],
     
-    // Session management
+    // Session management (default for servers without their own maxSessions)
     MAX_SESSIONS_PER_SERVER: parseInt(process.env.MAX_SESSIONS_PER_SERVER) || 25,
     
+    // Load balancing strategy: least-connections, weighted, consistent-hash, power-of-two-choices
+    LOAD_BALANCING_STRATEGY: process.env.LOAD_BALANCING_STRATEGY || 'least-connections',
+    
     // Timeouts and intervals
-    REQUEST_TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT) || 30000, // 30 secondes pour pairing
+    REQUEST_TIMEOUT,
     HEALTH_CHECK_INTERVAL: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 10000,
     SESSION_CACHE_TTL: parseInt(process.env.SESSION_CACHE_TTL) || 5000,
+    IDEMPOTENCY_TTL: parseInt(process.env.IDEMPOTENCY_TTL) || 10 * 60 * 1000,
+    
+    // Capacity reservations: a pairing holds a slot on its backend until it
+    // completes (confirmed slots are kept until the backend lists the session)
+    RESERVATION_TIMEOUT: parseInt(process.env.RESERVATION_TIMEOUT) || 2 * 60 * 1000,
+    RESERVATION_CONFIRMED_HOLD: parseInt(process.env.RESERVATION_CONFIRMED_HOLD) || 30000,
+    
+    // Pairing queue: when every backend is full, pairings wait for a free
+    // slot instead of failing ('fifo' or 'priority' by tenant priority)
+    PAIRING_QUEUE_ENABLED: process.env.PAIRING_QUEUE_ENABLED === 'true',
+    PAIRING_QUEUE_MAX_SIZE: parseInt(process.env.PAIRING_QUEUE_MAX_SIZE) || 100,
+    PAIRING_QUEUE_TIMEOUT: parseInt(process.env.PAIRING_QUEUE_TIMEOUT) || 60000,
+    PAIRING_QUEUE_ORDER: process.env.PAIRING_QUEUE_ORDER || 'fifo',
+    PAIRING_QUEUE_POLL_INTERVAL: parseInt(process.env.PAIRING_QUEUE_POLL_INTERVAL) || 2000,
+    
+    // Pairing status tracking
+    PAIRING_CODE_TTL: parseInt(process.env.PAIRING_CODE_TTL) || 3 * 60 * 1000,
+    PAIRING_STATUS_RETENTION: parseInt(process.env.PAIRING_STATUS_RETENTION) || 60 * 60 * 1000,
+    
+    // Session proxy (/s/:sessionId/*): backend paths clients may call on the
+    // backend owning a session, as "[METHOD|METHOD ]/path" with :sessionId
+    // (must be the proxied session) and a trailing * wildcard, comma separated.
+    // Empty means nothing is proxied.
+    PROXY_ALLOWED_PATHS: process.env.PROXY_ALLOWED_PATHS?.split(',').map(entry => entry.trim()).filter(Boolean) || [],
+    
+    // Size limits of forwarded bodies in bytes (client uploads and backend responses)
+    FORWARD_MAX_REQUEST_SIZE: parseInt(process.env.FORWARD_MAX_REQUEST_SIZE) || 25 * 1024 * 1024,
+    FORWARD_MAX_RESPONSE_SIZE: parseInt(process.env.FORWARD_MAX_RESPONSE_SIZE) || 25 * 1024 * 1024,
+    
+    // Server registry ('file' or 'memory'), persists runtime server changes.
+    // Once the file exists it replaces BACKEND_SERVERS (a warning is logged
+    // when the two differ). With 'memory' runtime changes are lost on restart.
+    SERVER_REGISTRY: process.env.SERVER_REGISTRY || 'file',
+    SERVER_REGISTRY_PATH: process.env.SERVER_REGISTRY_PATH || './data/servers.json',
+    
+    // Latency tracking and latency-aware routing
+    LATENCY_WINDOW_SIZE: parseInt(process.env.LATENCY_WINDOW_SIZE) || 200,
+    LATENCY_WINDOW_MS: parseInt(process.env.LATENCY_WINDOW_MS) || 5 * 60 * 1000,
+    LATENCY_MIN_SAMPLES: parseInt(process.env.LATENCY_MIN_SAMPLES) || 5,
+    LATENCY_AWARE_ROUTING: process.env.LATENCY_AWARE_ROUTING === 'true',
+    LATENCY_SLOW_FACTOR: parseFloat(process.env.LATENCY_SLOW_FACTOR) || 2,
+    
+    // Circuit breaker (per backend)
+    CIRCUIT_BREAKER_WINDOW_MS: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS) || 60000,
+    CIRCUIT_BREAKER_FAILURE_RATE: parseFloat(process.env.CIRCUIT_BREAKER_FAILURE_RATE) || 0.5,
+    CIRCUIT_BREAKER_MIN_REQUESTS: parseInt(process.env.CIRCUIT_BREAKER_MIN_REQUESTS) || 5,
+    CIRCUIT_BREAKER_COOLDOWN_MS: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 30000,
+    CIRCUIT_BREAKER_HALF_OPEN_TRIALS: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_TRIALS) || 1,
+    CIRCUIT_BREAKER_SUCCESS_THRESHOLD: parseInt(process.env.CIRCUIT_BREAKER_SUCCESS_THRESHOLD) || 3,
+    
+    // Failover: release sessions of backends unhealthy for longer than FAILOVER_AFTER
+    FAILOVER_ENABLED: process.env.FAILOVER_ENABLED !== 'false',
+    FAILOVER_AFTER: parseInt(process.env.FAILOVER_AFTER) || 5 * 60 * 1000,
+    FAILOVER_HISTORY_LIMIT: parseInt(process.env.FAILOVER_HISTORY_LIMIT) || 50,
+    
+    // Session listing pagination
+    SESSION_LIST_DEFAULT_LIMIT: parseInt(process.env.SESSION_LIST_DEFAULT_LIMIT) || 50,
+    SESSION_LIST_MAX_LIMIT: parseInt(process.env.SESSION_LIST_MAX_LIMIT) || 500,
+    
+    // Bulk session operations
+    BULK_MAX_SESSIONS: parseInt(process.env.BULK_MAX_SESSIONS) || 500,
+    BULK_DELETE_CONCURRENCY: parseInt(process.env.BULK_DELETE_CONCURRENCY) || 5,
+    
+    // Rebalancing
+    REBALANCE_PLAN_TTL: parseInt(process.env.REBALANCE_PLAN_TTL) || 10 * 60 * 1000,
+    REBALANCE_CONCURRENCY: parseInt(process.env.REBALANCE_CONCURRENCY) || 3,
+    
+    // Webhooks ('memory' or 'file' subscription store)
+    WEBHOOK_STORE: process.env.WEBHOOK_STORE || 'memory',
+    WEBHOOK_STORE_PATH: process.env.WEBHOOK_STORE_PATH || './data/webhooks.json',
+    WEBHOOK_TIMEOUT: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000,
+    WEBHOOK_MAX_ATTEMPTS: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+    WEBHOOK_RETRY_BASE_DELAY: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 1000,
+    WEBHOOK_DEAD_LETTER_LIMIT: parseInt(process.env.WEBHOOK_DEAD_LETTER_LIMIT) || 500,
+    
+    // Shared state for several gateway replicas ('memory' or 'redis')
+    SHARED_STATE: process.env.SHARED_STATE || 'memory',
+    SHARED_STATE_URL: process.env.SHARED_STATE_URL || 'redis://localhost:6379',
+    SHARED_STATE_PREFIX: process.env.SHARED_STATE_PREFIX || 'gateway:',
+    SHARED_STATE_SYNC_INTERVAL: parseInt(process.env.SHARED_STATE_SYNC_INTERVAL) || 5000,
+    INSTANCE_ID: process.env.INSTANCE_ID || null, // defaults to hostname-pid
+    
+    // Session store ('memory', 'file' or 'shared')
+    SESSION_STORE: process.env.SESSION_STORE || (process.env.SHARED_STATE === 'redis' ? 'shared' : 'memory'),
+    SESSION_STORE_PATH: process.env.SESSION_STORE_PATH || './data/sessions.json',
+    SESSION_RECONCILE_GRACE: parseInt(process.env.SESSION_RECONCILE_GRACE) || 60000,
+    
+    // Metrics snapshot ('memory' or 'file'), saved on shutdown and restored on startup
+    METRICS_STORE: process.env.METRICS_STORE || 'memory',
+    METRICS_STORE_PATH: process.env.METRICS_STORE_PATH || './data/metrics.json',
+    
+    // Graceful shutdown: time allowed for in-flight requests once draining starts
+    // (by default long enough for a pairing going through every retry)
+    SHUTDOWN_GRACE_PERIOD: parseInt(process.env.SHUTDOWN_GRACE_PERIOD) || MAX_FORWARD_DURATION + 5000,
+    SHUTDOWN_RETRY_AFTER: parseInt(process.env.SHUTDOWN_RETRY_AFTER) || 30, // seconds
+    
+    // Cross-backend reconciliation job (duplicate policy: 'report' or 'keep-mapped')
+    RECONCILE_ENABLED: process.env.RECONCILE_ENABLED !== 'false',
+    RECONCILE_INTERVAL: parseInt(process.env.RECONCILE_INTERVAL) || 10 * 60 * 1000,
+    RECONCILE_DUPLICATE_POLICY: process.env.RECONCILE_DUPLICATE_POLICY || 'report',
     
     // Retry configuration
-    MAX_RETRIES: parseInt(process.env.MAX_RETRIES) || 3,
-    RETRY_DELAY: 1000,
+    MAX_RETRIES,
+    RETRY_DELAY,
+    
+    // Tenant quota defaults (0 = unlimited)
+    TENANT_DEFAULT_MAX_SESSIONS: parseInt(process.env.TENANT_DEFAULT_MAX_SESSIONS) || 0,
+    TENANT_DEFAULT_PAIRINGS_PER_HOUR: parseInt(process.env.TENANT_DEFAULT_PAIRINGS_PER_HOUR) || 0,
+    TENANT_DEFAULT_SESSION_TTL: parseInt(process.env.TENANT_DEFAULT_SESSION_TTL) || 0, // seconds, 0 = never expires
+    
+    // Session expiry (SESSION_MAX_TTL in seconds like the ttl parameter)
+    SESSION_MAX_TTL: parseInt(process.env.SESSION_MAX_TTL) || 365 * 24 * 60 * 60,
+    SESSION_EXPIRY_CHECK_INTERVAL: parseInt(process.env.SESSION_EXPIRY_CHECK_INTERVAL) || 60000,
+    SESSION_EXPIRY_WARNING: parseInt(process.env.SESSION_EXPIRY_WARNING) || 60 * 60 * 1000,
+    
+    // API key scopes (admin grants every scope)
+    SCOPES: {
+        PAIR: 'pair',
+        SESSION_DELETE: 'session-delete',
+        READ_MONITORING: 'read-monitoring',
+        SESSION_PROXY: 'session-proxy',
+        ADMIN: 'admin'
+    },
     
     // Server status
     STATUS: {
         HEALTHY: 'healthy',
         UNHEALTHY: 'unhealthy',
         FULL: 'full'
+    },
+    
+    // Gateway events (webhooks, SSE stream)
+    EVENTS: {
+        SESSION_PAIRED: 'session.paired',
+        PAIRING_FAILED: 'pairing.failed',
+        SESSION_DELETED: 'session.deleted',
+        SESSION_DELETE_FAILED: 'session.delete_failed',
+        SERVER_UNHEALTHY: 'server.unhealthy',
+        SERVER_FULL: 'server.full',
+        SERVER_RECOVERED: 'server.recovered',
+        SERVER_SESSIONS_CHANGED: 'server.sessions_changed',
+        SERVER_FAILOVER: 'server.failover',
+        SESSION_REPAIR_REQUIRED: 'session.repair_required',
+        SESSION_EXPIRING: 'session.expiring',
+        SESSION_EXPIRED: 'session.expired',
+        CAPACITY_CRITICAL: 'capacity.critical'
+    },
+    
+    // SSE keep-alive comment interval
+    EVENT_STREAM_HEARTBEAT: parseInt(process.env.EVENT_STREAM_HEARTBEAT) || 15000,
+    
+    // Pairing attempt states
+    PAIRING_STATE: {
+        PENDING: 'pending',
+        CONNECTED: 'connected',
+        EXPIRED: 'expired',
+        FAILED: 'failed'
+    },
+    
+    // Circuit breaker states
+    CIRCUIT: {
+        CLOSED: 'closed',
+        OPEN: 'open',
+        HALF_OPEN: 'half-open'
     }
 };
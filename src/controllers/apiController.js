@@ -1,149 +1,114 @@
 import { CONFIG } from '../config/constants.js';
-import { createResponse, generateCapacityRecommendations } from '../utils/helpers.js';
+import { 
+    calculateCapacityMetrics, 
+    calculateLoadPercentage, 
+    createResponse, 
+    generateCapacityRecommendations, 
+    getServerCapacity, 
+    mapWithConcurrency 
+} from '../utils/helpers.js';
 import { logger, logRequest } from '../utils/logger.js';
+import { getRequestTenant } from '../middleware/auth.js';
+import { metrics, pairingsTotal } from '../utils/metrics.js';
+import { emitGatewayEvent } from '../utils/eventBus.js';
+import { sharedState } from '../stores/sharedState.js';
 
 /**
  * API Controller
  */
 class ApiController {
-    constructor(serverManager, loadBalancer, healthMonitor) {
+    constructor(serverManager, loadBalancer, healthMonitor, tenantQuota, pairingCoordinator, pairingTracker, sessionExpiry, pairingQueue) {
         this.serverManager = serverManager;
         this.loadBalancer = loadBalancer;
         this.healthMonitor = healthMonitor;
+        this.tenantQuota = tenantQuota;
+        this.pairingCoordinator = pairingCoordinator;
+        this.pairingTracker = pairingTracker;
+        this.sessionExpiry = sessionExpiry;
+        this.pairingQueue = pairingQueue;
     }
 
     /**
      * Handle pairing request
      */
     async handlePair(req, res) {
+        let releaseQuota = null;
         try {
             const { number } = req.params;
+            const tenant = getRequestTenant(req);
+            const idempotencyKey = req.get('idempotency-key');
+            const scope = tenant || 'public';
             logRequest(req);
             
-            logger.info('Processing pair request', { number });
+            logger.info('Processing pair request', { number, tenant });
             
-            // Sélectionner le serveur backend optimal
-            let selectedServer;
-            try {
-                selectedServer = await this.loadBalancer.selectOptimalServer();
-                logger.info('Selected server for pairing', {
-                    server: selectedServer.id,
-                    serverUrl: selectedServer.url,
-                    number
-                });
-            } catch (selectionError) {
-                logger.error('Failed to select server:', {
-                    error: selectionError.message,
-                    number
-                });
-                
-                let statusCode = 503;
-                let errorMessage = 'Service unavailable';
-                
-                switch (selectionError.message) {
-                    case 'ALL_FULL':
-                        errorMessage = `All API servers are full (${CONFIG.MAX_SESSIONS_PER_SERVER}/${CONFIG.MAX_SESSIONS_PER_SERVER})`;
-                        break;
-                    case 'ALL_UNAVAILABLE':
-                        errorMessage = 'All backend servers are unavailable';
-                        break;
-                    case 'NO_ACTIVE_SERVERS':
-                        errorMessage = 'No active backend servers available';
-                        break;
+            // Replay the earlier response for a known Idempotency-Key
+            if (idempotencyKey) {
+                const cached = this.pairingCoordinator.getIdempotentResult(scope, idempotencyKey);
+                if (cached) {
+                    if (cached.number !== number) {
+                        return res.status(422).json(
+                            createResponse(false, null, 'Idempotency-Key was already used for a different number')
+                        );
+                    }
+                    
+                    logger.info('Replaying idempotent pair response', { number, idempotencyKey });
+                    pairingsTotal.inc({ result: 'replayed' });
+                    res.set('Idempotent-Replayed', 'true');
+                    return this.sendPairResult(res, cached);
                 }
-                
-                return res.status(statusCode).json(
-                    createResponse(false, null, errorMessage)
-                );
             }
             
-            // Forward request to backend
-            let backendResponse;
-            try {
-                backendResponse = await this.loadBalancer.forwardRequest(req, selectedServer);
-                logger.debug('Backend response received', {
-                    server: selectedServer.id,
-                    status: backendResponse.status,
-                    data: backendResponse.data
-                });
-                
-                // Log détaillé de la réponse
-                logger.info('Backend response structure', {
-                    server: selectedServer.id,
-                    hasOk: !!backendResponse.data?.ok,
-                    dataKeys: Object.keys(backendResponse.data || {}),
-                    fullData: backendResponse.data
-                });
-                
-            } catch (forwardError) {
-                logger.error('Failed to forward request to backend:', {
-                    server: selectedServer.id,
-                    error: forwardError.message,
-                    code: forwardError.code,
-                    number,
-                    stack: forwardError.stack
-                });
-                
-                return res.status(503).json(
-                    createResponse(false, null, `Backend server unavailable: ${forwardError.message}`)
-                );
+            // Enforce tenant quotas before touching any backend, holding a
+            // place in them until this pairing settles
+            if (tenant) {
+                const quotaCheck = this.tenantQuota.reservePairing(tenant);
+                if (!quotaCheck.allowed) {
+                    pairingsTotal.inc({ result: 'quota_rejected' });
+                    if (quotaCheck.retryAfter) {
+                        res.set('Retry-After', String(quotaCheck.retryAfter));
+                    }
+                    return res.status(429).json(
+                        createResponse(false, null, quotaCheck.error)
+                    );
+                }
+                releaseQuota = () => this.tenantQuota.releasePairing(tenant);
             }
             
-            // Check backend response
-            if (!backendResponse.data) {
-                logger.error('Backend returned empty response', {
-                    server: selectedServer.id,
-                    status: backendResponse.status
-                });
-                
-                return res.status(502).json(
-                    createResponse(false, null, 'Backend server returned empty response')
-                );
+            const ttl = this.sessionExpiry.resolveTtl(req.pairTtl, tenant);
+            
+            // Join an in-flight pairing of the same number instead of starting a second one
+            const { result: { settled, ...result }, joined } = await this.pairingCoordinator.run(
+                `${scope}:${number}`,
+                () => this.performPairing(req, number, tenant, ttl)
+            );
+            
+            // A pairing still waiting in the queue keeps its quota hold
+            if (settled && !joined && releaseQuota) {
+                settled.then(releaseQuota);
+                releaseQuota = null;
             }
             
-            // Vérifier si le backend a retourné une erreur
-            if (backendResponse.data.error) {
-                logger.error('Backend returned error:', {
-                    server: selectedServer.id,
-                    error: backendResponse.data.error,
-                    status: backendResponse.status
+            if (idempotencyKey && result.status < 500) {
+                this.pairingCoordinator.storeIdempotentResult(scope, idempotencyKey, {
+                    number,
+                    ...result
                 });
-                
-                return res.status(backendResponse.status >= 400 ? backendResponse.status : 400).json(
-                    createResponse(false, null, backendResponse.data.error)
-                );
             }
             
-            // Update server session count if pairing successful
-            if (backendResponse.data?.ok) {
-                try {
-                    const currentCount = await this.serverManager.getServerSessionCount(selectedServer.id);
-                    
-                    // Extract session ID from response - VOTRE BACKEND RETOURNE `sessionId` ou `cleanNumber`
-                    const sessionId = backendResponse.data.sessionId || backendResponse.data.cleanNumber;
-                    if (sessionId) {
-                        // Update session mapping
-                        this.serverManager.sessionMap.set(sessionId, selectedServer.id);
-                    }
-                    
-                    logger.info('Pairing successful', {
-                        server: selectedServer.id,
-                        sessionId: sessionId,
-                        code: backendResponse.data.code,
-                        newSessionCount: currentCount + 1,
-                        number
-                    });
-                } catch (updateError) {
-                    logger.warn('Failed to update session count after pairing:', {
-                        error: updateError.message,
-                        server: selectedServer.id
-                    });
-                    // Continue anyway - don't fail the request
-                }
+            if (joined) {
+                res.set('x-pairing-joined', 'true');
+            }
+            
+            pairingsTotal.inc({ 
+                result: joined ? 'joined' : (result.queued ? 'queued' : (result.status < 400 ? 'success' : 'failure'))
+            });
+            
+            if (!joined && result.status >= 400) {
+                this.recordPairingFailure(number, tenant, result);
             }
             
-            // Return backend response as-is
-            res.status(backendResponse.status).json(backendResponse.data);
+            this.sendPairResult(res, result);
             
         } catch (error) {
             logger.error('Unexpected error in pair request:', { 
@@ -160,9 +125,352 @@ class ApiController {
             res.status(500).json(
                 createResponse(false, null, errorMessage)
             );
+        } finally {
+            releaseQuota?.();
         }
     }
 
+    /**
+     * Send a pairing result (fresh or replayed)
+     * Backend responses keep their content type (JSON, images...) and safe headers.
+     * @param {Object} res - Express response object
+     * @param {Object} result - { status, body, headers, expiresAt, location }
+     */
+    sendPairResult(res, result) {
+        Object.entries(result.headers || {}).forEach(([name, value]) => {
+            res.setHeader(name, value);
+        });
+        if (result.expiresAt) {
+            res.set('x-session-expires-at', result.expiresAt);
+        }
+        // Queued pairings (202) point at their ticket
+        if (result.location) {
+            res.set('Location', result.location);
+        }
+        res.status(result.status);
+        
+        if (Buffer.isBuffer(result.body) || typeof result.body === 'string') {
+            return res.send(result.body);
+        }
+        res.json(result.body);
+    }
+
+    /**
+     * Record a failed pairing for status polling and webhooks
+     * @param {string} number - Phone number
+     * @param {string|undefined} tenant - Requesting tenant
+     * @param {Object} result - { status, body }
+     */
+    recordPairingFailure(number, tenant, result) {
+        this.pairingTracker.trackFailure({
+            number,
+            tenant,
+            error: result.body.error
+        });
+        emitGatewayEvent(CONFIG.EVENTS.PAIRING_FAILED, {
+            number,
+            tenant: tenant || null,
+            status: result.status,
+            error: result.body.error || null
+        });
+    }
+
+    /**
+     * Select a backend, forward the pairing and record the resulting session
+     * When every backend is full the pairing waits in the queue (if enabled).
+     * @param {Object} req - Express request object
+     * @param {string} number - Phone number
+     * @param {string|undefined} tenant - Requesting tenant
+     * @param {number|null} ttl - Session TTL in seconds (null = never expires)
+     * @returns {Promise<Object>} - { status, body, expiresAt }
+     */
+    async performPairing(req, number, tenant, ttl) {
+        // Re-pairs of a number with a live session go to the backend that owns it,
+        // numbers moved by a rebalance go to their planned target
+        const ownerServer = this.pairingCoordinator.findOwnerServer(number);
+        const repairTarget = this.pairingCoordinator.getRepairTarget(number);
+        
+        // Sélectionner le serveur backend optimal
+        // New sessions hold a capacity slot until the pairing settles
+        let selectedServer;
+        let reservation = null;
+        try {
+            if (ownerServer && this.isServerReachable(ownerServer)) {
+                selectedServer = ownerServer;
+            } else {
+                ({ server: selectedServer, reservation } = await this.loadBalancer.reserveServer({
+                    key: number,
+                    preferred: repairTarget
+                }));
+            }
+            logger.info('Selected server for pairing', {
+                server: selectedServer.id,
+                serverUrl: selectedServer.url,
+                number
+            });
+        } catch (selectionError) {
+            if (selectionError.message === 'ALL_FULL' && this.pairingQueue.enabled) {
+                return this.queuePairing(req, number, tenant, ttl);
+            }
+            
+            logger.error('Failed to select server:', {
+                error: selectionError.message,
+                number
+            });
+            
+            let statusCode = 503;
+            let errorMessage = 'Service unavailable';
+            
+            switch (selectionError.message) {
+                case 'ALL_FULL': {
+                    const { totalSessions, totalCapacity } = calculateCapacityMetrics(
+                        this.serverManager.getAllServers()
+                    );
+                    errorMessage = `All API servers are full (${totalSessions}/${totalCapacity})`;
+                    break;
+                }
+                case 'ALL_UNAVAILABLE':
+                    errorMessage = 'All backend servers are unavailable';
+                    break;
+                case 'NO_ACTIVE_SERVERS':
+                    errorMessage = 'No active backend servers available';
+                    break;
+            }
+            
+            return {
+                status: statusCode,
+                body: createResponse(false, null, errorMessage)
+            };
+        }
+        
+        return this.forwardPairing(req, number, tenant, ttl, selectedServer, reservation);
+    }
+
+    /**
+     * Wait in the pairing queue until a capacity slot frees up
+     * Async clients (?async=true or Prefer: respond-async) get their ticket
+     * right away and poll GET /pair-queue/:ticketId for the outcome; `settled`
+     * resolves once the ticket this request created has settled.
+     * @param {Object} req - Express request object
+     * @param {string} number - Phone number
+     * @param {string|undefined} tenant - Requesting tenant
+     * @param {number|null} ttl - Session TTL in seconds
+     * @returns {Promise<Object>} - { status, body, expiresAt } or { status: 202, queued, location, body, settled }
+     */
+    async queuePairing(req, number, tenant, ttl) {
+        const respondAsync = req.query.async === 'true' || /respond-async/i.test(req.get('prefer') || '');
+        
+        let queued;
+        try {
+            queued = this.pairingQueue.enqueue(
+                {
+                    number,
+                    tenant,
+                    priority: tenant ? this.tenantQuota.getTenant(tenant)?.queuePriority : 0
+                },
+                ({ server, reservation }) => this.forwardPairing(req, number, tenant, ttl, server, reservation)
+            );
+        } catch (error) {
+            return {
+                status: error.statusCode || 503,
+                body: createResponse(false, null, error.message)
+            };
+        }
+        
+        const { ticket, created } = queued;
+        
+        if (respondAsync) {
+            // Nobody waits on the response: record the outcome once the ticket settles
+            const settled = created && ticket.completion
+                .catch(() => ticket.result)
+                .then(result => {
+                    pairingsTotal.inc({ result: result.status < 400 ? 'success' : 'failure' });
+                    if (result.status >= 400) {
+                        this.recordPairingFailure(number, tenant, result);
+                    }
+                });
+            
+            return {
+                status: 202,
+                queued: true,
+                location: `/pair-queue/${ticket.id}`,
+                body: createResponse(true, this.pairingQueue.toView(ticket)),
+                ...(settled && { settled })
+            };
+        }
+        
+        try {
+            return await ticket.completion;
+        } catch (error) {
+            return {
+                status: error.statusCode || 503,
+                body: createResponse(false, null, error.message)
+            };
+        }
+    }
+
+    /**
+     * Forward the pairing to the selected backend and record the resulting session
+     * @param {Object} req - Express request object
+     * @param {string} number - Phone number
+     * @param {string|undefined} tenant - Requesting tenant
+     * @param {number|null} ttl - Session TTL in seconds
+     * @param {Object} selectedServer - Target backend
+     * @param {Object|null} reservation - Capacity slot held for a new session
+     * @returns {Promise<Object>} - { status, body, expiresAt }
+     */
+    async forwardPairing(req, number, tenant, ttl, selectedServer, reservation) {
+        // Forward request to backend
+        let backendResponse;
+        let payload = {};
+        try {
+            backendResponse = await this.loadBalancer.forwardRequest(req, selectedServer, 0, { reservation });
+            // A retry may have moved the pairing to another backend
+            selectedServer = backendResponse.server;
+            // Only JSON bodies describe the pairing, other content (QR images...) is passed on as-is
+            if (backendResponse.data && typeof backendResponse.data === 'object' && !Buffer.isBuffer(backendResponse.data)) {
+                payload = backendResponse.data;
+            }
+            logger.debug('Backend response received', {
+                server: selectedServer.id,
+                status: backendResponse.status,
+                contentType: backendResponse.headers['content-type'] || null
+            });
+            
+            // Log détaillé de la réponse
+            logger.info('Backend response structure', {
+                server: selectedServer.id,
+                hasOk: !!payload.ok,
+                dataKeys: Object.keys(payload),
+                fullData: payload
+            });
+            
+        } catch (forwardError) {
+            logger.error('Failed to forward request to backend:', {
+                server: selectedServer.id,
+                error: forwardError.message,
+                code: forwardError.code,
+                number,
+                stack: forwardError.stack
+            });
+            
+            await this.loadBalancer.releaseReservation(reservation, 'backend unavailable');
+            return {
+                status: forwardError.statusCode || 503,
+                body: createResponse(false, null, `Backend server unavailable: ${forwardError.message}`)
+            };
+        }
+        
+        // Check backend response
+        if (!backendResponse.data) {
+            logger.error('Backend returned empty response', {
+                server: selectedServer.id,
+                status: backendResponse.status
+            });
+            
+            await this.loadBalancer.releaseReservation(reservation, 'empty backend response');
+            return {
+                status: 502,
+                body: createResponse(false, null, 'Backend server returned empty response')
+            };
+        }
+        
+        // Vérifier si le backend a retourné une erreur
+        if (payload.error) {
+            logger.error('Backend returned error:', {
+                server: selectedServer.id,
+                error: payload.error,
+                status: backendResponse.status
+            });
+            
+            await this.loadBalancer.releaseReservation(reservation, 'backend error');
+            return {
+                status: backendResponse.status >= 400 ? backendResponse.status : 400,
+                body: createResponse(false, null, payload.error)
+            };
+        }
+        
+        // Update server session count if pairing successful
+        let expiry = {};
+        if (payload.ok) {
+            // Extract session ID from response - VOTRE BACKEND RETOURNE `sessionId` ou `cleanNumber`
+            const sessionId = payload.sessionId || payload.cleanNumber;
+            if (reservation) {
+                await this.loadBalancer.confirmReservation(reservation, sessionId);
+            }
+            
+            if (sessionId) {
+                // Update session mapping, recording the number, owning tenant and expiry
+                expiry = this.sessionExpiry.buildExpiry(ttl);
+                this.serverManager.sessionMap.set(sessionId, selectedServer.id, {
+                    number,
+                    ...(tenant && { tenant }),
+                    ...(expiry.expiresAt && { expiresAt: expiry.expiresAt, warnedAt: null })
+                });
+            }
+            
+            if (tenant) {
+                this.tenantQuota.recordPairing(tenant);
+            }
+            
+            this.pairingCoordinator.clearRepairFlag(number);
+            this.pairingTracker.trackPending({
+                number,
+                serverId: selectedServer.id,
+                code: payload.code,
+                sessionId,
+                tenant
+            });
+            
+            emitGatewayEvent(CONFIG.EVENTS.SESSION_PAIRED, {
+                sessionId: sessionId || null,
+                number,
+                serverId: selectedServer.id,
+                tenant: tenant || null
+            });
+            
+            try {
+                const currentCount = await this.serverManager.getServerSessionCount(selectedServer.id);
+                
+                logger.info('Pairing successful', {
+                    server: selectedServer.id,
+                    sessionId: sessionId,
+                    code: payload.code,
+                    newSessionCount: currentCount + 1,
+                    number,
+                    tenant
+                });
+            } catch (updateError) {
+                logger.warn('Failed to update session count after pairing:', {
+                    error: updateError.message,
+                    server: selectedServer.id
+                });
+                // Continue anyway - don't fail the request
+            }
+        } else {
+            await this.loadBalancer.releaseReservation(reservation, 'pairing not completed');
+        }
+        
+        // Return backend response as-is
+        return {
+            status: backendResponse.status,
+            body: backendResponse.data,
+            headers: backendResponse.headers,
+            expiresAt: expiry.expiresAt || null
+        };
+    }
+
+    /**
+     * Check if a server can receive a request for a session it already holds
+     * (full or draining servers still serve their own sessions)
+     * @param {Object} server - Server object
+     * @returns {boolean} - True if reachable
+     */
+    isServerReachable(server) {
+        return server.status !== CONFIG.STATUS.UNHEALTHY &&
+            this.serverManager.getBreaker(server.id).canRequest();
+    }
+
     /**
      * Delete a session (intelligent detection)
      */
@@ -173,6 +481,13 @@ class ApiController {
             
             logger.info('Processing delete session request', { sessionId });
             
+            // Tenants only see their own sessions
+            if (!this.tenantQuota.canAccessSession(getRequestTenant(req), sessionId)) {
+                return res.status(404).json(
+                    createResponse(false, null, `Session ${sessionId} not found on any backend server`)
+                );
+            }
+            
             // Find which server contains this session
             const sessionInfo = await this.serverManager.findSessionServer(sessionId);
             
@@ -256,11 +571,16 @@ class ApiController {
                 url: server.url,
                 status: server.status,
                 isActive: server.isActive,
+                draining: server.draining,
                 sessionCount: server.sessionCount,
                 lastChecked: server.lastChecked,
                 responseTime: server.responseTime,
-                loadPercentage: Math.round((server.sessionCount / CONFIG.MAX_SESSIONS_PER_SERVER) * 100),
-                mappedSessions: sessionMapInfo.sessionsPerServer[server.id] || 0
+                latency: this.serverManager.getLatencySummary(server.id),
+                maxSessions: getServerCapacity(server),
+                weight: server.weight,
+                loadPercentage: calculateLoadPercentage(server.sessionCount, getServerCapacity(server)),
+                mappedSessions: sessionMapInfo.sessionsPerServer[server.id] || 0,
+                circuitBreaker: this.serverManager.getBreaker(server.id).getState()
             }));
             
             const allHealthy = healthChecks.every(s => s.status === 'healthy');
@@ -281,6 +601,7 @@ class ApiController {
                 servers: healthChecks,
                 loadBalancer: this.loadBalancer.getStatus(),
                 healthMonitor: this.healthMonitor.getStatus(),
+                sharedState: sharedState.getStatus(),
                 sessionMapping: sessionMapInfo
             });
             
@@ -304,7 +625,14 @@ class ApiController {
                 ok: true,
                 timestamp: new Date().toISOString(),
                 ...stats,
-                sessionMapping: sessionMapInfo
+                sessionMapping: sessionMapInfo,
+                tenants: this.tenantQuota.getUsage(),
+                pairing: {
+                    ...this.pairingCoordinator.getStatus(),
+                    attempts: this.pairingTracker.getSummary()
+                },
+                expiry: this.sessionExpiry.getStatus(),
+                queue: this.pairingQueue.getStatus()
             });
             
         } catch (error) {
@@ -331,10 +659,15 @@ class ApiController {
                     url: server.url,
                     status: server.status,
                     isActive: server.isActive,
+                    draining: server.draining,
                     sessionCount: server.sessionCount,
-                    maxSessions: CONFIG.MAX_SESSIONS_PER_SERVER,
+                    maxSessions: getServerCapacity(server),
+                    weight: server.weight,
                     lastChecked: server.lastChecked,
                     mappedSessions: sessionMapInfo.sessionsPerServer[server.id] || 0,
+                    circuitBreaker: this.serverManager.getBreaker(server.id).getState(),
+                    responseTime: server.responseTime,
+                    latency: this.serverManager.getLatencySummary(server.id),
                     metadata: {
                         createdAt: server.metadata.createdAt,
                         healthChecks: server.metadata.healthChecks,
@@ -360,15 +693,15 @@ class ApiController {
             logRequest(req);
             logger.info('Fetching total sessions across all backends');
             
+            await this.loadBalancer.refreshReservations(this.serverManager.getAllServers());
             const totalSessionsData = await this.serverManager.getTotalSessions();
-            const servers = this.serverManager.getAllServers();
             const sessionMapInfo = this.serverManager.getSessionMapInfo();
             
             // Generate recommendations
             const recommendations = generateCapacityRecommendations(
                 totalSessionsData.summary.totalSessions,
                 totalSessionsData.summary.totalCapacity,
-                servers.length
+                totalSessionsData.servers
             );
             
             const response = {
@@ -378,7 +711,7 @@ class ApiController {
                 metadata: {
                     cache: '5 seconds TTL',
                     lastUpdated: new Date().toISOString(),
-                    maxSessionsPerServer: CONFIG.MAX_SESSIONS_PER_SERVER,
+                    defaultMaxSessionsPerServer: CONFIG.MAX_SESSIONS_PER_SERVER,
                     requestId: req.id || Math.random().toString(36).substr(2, 9)
                 },
                 sessionMapping: {
@@ -408,8 +741,7 @@ class ApiController {
             // Fallback to cached/stored data
             const servers = this.serverManager.getAllServers();
             const sessionMapInfo = this.serverManager.getSessionMapInfo();
-            const totalSessions = servers.reduce((sum, server) => sum + server.sessionCount, 0);
-            const totalCapacity = servers.length * CONFIG.MAX_SESSIONS_PER_SERVER;
+            const { totalSessions, totalCapacity, usedPercentage } = calculateCapacityMetrics(servers);
             
             res.status(200).json({
                 ok: true,
@@ -418,13 +750,14 @@ class ApiController {
                     totalSessions,
                     totalCapacity,
                     availableSessions: totalCapacity - totalSessions,
-                    usedPercentage: Math.round((totalSessions / totalCapacity) * 100),
+                    usedPercentage,
                     serverCount: servers.length,
                     note: 'Using cached data - real-time fetch failed'
                 },
                 servers: servers.map(server => ({
                     serverId: server.id,
                     sessionCount: server.sessionCount,
+                    maxSessions: getServerCapacity(server),
                     status: server.status,
                     isActive: server.isActive,
                     lastChecked: server.lastChecked
@@ -438,6 +771,58 @@ class ApiController {
         }
     }
 
+    /**
+     * Expose Prometheus metrics
+     */
+    async getMetrics(req, res) {
+        try {
+            res.type('text/plain; version=0.0.4').send(metrics.render());
+            
+        } catch (error) {
+            logger.error('Metrics rendering failed:', { error: error.message });
+            res.status(500).json(
+                createResponse(false, null, 'Failed to render metrics')
+            );
+        }
+    }
+
+    /**
+     * Get the state of the latest pairing of a number
+     */
+    async getPairStatus(req, res) {
+        const { number } = req.params;
+        const status = this.pairingTracker.getStatus(number, getRequestTenant(req));
+        
+        if (!status) {
+            return res.status(404).json(
+                createResponse(false, null, `No recent pairing found for ${number}`)
+            );
+        }
+        
+        res.json({
+            ok: true,
+            ...status
+        });
+    }
+
+    /**
+     * Get a queued pairing ticket (position while waiting, outcome once done)
+     */
+    async getPairQueueTicket(req, res) {
+        try {
+            const ticket = this.pairingQueue.getTicket(req.params.ticketId, getRequestTenant(req));
+            
+            res.json({
+                ok: true,
+                ...ticket
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
     /**
      * Find session location
      */
@@ -448,6 +833,13 @@ class ApiController {
             
             logger.info('Finding session location', { sessionId });
             
+            // Tenants only see their own sessions
+            if (!this.tenantQuota.canAccessSession(getRequestTenant(req), sessionId)) {
+                return res.status(404).json(
+                    createResponse(false, null, `Session ${sessionId} not found on any backend server`)
+                );
+            }
+            
             const sessionInfo = await this.serverManager.findSessionServer(sessionId);
             
             if (!sessionInfo || !sessionInfo.found) {
@@ -466,6 +858,7 @@ class ApiController {
                     status: sessionInfo.server.status
                 },
                 cached: sessionInfo.cached || false,
+                expiresAt: this.serverManager.sessionMap.getRecord(sessionId)?.expiresAt || null,
                 lastChecked: new Date().toISOString()
             });
             
@@ -481,6 +874,230 @@ class ApiController {
         }
     }
 
+    /**
+     * List sessions across all backends
+     */
+    async listSessions(req, res) {
+        try {
+            const {
+                server,
+                status,
+                prefix,
+                sort = 'sessionId',
+                order = 'asc',
+                source = 'cache'
+            } = req.query;
+            const page = parseInt(req.query.page) || 1;
+            const limit = parseInt(req.query.limit) || CONFIG.SESSION_LIST_DEFAULT_LIMIT;
+            const tenant = getRequestTenant(req);
+            
+            let sessions = await this.serverManager.getSessionListing({ live: source === 'live' });
+            
+            sessions = sessions.filter(session =>
+                (!tenant || session.tenant === tenant) &&
+                (!server || session.server.id === server) &&
+                (!status || session.status === status) &&
+                (!prefix || String(session.sessionId ?? '').startsWith(prefix) || session.number?.startsWith(prefix))
+            );
+            
+            const sortValue = {
+                sessionId: session => session.sessionId,
+                number: session => session.number || '',
+                server: session => session.server.id,
+                status: session => session.status || '',
+                lastSeen: session => session.lastSeenAt || ''
+            }[sort];
+            const direction = order === 'desc' ? -1 : 1;
+            // Backend listings may lack any of the fields
+            sessions.sort((a, b) => String(sortValue(a) ?? '').localeCompare(String(sortValue(b) ?? '')) * direction);
+            
+            const total = sessions.length;
+            
+            res.json({
+                ok: true,
+                timestamp: new Date().toISOString(),
+                source,
+                total,
+                page,
+                limit,
+                pages: Math.ceil(total / limit),
+                sessions: sessions.slice((page - 1) * limit, page * limit)
+            });
+            
+        } catch (error) {
+            logger.error('Session listing failed:', { error: error.message });
+            res.status(500).json(
+                createResponse(false, null, 'Failed to list sessions')
+            );
+        }
+    }
+
+    /**
+     * Push a session's expiry back by a TTL
+     */
+    async extendSession(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const result = this.sessionExpiry.extend(sessionId, req.body.ttl, getRequestTenant(req));
+            
+            res.json({
+                ok: true,
+                ...result
+            });
+            
+        } catch (error) {
+            logger.error('Session extension failed:', { 
+                error: error.message,
+                sessionId: req.params.sessionId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Restart a session's expiry from now
+     */
+    async renewSession(req, res) {
+        try {
+            const { sessionId } = req.params;
+            const result = this.sessionExpiry.renew(sessionId, req.body?.ttl, getRequestTenant(req));
+            
+            res.json({
+                ok: true,
+                ...result
+            });
+            
+        } catch (error) {
+            logger.error('Session renewal failed:', { 
+                error: error.message,
+                sessionId: req.params.sessionId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Locate many sessions at once
+     */
+    async bulkFindSessions(req, res) {
+        try {
+            const { sessionIds } = req.body;
+            const tenant = getRequestTenant(req);
+            logRequest(req);
+            
+            const located = await this.serverManager.locateSessions(sessionIds);
+            
+            const results = sessionIds.map(sessionId => {
+                const location = located.get(sessionId);
+                
+                // Tenants only see their own sessions
+                if (!this.tenantQuota.canAccessSession(tenant, sessionId) || !location.server) {
+                    return { sessionId, found: false, server: null };
+                }
+                
+                return {
+                    sessionId,
+                    found: location.found,
+                    ...(location.unavailable && { error: 'Owning server is unavailable' }),
+                    server: {
+                        id: location.server.id,
+                        url: location.server.url,
+                        status: location.server.status
+                    }
+                };
+            });
+            
+            res.json({
+                ok: true,
+                timestamp: new Date().toISOString(),
+                total: results.length,
+                found: results.filter(r => r.found).length,
+                results
+            });
+            
+        } catch (error) {
+            logger.error('Bulk find failed:', { error: error.message });
+            res.status(500).json(
+                createResponse(false, null, 'Failed to look up sessions')
+            );
+        }
+    }
+
+    /**
+     * Delete many sessions at once
+     */
+    async bulkDeleteSessions(req, res) {
+        try {
+            const { sessionIds } = req.body;
+            const tenant = getRequestTenant(req);
+            logRequest(req);
+            
+            logger.info('Processing bulk delete request', { sessions: sessionIds.length, tenant });
+            
+            const located = await this.serverManager.locateSessions(sessionIds);
+            
+            const settled = await mapWithConcurrency(sessionIds, CONFIG.BULK_DELETE_CONCURRENCY, async sessionId => {
+                const location = located.get(sessionId);
+                
+                if (!this.tenantQuota.canAccessSession(tenant, sessionId) || !location.server) {
+                    return { sessionId, status: 'not_found', serverId: null };
+                }
+                
+                if (location.unavailable) {
+                    return {
+                        sessionId,
+                        status: 'failed',
+                        serverId: location.server.id,
+                        error: 'Owning server is unavailable'
+                    };
+                }
+                
+                try {
+                    await this.serverManager.deleteSessionFromServer(location.server.id, sessionId);
+                    return { sessionId, status: 'deleted', serverId: location.server.id };
+                } catch (error) {
+                    return {
+                        sessionId,
+                        status: error.response?.status === 404 ? 'not_found' : 'failed',
+                        serverId: location.server.id,
+                        error: error.response?.data?.error || error.message
+                    };
+                }
+            });
+            
+            const results = settled.map((result, index) => result.value || {
+                sessionId: sessionIds[index],
+                status: 'failed',
+                serverId: null,
+                error: result.reason?.message
+            });
+            const summary = { deleted: 0, not_found: 0, failed: 0 };
+            results.forEach(result => summary[result.status]++);
+            
+            logger.info('Bulk delete finished', summary);
+            
+            res.json({
+                ok: summary.failed === 0,
+                timestamp: new Date().toISOString(),
+                total: results.length,
+                ...summary,
+                results
+            });
+            
+        } catch (error) {
+            logger.error('Bulk delete failed:', { error: error.message });
+            res.status(500).json(
+                createResponse(false, null, 'Failed to delete sessions')
+            );
+        }
+    }
+
     /**
      * Force health check on specific server
      */
@@ -536,6 +1153,153 @@ class ApiController {
             );
         }
     }
+
+    /**
+     * Register a backend server at runtime
+     */
+    async addServer(req, res) {
+        try {
+            const { id, url, maxSessions, weight } = req.body;
+            const server = await this.serverManager.addServer({ id, url, maxSessions, weight });
+            
+            // Probe the new server right away instead of waiting for the next cycle
+            const checkedServer = await this.healthMonitor.checkServer(server.id);
+            
+            res.status(201).json({
+                ok: true,
+                message: `Server ${server.id} registered`,
+                server: {
+                    id: checkedServer.id,
+                    url: checkedServer.url,
+                    status: checkedServer.status,
+                    sessionCount: checkedServer.sessionCount,
+                    maxSessions: getServerCapacity(checkedServer),
+                    weight: checkedServer.weight,
+                    draining: checkedServer.draining
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Server registration failed:', { 
+                error: error.message,
+                url: req.body.url 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Unregister a backend server
+     */
+    async removeServer(req, res) {
+        try {
+            const { serverId } = req.params;
+            const result = await this.serverManager.removeServer(serverId, {
+                force: req.query.force === 'true'
+            });
+            
+            res.json({
+                ok: true,
+                message: `Server ${serverId} removed`,
+                droppedSessions: result.droppedSessions
+            });
+            
+        } catch (error) {
+            logger.error('Server removal failed:', { 
+                error: error.message,
+                serverId: req.params.serverId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Update capacity settings of a server
+     */
+    async updateServer(req, res) {
+        try {
+            const { serverId } = req.params;
+            const { maxSessions, weight } = req.body;
+            const server = await this.serverManager.updateServer(serverId, { maxSessions, weight });
+            
+            res.json({
+                ok: true,
+                message: `Server ${serverId} updated`,
+                server: {
+                    id: server.id,
+                    status: server.status,
+                    sessionCount: server.sessionCount,
+                    maxSessions: getServerCapacity(server),
+                    weight: server.weight,
+                    loadPercentage: calculateLoadPercentage(server.sessionCount, getServerCapacity(server))
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Server update failed:', { 
+                error: error.message,
+                serverId: req.params.serverId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Put a server in draining mode (no new pairings, sessions kept)
+     */
+    async drainServer(req, res) {
+        return this.setServerDraining(req, res, true);
+    }
+
+    /**
+     * Take a server out of draining mode
+     */
+    async undrainServer(req, res) {
+        return this.setServerDraining(req, res, false);
+    }
+
+    /**
+     * Update the draining flag of a server
+     */
+    async setServerDraining(req, res, draining) {
+        try {
+            const { serverId } = req.params;
+            const server = await this.serverManager.setDraining(serverId, draining);
+            
+            res.json({
+                ok: true,
+                message: draining
+                    ? `Server ${serverId} is draining`
+                    : `Server ${serverId} accepts new pairings again`,
+                server: {
+                    id: server.id,
+                    status: server.status,
+                    isActive: server.isActive,
+                    draining: server.draining,
+                    sessionCount: server.sessionCount
+                }
+            });
+            
+        } catch (error) {
+            logger.error('Server drain update failed:', { 
+                error: error.message,
+                serverId: req.params.serverId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
 }
 
 export default ApiController;
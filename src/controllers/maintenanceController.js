@@ -0,0 +1,166 @@
+import { createResponse } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Maintenance Controller
+ * Admin operations that move or release sessions across backends
+ */
+class MaintenanceController {
+    constructor(failoverManager, rebalancer, sessionReconciler) {
+        this.failoverManager = failoverManager;
+        this.rebalancer = rebalancer;
+        this.sessionReconciler = sessionReconciler;
+    }
+
+    /**
+     * Get failover policy, candidates and history
+     */
+    async getFailoverStatus(req, res) {
+        res.json({
+            ok: true,
+            timestamp: new Date().toISOString(),
+            ...this.failoverManager.getStatus()
+        });
+    }
+
+    /**
+     * Fail over an unhealthy server immediately
+     */
+    async failoverServer(req, res) {
+        try {
+            const { serverId } = req.params;
+            const failover = await this.failoverManager.failover(serverId);
+            
+            res.json({
+                ok: true,
+                message: `Released ${failover.sessions.length} sessions of server ${serverId}`,
+                failover
+            });
+            
+        } catch (error) {
+            logger.error('Server failover failed:', { 
+                error: error.message,
+                serverId: req.params.serverId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Compute a rebalancing plan without moving anything
+     */
+    async createRebalancePlan(req, res) {
+        try {
+            const plan = this.rebalancer.createPlan({ serverId: req.body?.serverId });
+            
+            res.json({
+                ok: true,
+                dryRun: true,
+                message: plan.moves.length > 0
+                    ? `${plan.moves.length} sessions would move. Execute with POST /rebalance/execute/${plan.id}`
+                    : 'Load is already balanced, nothing to move',
+                plan
+            });
+            
+        } catch (error) {
+            logger.error('Rebalancing plan failed:', { error: error.message });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Execute a computed rebalancing plan
+     */
+    async executeRebalancePlan(req, res) {
+        try {
+            const { planId } = req.params;
+            const job = this.rebalancer.executePlan(planId, {
+                concurrency: req.body?.concurrency
+            });
+            
+            res.status(202).json({
+                ok: true,
+                message: `Rebalancing job ${job.id} started`,
+                jobId: job.id,
+                statusUrl: `/rebalance/jobs/${job.id}`
+            });
+            
+        } catch (error) {
+            logger.error('Rebalancing execution failed:', { 
+                error: error.message,
+                planId: req.params.planId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * List rebalancing jobs
+     */
+    async listRebalanceJobs(req, res) {
+        res.json({
+            ok: true,
+            timestamp: new Date().toISOString(),
+            jobs: this.rebalancer.listJobs()
+        });
+    }
+
+    /**
+     * Get progress of a rebalancing job
+     */
+    async getRebalanceJob(req, res) {
+        try {
+            res.json({
+                ok: true,
+                job: this.rebalancer.getJob(req.params.jobId)
+            });
+        } catch (error) {
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * Get reconciler status and last report
+     */
+    async getReconcileStatus(req, res) {
+        res.json({
+            ok: true,
+            timestamp: new Date().toISOString(),
+            ...this.sessionReconciler.getStatus()
+        });
+    }
+
+    /**
+     * Run a reconciliation pass now
+     */
+    async runReconcile(req, res) {
+        try {
+            const report = await this.sessionReconciler.run({ policy: req.body?.policy });
+            
+            res.json({
+                ok: true,
+                report
+            });
+            
+        } catch (error) {
+            logger.error('Session reconciliation failed:', { error: error.message });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+}
+
+export default MaintenanceController;
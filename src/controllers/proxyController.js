@@ -0,0 +1,52 @@
+import { createResponse } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+import { getRequestTenant } from '../middleware/auth.js';
+
+/**
+ * Proxy Controller
+ */
+class ProxyController {
+    constructor(sessionProxy) {
+        this.sessionProxy = sessionProxy;
+    }
+
+    /**
+     * Proxy a request to the backend owning a session
+     * /s/:sessionId/<backend path> calls <backend path> on that backend;
+     * the response is streamed back with its status and headers.
+     */
+    async proxySession(req, res) {
+        const { sessionId } = req.params;
+        // Keep the path encoded as received, the backend decodes it
+        const path = req.path.replace(/^\/s\/[^/]+/, '');
+
+        try {
+            const response = await this.sessionProxy.forward(req, sessionId, path, getRequestTenant(req));
+
+            res.status(response.status);
+            Object.entries(response.headers).forEach(([name, value]) => {
+                res.setHeader(name, value);
+            });
+
+            response.data.on('error', error => {
+                logger.warn(`Proxied response for session ${sessionId} aborted:`, { error: error.message });
+                res.destroy(error);
+            });
+            // Client went away: stop reading from the backend
+            res.once('close', () => response.data.destroy());
+            response.data.pipe(res);
+
+        } catch (error) {
+            if (res.headersSent) {
+                res.destroy(error);
+                return;
+            }
+
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+}
+
+export default ProxyController;
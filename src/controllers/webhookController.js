@@ -0,0 +1,113 @@
+import { createResponse } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Webhook Controller
+ */
+class WebhookController {
+    constructor(webhookDispatcher) {
+        this.webhookDispatcher = webhookDispatcher;
+    }
+
+    /**
+     * Register a webhook subscriber
+     */
+    async createWebhook(req, res) {
+        try {
+            const { url, events, secret, description } = req.body;
+            const subscription = await this.webhookDispatcher.subscribe({ url, events, secret, description });
+            
+            // The secret is only returned once, at creation
+            res.status(201).json({
+                ok: true,
+                message: `Webhook ${subscription.id} registered`,
+                webhook: subscription
+            });
+            
+        } catch (error) {
+            logger.error('Webhook registration failed:', { 
+                error: error.message,
+                url: req.body.url 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * List webhook subscribers
+     */
+    async listWebhooks(req, res) {
+        res.json({
+            ok: true,
+            timestamp: new Date().toISOString(),
+            webhooks: this.webhookDispatcher.listSubscriptions(),
+            status: this.webhookDispatcher.getStatus()
+        });
+    }
+
+    /**
+     * Remove a webhook subscriber
+     */
+    async deleteWebhook(req, res) {
+        try {
+            const { webhookId } = req.params;
+            await this.webhookDispatcher.unsubscribe(webhookId);
+            
+            res.json({
+                ok: true,
+                message: `Webhook ${webhookId} removed`
+            });
+            
+        } catch (error) {
+            logger.error('Webhook removal failed:', { 
+                error: error.message,
+                webhookId: req.params.webhookId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+
+    /**
+     * List failed deliveries
+     */
+    async listDeadLetters(req, res) {
+        res.json({
+            ok: true,
+            timestamp: new Date().toISOString(),
+            deadLetters: this.webhookDispatcher.getDeadLetters()
+        });
+    }
+
+    /**
+     * Redeliver a failed delivery
+     */
+    async retryDeadLetter(req, res) {
+        try {
+            const { deadLetterId } = req.params;
+            const deadLetter = this.webhookDispatcher.retryDeadLetter(deadLetterId);
+            
+            res.status(202).json({
+                ok: true,
+                message: `Redelivery of ${deadLetter.event.type} to ${deadLetter.url} scheduled`
+            });
+            
+        } catch (error) {
+            logger.error('Dead letter retry failed:', { 
+                error: error.message,
+                deadLetterId: req.params.deadLetterId 
+            });
+            
+            res.status(error.statusCode || 500).json(
+                createResponse(false, null, error.message)
+            );
+        }
+    }
+}
+
+export default WebhookController;
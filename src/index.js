@@ -1,22 +1,41 @@
+// Configuration: load .env before any module reads process.env
+// (imports are evaluated in order, ahead of the code of this file)
+import 'dotenv/config';
+
 import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
-import dotenv from 'dotenv';
-
-// Configuration
-dotenv.config();
 
 // Import modules
 import { logger } from './utils/logger.js';
-import { apiLimiter, pairLimiter, deleteSessionLimiter } from './middleware/rateLimiter.js';
-import { validatePairRequest, validateSessionIdParam, validateServerId } from './middleware/validator.js';
+import { httpRequestsTotal, httpRequestDuration } from './utils/metrics.js';
+import { apiLimiter, pairLimiter, deleteSessionLimiter, bulkSessionLimiter } from './middleware/rateLimiter.js';
+import { validatePairRequest, validateSessionIdParam, validateServerId, validateServerRegistration, validateServerUpdate, validateWebhookRegistration, validateEventFilter, validateRebalanceRequest, validateBulkSessionRequest, validateSessionListQuery, validatePairTtl, validateSessionTtlUpdate } from './middleware/validator.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
+import { requireScope, isAuthEnabled } from './middleware/auth.js';
+import { CONFIG } from './config/constants.js';
+import { sharedState } from './stores/sharedState.js';
 
 // Import services
 import ServerManager from './services/serverManager.js';
 import LoadBalancer from './services/loadBalancer.js';
 import HealthMonitor from './services/healthMonitor.js';
+import TenantQuota from './services/tenantQuota.js';
+import PairingCoordinator from './services/pairingCoordinator.js';
+import PairingTracker from './services/pairingTracker.js';
+import WebhookDispatcher from './services/webhookDispatcher.js';
+import EventStream from './services/eventStream.js';
+import FailoverManager from './services/failoverManager.js';
+import Rebalancer from './services/rebalancer.js';
+import SessionReconciler from './services/sessionReconciler.js';
+import SessionExpiry from './services/sessionExpiry.js';
+import PairingQueue from './services/pairingQueue.js';
+import SessionProxy from './services/sessionProxy.js';
+import Lifecycle from './services/lifecycle.js';
 import ApiController from './controllers/apiController.js';
+import WebhookController from './controllers/webhookController.js';
+import MaintenanceController from './controllers/maintenanceController.js';
+import ProxyController from './controllers/proxyController.js';
 
 // Initialize application
 const app = express();
@@ -25,18 +44,32 @@ const PORT = process.env.PORT || 3000;
 // Security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Proxied session routes stream their bodies to the backend untouched,
+// other parsed bodies keep their raw bytes so they are forwarded as received
+const unlessSessionProxy = (parser) => (req, res, next) =>
+    req.path.startsWith('/s/') ? next() : parser(req, res, next);
+const keepRawBody = (req, res, buffer) => {
+    req.rawBody = buffer;
+};
+app.use(unlessSessionProxy(express.json({ verify: keepRawBody })));
+app.use(unlessSessionProxy(express.urlencoded({ extended: true, verify: keepRawBody })));
 
 // Request logging middleware
 app.use((req, res, next) => {
     const start = Date.now();
+    const stopTimer = httpRequestDuration.startTimer({ method: req.method });
     
     // Generate request ID
     req.id = Math.random().toString(36).substr(2, 9);
     
     res.on('finish', () => {
         const duration = Date.now() - start;
+        
+        // Label by route pattern, not raw path, to keep cardinality bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        stopTimer({ route });
+        httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+        
         logger.info('HTTP Request', {
             requestId: req.id,
             method: req.method,
@@ -55,48 +88,240 @@ app.use((req, res, next) => {
 const serverManager = new ServerManager();
 const loadBalancer = new LoadBalancer(serverManager);
 const healthMonitor = new HealthMonitor(serverManager);
-const apiController = new ApiController(serverManager, loadBalancer, healthMonitor);
+const tenantQuota = new TenantQuota(serverManager);
+const pairingCoordinator = new PairingCoordinator(serverManager);
+const pairingTracker = new PairingTracker(serverManager);
+const sessionExpiry = new SessionExpiry(serverManager, tenantQuota);
+const pairingQueue = new PairingQueue(loadBalancer);
+const apiController = new ApiController(
+    serverManager, 
+    loadBalancer, 
+    healthMonitor, 
+    tenantQuota, 
+    pairingCoordinator,
+    pairingTracker,
+    sessionExpiry,
+    pairingQueue
+);
+const webhookDispatcher = new WebhookDispatcher();
+const webhookController = new WebhookController(webhookDispatcher);
+const eventStream = new EventStream(serverManager);
+const failoverManager = new FailoverManager(serverManager);
+const rebalancer = new Rebalancer(serverManager, pairingCoordinator);
+const sessionReconciler = new SessionReconciler(serverManager);
+const maintenanceController = new MaintenanceController(failoverManager, rebalancer, sessionReconciler);
+const lifecycle = new Lifecycle(serverManager);
+const sessionProxy = new SessionProxy(serverManager, loadBalancer, tenantQuota);
+const proxyController = new ProxyController(sessionProxy);
+
+// Restore persisted state before serving traffic
+await sharedState.connect();
+await serverManager.loadState();
+await lifecycle.loadMetrics();
+await webhookDispatcher.start();
+eventStream.start();
 
 // Start health monitoring
 healthMonitor.start();
+failoverManager.start();
+sessionReconciler.start();
+sessionExpiry.start();
+pairingQueue.start();
+
+// In-flight tracking for graceful shutdown
+app.use(lifecycle.trackRequests());
 
 // Global rate limiting
 app.use('/api/', apiLimiter);
 
+const { PAIR, SESSION_DELETE, READ_MONITORING, SESSION_PROXY, ADMIN } = CONFIG.SCOPES;
+
+// Orchestrator probes (unauthenticated)
+app.get('/live', (req, res) => {
+    res.json({ ok: true, ...lifecycle.getLiveness() });
+});
+
+app.get('/ready', (req, res) => {
+    const readiness = lifecycle.getReadiness();
+    res.status(readiness.ready ? 200 : 503).json({ ok: readiness.ready, ...readiness });
+});
+
 // API Routes
 app.get('/pair/:number', 
+    requireScope(PAIR),
+    lifecycle.rejectWhileDraining(),
     pairLimiter, 
     validatePairRequest, 
+    validatePairTtl, 
     (req, res) => apiController.handlePair(req, res)
 );
 
+app.get('/pair-status/:number',
+    requireScope(PAIR, READ_MONITORING),
+    validatePairRequest,
+    (req, res) => apiController.getPairStatus(req, res)
+);
+
+app.get('/pair-queue/:ticketId',
+    requireScope(PAIR, READ_MONITORING),
+    (req, res) => apiController.getPairQueueTicket(req, res)
+);
+
 app.delete('/delete-session/:sessionId',
+    requireScope(SESSION_DELETE),
     deleteSessionLimiter,
     validateSessionIdParam,
     (req, res) => apiController.deleteSession(req, res)
 );
 
 app.get('/find-session/:sessionId',
+    requireScope(PAIR, SESSION_DELETE, READ_MONITORING),
     validateSessionIdParam,
     (req, res) => apiController.findSession(req, res)
 );
 
-app.get('/health', (req, res) => apiController.getHealth(req, res));
-app.get('/stats', (req, res) => apiController.getStats(req, res));
-app.get('/servers', (req, res) => apiController.getServers(req, res));
-app.get('/total-sessions', (req, res) => apiController.getTotalSessions(req, res));
+app.get('/sessions',
+    requireScope(PAIR, SESSION_DELETE, READ_MONITORING),
+    validateSessionListQuery,
+    (req, res) => apiController.listSessions(req, res)
+);
+
+app.post('/sessions/extend/:sessionId',
+    requireScope(PAIR, SESSION_DELETE),
+    validateSessionIdParam,
+    validateSessionTtlUpdate(true),
+    (req, res) => apiController.extendSession(req, res)
+);
+
+app.post('/sessions/renew/:sessionId',
+    requireScope(PAIR, SESSION_DELETE),
+    validateSessionIdParam,
+    validateSessionTtlUpdate(false),
+    (req, res) => apiController.renewSession(req, res)
+);
+
+app.post('/sessions/bulk-delete',
+    requireScope(SESSION_DELETE),
+    bulkSessionLimiter,
+    validateBulkSessionRequest,
+    (req, res) => apiController.bulkDeleteSessions(req, res)
+);
+
+app.post('/sessions/bulk-find',
+    requireScope(PAIR, SESSION_DELETE, READ_MONITORING),
+    bulkSessionLimiter,
+    validateBulkSessionRequest,
+    (req, res) => apiController.bulkFindSessions(req, res)
+);
+
+// Transparent proxy to the backend owning a session (allow-listed paths only)
+app.all('/s/:sessionId/*',
+    requireScope(SESSION_PROXY),
+    validateSessionIdParam,
+    (req, res) => proxyController.proxySession(req, res)
+);
+
+app.get('/health', requireScope(READ_MONITORING), (req, res) => apiController.getHealth(req, res));
+app.get('/stats', requireScope(READ_MONITORING), (req, res) => apiController.getStats(req, res));
+app.get('/servers', requireScope(READ_MONITORING), (req, res) => apiController.getServers(req, res));
+app.get('/total-sessions', requireScope(READ_MONITORING), (req, res) => apiController.getTotalSessions(req, res));
+app.get('/metrics', requireScope(READ_MONITORING), (req, res) => apiController.getMetrics(req, res));
 
-// Admin endpoints (could be protected with authentication in production)
+app.get('/events',
+    requireScope(READ_MONITORING),
+    validateEventFilter,
+    (req, res) => eventStream.addClient(req, res)
+);
+
+// Admin endpoints
 app.post('/health/check/:serverId', 
+    requireScope(ADMIN),
     validateServerId,
     (req, res) => apiController.forceHealthCheck(req, res)
 );
 
 app.post('/servers/reset/:serverId',
+    requireScope(ADMIN),
     validateServerId,
     (req, res) => apiController.resetServer(req, res)
 );
 
+app.post('/servers',
+    requireScope(ADMIN),
+    validateServerRegistration,
+    (req, res) => apiController.addServer(req, res)
+);
+
+app.patch('/servers/:serverId',
+    requireScope(ADMIN),
+    validateServerId,
+    validateServerUpdate,
+    (req, res) => apiController.updateServer(req, res)
+);
+
+app.delete('/servers/:serverId',
+    requireScope(ADMIN),
+    validateServerId,
+    (req, res) => apiController.removeServer(req, res)
+);
+
+app.post('/servers/drain/:serverId',
+    requireScope(ADMIN),
+    validateServerId,
+    (req, res) => apiController.drainServer(req, res)
+);
+
+app.post('/servers/undrain/:serverId',
+    requireScope(ADMIN),
+    validateServerId,
+    (req, res) => apiController.undrainServer(req, res)
+);
+
+app.get('/failover', requireScope(ADMIN), (req, res) => maintenanceController.getFailoverStatus(req, res));
+
+app.post('/servers/failover/:serverId',
+    requireScope(ADMIN),
+    validateServerId,
+    (req, res) => maintenanceController.failoverServer(req, res)
+);
+
+app.post('/rebalance/plan',
+    requireScope(ADMIN),
+    validateRebalanceRequest,
+    (req, res) => maintenanceController.createRebalancePlan(req, res)
+);
+
+app.post('/rebalance/execute/:planId',
+    requireScope(ADMIN),
+    validateRebalanceRequest,
+    (req, res) => maintenanceController.executeRebalancePlan(req, res)
+);
+
+app.get('/rebalance/jobs', requireScope(ADMIN), (req, res) => maintenanceController.listRebalanceJobs(req, res));
+app.get('/rebalance/jobs/:jobId', requireScope(ADMIN), (req, res) => maintenanceController.getRebalanceJob(req, res));
+
+app.get('/reconcile', requireScope(ADMIN), (req, res) => maintenanceController.getReconcileStatus(req, res));
+app.post('/reconcile/run', requireScope(ADMIN), (req, res) => maintenanceController.runReconcile(req, res));
+
+app.post('/webhooks',
+    requireScope(ADMIN),
+    validateWebhookRegistration,
+    (req, res) => webhookController.createWebhook(req, res)
+);
+
+app.get('/webhooks', requireScope(ADMIN), (req, res) => webhookController.listWebhooks(req, res));
+app.get('/webhooks/dead-letters', requireScope(ADMIN), (req, res) => webhookController.listDeadLetters(req, res));
+
+app.post('/webhooks/dead-letters/retry/:deadLetterId',
+    requireScope(ADMIN),
+    (req, res) => webhookController.retryDeadLetter(req, res)
+);
+
+app.delete('/webhooks/:webhookId',
+    requireScope(ADMIN),
+    (req, res) => webhookController.deleteWebhook(req, res)
+);
+
 // Root endpoint
 app.get('/', (req, res) => {
     res.json({
@@ -105,20 +330,52 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         timestamp: new Date().toISOString(),
         endpoints: {
-            pairing: 'GET /pair/:number',
+            pairing: 'GET /pair/:number?ttl=seconds&async=true',
+            pairingStatus: 'GET /pair-status/:number',
+            pairingQueue: 'GET /pair-queue/:ticketId',
+            probes: {
+                liveness: 'GET /live',
+                readiness: 'GET /ready'
+            },
             sessionManagement: {
                 deleteSession: 'DELETE /delete-session/:sessionId',
-                findSession: 'GET /find-session/:sessionId'
+                findSession: 'GET /find-session/:sessionId',
+                listSessions: 'GET /sessions',
+                extendSession: 'POST /sessions/extend/:sessionId',
+                renewSession: 'POST /sessions/renew/:sessionId',
+                bulkDelete: 'POST /sessions/bulk-delete',
+                bulkFind: 'POST /sessions/bulk-find',
+                proxy: 'ANY /s/:sessionId/<backend path>'
             },
             monitoring: {
                 health: 'GET /health',
                 stats: 'GET /stats',
                 servers: 'GET /servers',
-                totalSessions: 'GET /total-sessions'
+                totalSessions: 'GET /total-sessions',
+                metrics: 'GET /metrics',
+                events: 'GET /events'
             },
             admin: {
                 healthCheck: 'POST /health/check/:serverId',
-                resetServer: 'POST /servers/reset/:serverId'
+                resetServer: 'POST /servers/reset/:serverId',
+                addServer: 'POST /servers',
+                updateServer: 'PATCH /servers/:serverId',
+                removeServer: 'DELETE /servers/:serverId',
+                drainServer: 'POST /servers/drain/:serverId',
+                undrainServer: 'POST /servers/undrain/:serverId',
+                failoverStatus: 'GET /failover',
+                failoverServer: 'POST /servers/failover/:serverId',
+                rebalancePlan: 'POST /rebalance/plan',
+                rebalanceExecute: 'POST /rebalance/execute/:planId',
+                rebalanceJobs: 'GET /rebalance/jobs',
+                rebalanceJob: 'GET /rebalance/jobs/:jobId',
+                reconcileStatus: 'GET /reconcile',
+                reconcileRun: 'POST /reconcile/run',
+                addWebhook: 'POST /webhooks',
+                listWebhooks: 'GET /webhooks',
+                removeWebhook: 'DELETE /webhooks/:webhookId',
+                deadLetters: 'GET /webhooks/dead-letters',
+                retryDeadLetter: 'POST /webhooks/dead-letters/retry/:deadLetterId'
             }
         },
         description: 'Smart Gateway for WhatsApp Multi-Session Backends with Intelligent Load Balancing and Session Management'
@@ -129,42 +386,84 @@ app.get('/', (req, res) => {
 app.use(notFoundHandler);
 app.use(errorHandler);
 
-// Graceful shutdown
-const shutdown = async () => {
-    logger.info('Shutting down gracefully...');
-    
-    // Stop health monitoring
-    healthMonitor.stop();
-    
-    // Close server
-    server.close(() => {
-        logger.info('HTTP server closed');
-        process.exit(0);
-    });
-    
-    // Force shutdown after 10 seconds
-    setTimeout(() => {
-        logger.error('Could not close connections in time, forcefully shutting down');
-        process.exit(1);
-    }, 10000);
-};
-
 // Start server
 const server = app.listen(PORT, () => {
     logger.info(`Smart Gateway Proxy is running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
     logger.info(`Backend servers: ${serverManager.getAllServers().length}`);
-    logger.info(`Max sessions per server: ${process.env.MAX_SESSIONS_PER_SERVER || 25}`);
+    logger.info(`Default max sessions per server: ${CONFIG.MAX_SESSIONS_PER_SERVER}`);
+    logger.info(`Shared state: ${sharedState.type} (instance ${sharedState.instanceId})`);
+    logger.info(`Session proxy paths: ${CONFIG.PROXY_ALLOWED_PATHS.join(', ') || 'none'}`);
+    if (pairingQueue.enabled) {
+        logger.info(`Pairing queue: ${CONFIG.PAIRING_QUEUE_ORDER}, up to ${CONFIG.PAIRING_QUEUE_MAX_SIZE} waiting for ${CONFIG.PAIRING_QUEUE_TIMEOUT}ms`);
+    }
+    if (!isAuthEnabled()) {
+        logger.warn('No API keys configured: all endpoints are publicly accessible');
+    }
+    lifecycle.markReady();
     logger.info('Available endpoints:');
     logger.info('  GET    /pair/:number');
+    logger.info('  GET    /pair-status/:number');
+    logger.info('  GET    /pair-queue/:ticketId');
     logger.info('  DELETE /delete-session/:sessionId');
     logger.info('  GET    /find-session/:sessionId');
+    logger.info('  GET    /sessions');
+    logger.info('  POST   /sessions/extend/:sessionId');
+    logger.info('  POST   /sessions/renew/:sessionId');
+    logger.info('  POST   /sessions/bulk-delete');
+    logger.info('  POST   /sessions/bulk-find');
+    logger.info('  ANY    /s/:sessionId/*');
     logger.info('  GET    /health');
     logger.info('  GET    /stats');
     logger.info('  GET    /servers');
     logger.info('  GET    /total-sessions');
+    logger.info('  GET    /metrics');
+    logger.info('  GET    /events');
+    logger.info('  GET    /live');
+    logger.info('  GET    /ready');
 });
 
+// Graceful shutdown: refuse new pairings, let in-flight requests finish, flush state
+let shuttingDown = false;
+const shutdown = async () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down gracefully...');
+    
+    // Hard stop if draining or flushing hangs
+    setTimeout(() => {
+        logger.error('Could not close connections in time, forcefully shutting down');
+        process.exit(1);
+    }, CONFIG.SHUTDOWN_GRACE_PERIOD + 10000).unref();
+    
+    lifecycle.beginDrain();
+    
+    // Stop accepting connections right away so the drain cannot keep growing;
+    // requests on open connections are still answered (new pairings get a 503)
+    server.close(() => {
+        logger.info('HTTP server closed');
+    });
+    server.closeIdleConnections();
+    
+    // Stop background jobs
+    healthMonitor.stop();
+    failoverManager.stop();
+    sessionReconciler.stop();
+    sessionExpiry.stop();
+    pairingQueue.stop();
+    
+    await lifecycle.waitForInFlight();
+    
+    // SSE clients would keep the server open
+    eventStream.stop();
+    webhookDispatcher.stop();
+    
+    await lifecycle.flushState();
+    await sharedState.close();
+    logger.info('State flushed, exiting');
+    process.exit(0);
+};
+
 // Handle process signals
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
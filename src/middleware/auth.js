@@ -0,0 +1,75 @@
+import { CONFIG } from '../config/constants.js';
+import { apiKeys, findApiKey } from '../config/apiKeys.js';
+import { createResponse } from '../utils/helpers.js';
+
+/**
+ * Extract the API key from the request
+ * Accepts "Authorization: Bearer <key>" or "x-api-key: <key>"
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Raw API key
+ */
+const extractApiKey = (req) => {
+    const authorization = req.get('authorization');
+    if (authorization?.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    
+    return req.get('x-api-key') || null;
+};
+
+/**
+ * Check if authentication is enabled (at least one key configured)
+ * @returns {boolean} - True if enabled
+ */
+export const isAuthEnabled = () => apiKeys.size > 0;
+
+/**
+ * Require an API key holding at least one of the given scopes
+ * @param {...string} scopes - Accepted scopes
+ * @returns {Function} - Express middleware
+ */
+export const requireScope = (...scopes) => (req, res, next) => {
+    if (!isAuthEnabled()) {
+        return next();
+    }
+    
+    const rawKey = extractApiKey(req);
+    if (!rawKey) {
+        return res.status(401).json(
+            createResponse(false, null, 'API key required')
+        );
+    }
+    
+    const apiKey = findApiKey(rawKey);
+    if (!apiKey) {
+        return res.status(401).json(
+            createResponse(false, null, 'Invalid API key')
+        );
+    }
+    
+    const allowed = apiKey.scopes.includes(CONFIG.SCOPES.ADMIN) ||
+        scopes.some(scope => apiKey.scopes.includes(scope));
+    
+    if (!allowed) {
+        return res.status(403).json(
+            createResponse(false, null, `Missing required scope: ${scopes.join(' or ')}`)
+        );
+    }
+    
+    req.apiKey = apiKey;
+    next();
+};
+
+/**
+ * Get the tenant a request is restricted to
+ * Admin keys and keys without a tenant are unrestricted
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} - Tenant name
+ */
+export const getRequestTenant = (req) => {
+    const apiKey = req.apiKey;
+    if (!apiKey || apiKey.scopes.includes(CONFIG.SCOPES.ADMIN)) {
+        return undefined;
+    }
+    return apiKey.tenant;
+};
@@ -1,9 +1,49 @@
 import rateLimit from 'express-rate-limit';
+import { sharedState } from '../stores/sharedState.js';
+
+/**
+ * express-rate-limit store keeping counters in the shared state,
+ * so every replica enforces the same limit
+ */
+class SharedRateLimitStore {
+    constructor(name) {
+        this.prefix = `ratelimit:${name}:`;
+        this.localKeys = false;
+    }
+
+    init(options) {
+        this.windowMs = options.windowMs;
+    }
+
+    async increment(key) {
+        const { count, resetAt } = await sharedState.increment(`${this.prefix}${key}`, this.windowMs);
+        return { totalHits: count, resetTime: new Date(resetAt) };
+    }
+
+    async decrement(key) {
+        await sharedState.decrement(`${this.prefix}${key}`);
+    }
+
+    async resetKey(key) {
+        await sharedState.resetCounter(`${this.prefix}${key}`);
+    }
+}
+
+/**
+ * Store options for a limiter (default in-process store for a single replica)
+ * Requests are let through if the shared state is unreachable.
+ * @param {string} name - Limiter name, keeps counters of limiters apart
+ * @returns {Object} - express-rate-limit options
+ */
+const storeOptions = (name) => sharedState.type === 'memory'
+    ? {}
+    : { store: new SharedRateLimitStore(name), passOnStoreError: true };
 
 /**
  * Rate limiting middleware
  */
 export const apiLimiter = rateLimit({
+    ...storeOptions('api'),
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
     max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // Limit each IP to 100 requests per windowMs
     message: {
@@ -18,6 +58,7 @@ export const apiLimiter = rateLimit({
  * Special rate limiter for pairing endpoint
  */
 export const pairLimiter = rateLimit({
+    ...storeOptions('pair'),
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 50, // Stricter limit for pairing
     message: {
@@ -30,6 +71,7 @@ export const pairLimiter = rateLimit({
  * Rate limiter for session deletion
  */
 export const deleteSessionLimiter = rateLimit({
+    ...storeOptions('delete-session'),
     windowMs: 60 * 1000, // 1 minute
     max: 30, // 30 requests per minute per IP
     message: {
@@ -37,3 +79,16 @@ export const deleteSessionLimiter = rateLimit({
         error: 'Too many session deletion requests. Please try again later.'
     }
 });
+
+/**
+ * Rate limiter for bulk session operations
+ */
+export const bulkSessionLimiter = rateLimit({
+    ...storeOptions('bulk-session'),
+    windowMs: 60 * 1000, // 1 minute
+    max: 10, // 10 batches per minute per IP
+    message: {
+        ok: false,
+        error: 'Too many bulk session requests. Please try again later.'
+    }
+});
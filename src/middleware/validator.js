@@ -1,5 +1,6 @@
-import { validatePhoneNumber, validateSessionId } from '../utils/helpers.js';
+import { validatePhoneNumber, validateSessionId, validateServerUrl, validateServerIdFormat } from '../utils/helpers.js';
 import { createResponse } from '../utils/helpers.js';
+import { CONFIG } from '../config/constants.js';
 
 /**
  * Validate phone number middleware
@@ -57,3 +58,285 @@ export const validateServerId = (req, res, next) => {
     
     next();
 };
+
+/**
+ * Check optional capacity settings
+ * @returns {string|null} - Error message or null
+ */
+const getCapacitySettingsError = (maxSessions, weight) => {
+    if (maxSessions !== undefined && maxSessions !== null && !(Number.isInteger(maxSessions) && maxSessions > 0)) {
+        return 'maxSessions must be a positive integer';
+    }
+    
+    if (weight !== undefined && !(typeof weight === 'number' && weight > 0)) {
+        return 'weight must be a positive number';
+    }
+    
+    return null;
+};
+
+/**
+ * Validate server registration body
+ */
+export const validateServerRegistration = (req, res, next) => {
+    const { id, url, maxSessions, weight } = req.body || {};
+    
+    if (!url) {
+        return res.status(400).json(
+            createResponse(false, null, 'Server URL is required')
+        );
+    }
+    
+    if (!validateServerUrl(url)) {
+        return res.status(400).json(
+            createResponse(false, null, 'Invalid server URL. Must be an http(s) URL.')
+        );
+    }
+    
+    if (id !== undefined && !validateServerIdFormat(id)) {
+        return res.status(400).json(
+            createResponse(false, null, 'Invalid server ID format. Use 1-64 letters, digits, dots, hyphens or underscores.')
+        );
+    }
+    
+    const capacityError = getCapacitySettingsError(maxSessions, weight);
+    if (capacityError) {
+        return res.status(400).json(
+            createResponse(false, null, capacityError)
+        );
+    }
+    
+    next();
+};
+
+/**
+ * Validate server capacity update body
+ */
+export const validateServerUpdate = (req, res, next) => {
+    const { maxSessions, weight } = req.body || {};
+    
+    if (maxSessions === undefined && weight === undefined) {
+        return res.status(400).json(
+            createResponse(false, null, 'Provide maxSessions and/or weight')
+        );
+    }
+    
+    const capacityError = getCapacitySettingsError(maxSessions, weight);
+    if (capacityError) {
+        return res.status(400).json(
+            createResponse(false, null, capacityError)
+        );
+    }
+    
+    next();
+};
+
+/**
+ * Validate webhook registration body
+ */
+export const validateWebhookRegistration = (req, res, next) => {
+    const { url, events, secret } = req.body || {};
+    
+    if (!url || !validateServerUrl(url)) {
+        return res.status(400).json(
+            createResponse(false, null, 'Webhook URL is required and must be an http(s) URL')
+        );
+    }
+    
+    if (events !== undefined) {
+        const knownEvents = Object.values(CONFIG.EVENTS);
+        const unknown = Array.isArray(events)
+            ? events.filter(event => event !== '*' && !knownEvents.includes(event))
+            : null;
+        
+        if (!unknown || events.length === 0 || unknown.length > 0) {
+            return res.status(400).json(
+                createResponse(false, null, `events must be a non-empty array of: *, ${knownEvents.join(', ')}`)
+            );
+        }
+    }
+    
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        return res.status(400).json(
+            createResponse(false, null, 'secret must be a string of at least 16 characters')
+        );
+    }
+    
+    next();
+};
+
+/**
+ * Validate the optional ?events= filter of the event stream
+ */
+export const validateEventFilter = (req, res, next) => {
+    const { events } = req.query;
+    if (events === undefined) {
+        return next();
+    }
+    
+    const knownEvents = Object.values(CONFIG.EVENTS);
+    const unknown = String(events).split(',').filter(event => !knownEvents.includes(event));
+    
+    if (unknown.length > 0) {
+        return res.status(400).json(
+            createResponse(false, null, `Unknown event types: ${unknown.join(', ')}`)
+        );
+    }
+    
+    next();
+};
+
+/**
+ * Validate rebalancing plan / execution body
+ */
+export const validateRebalanceRequest = (req, res, next) => {
+    const { serverId, concurrency } = req.body || {};
+    
+    if (serverId !== undefined && !validateServerIdFormat(serverId)) {
+        return res.status(400).json(
+            createResponse(false, null, 'Invalid server ID format')
+        );
+    }
+    
+    if (concurrency !== undefined && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > 20)) {
+        return res.status(400).json(
+            createResponse(false, null, 'concurrency must be an integer between 1 and 20')
+        );
+    }
+    
+    next();
+};
+
+/**
+ * Validate bulk session request body ({ sessionIds: [...] })
+ */
+export const validateBulkSessionRequest = (req, res, next) => {
+    const { sessionIds } = req.body || {};
+    
+    if (!Array.isArray(sessionIds) || sessionIds.length === 0) {
+        return res.status(400).json(
+            createResponse(false, null, 'sessionIds must be a non-empty array')
+        );
+    }
+    
+    if (sessionIds.length > CONFIG.BULK_MAX_SESSIONS) {
+        return res.status(400).json(
+            createResponse(false, null, `At most ${CONFIG.BULK_MAX_SESSIONS} session IDs per request`)
+        );
+    }
+    
+    const invalid = sessionIds.filter(sessionId => typeof sessionId !== 'string' || !validateSessionId(sessionId));
+    if (invalid.length > 0) {
+        return res.status(400).json(
+            createResponse(false, null, `Invalid session IDs: ${invalid.slice(0, 10).join(', ')}`)
+        );
+    }
+    
+    // Process each session once
+    req.body.sessionIds = Array.from(new Set(sessionIds));
+    next();
+};
+
+const SESSION_SORT_FIELDS = ['sessionId', 'number', 'server', 'status', 'lastSeen'];
+
+/**
+ * Validate session listing query (?page, limit, server, status, prefix, sort, order, source)
+ */
+export const validateSessionListQuery = (req, res, next) => {
+    const { page, limit, server, prefix, sort, order, source } = req.query;
+    
+    if (page !== undefined && !(parseInt(page) >= 1)) {
+        return res.status(400).json(
+            createResponse(false, null, 'page must be a positive integer')
+        );
+    }
+    
+    if (limit !== undefined && !(parseInt(limit) >= 1 && parseInt(limit) <= CONFIG.SESSION_LIST_MAX_LIMIT)) {
+        return res.status(400).json(
+            createResponse(false, null, `limit must be between 1 and ${CONFIG.SESSION_LIST_MAX_LIMIT}`)
+        );
+    }
+    
+    if (server !== undefined && !validateServerIdFormat(server)) {
+        return res.status(400).json(
+            createResponse(false, null, 'Invalid server ID format')
+        );
+    }
+    
+    if (prefix !== undefined && !/^[a-zA-Z0-9_-]{1,100}$/.test(prefix)) {
+        return res.status(400).json(
+            createResponse(false, null, 'prefix may only contain letters, digits, hyphens or underscores')
+        );
+    }
+    
+    if (sort !== undefined && !SESSION_SORT_FIELDS.includes(sort)) {
+        return res.status(400).json(
+            createResponse(false, null, `sort must be one of: ${SESSION_SORT_FIELDS.join(', ')}`)
+        );
+    }
+    
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+        return res.status(400).json(
+            createResponse(false, null, 'order must be asc or desc')
+        );
+    }
+    
+    if (source !== undefined && !['cache', 'live'].includes(source)) {
+        return res.status(400).json(
+            createResponse(false, null, 'source must be cache or live')
+        );
+    }
+    
+    next();
+};
+
+/**
+ * Check a TTL value in seconds
+ * @param {*} ttl - TTL value
+ * @returns {boolean} - True if a whole number of seconds within the allowed range
+ */
+const isValidTtl = (ttl) => {
+    const value = Number(ttl);
+    return Number.isInteger(value) && value > 0 && value <= CONFIG.SESSION_MAX_TTL;
+};
+
+/**
+ * Validate the optional ?ttl= (seconds) of a pairing
+ * Only plain digits are accepted; the parsed value is kept on req.pairTtl
+ */
+export const validatePairTtl = (req, res, next) => {
+    const { ttl } = req.query;
+    
+    if (ttl === undefined) {
+        return next();
+    }
+    
+    if (typeof ttl !== 'string' || !/^\d+$/.test(ttl) || !isValidTtl(ttl)) {
+        return res.status(400).json(
+            createResponse(false, null, `ttl must be a number of seconds between 1 and ${CONFIG.SESSION_MAX_TTL}`)
+        );
+    }
+    
+    req.pairTtl = Number(ttl);
+    next();
+};
+
+/**
+ * Validate session TTL extend / renew body ({ ttl } in seconds)
+ * @param {boolean} required - Whether ttl must be present
+ */
+export const validateSessionTtlUpdate = (required) => (req, res, next) => {
+    const { ttl } = req.body || {};
+    
+    if (ttl === undefined && !required) {
+        return next();
+    }
+    
+    if (typeof ttl !== 'number' || !isValidTtl(ttl)) {
+        return res.status(400).json(
+            createResponse(false, null, `ttl must be a number of seconds between 1 and ${CONFIG.SESSION_MAX_TTL}`)
+        );
+    }
+    
+    next();
+};
@@ -0,0 +1,209 @@
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Circuit Breaker
+ * Tracks request outcomes of one backend over a rolling window.
+ *
+ * closed    -> requests flow, opens when the failure rate crosses the threshold
+ * open      -> requests blocked until the cooldown elapses
+ * half-open -> a limited number of trial requests; closes after a run of
+ *              successes, re-opens on the first failure
+ */
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.windowMs = options.windowMs ?? CONFIG.CIRCUIT_BREAKER_WINDOW_MS;
+        this.failureRateThreshold = options.failureRateThreshold ?? CONFIG.CIRCUIT_BREAKER_FAILURE_RATE;
+        this.minimumRequests = options.minimumRequests ?? CONFIG.CIRCUIT_BREAKER_MIN_REQUESTS;
+        this.cooldownMs = options.cooldownMs ?? CONFIG.CIRCUIT_BREAKER_COOLDOWN_MS;
+        this.halfOpenMaxTrials = options.halfOpenMaxTrials ?? CONFIG.CIRCUIT_BREAKER_HALF_OPEN_TRIALS;
+        this.successThreshold = options.successThreshold ?? CONFIG.CIRCUIT_BREAKER_SUCCESS_THRESHOLD;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.reset();
+    }
+
+    /**
+     * Reset to closed with an empty window
+     */
+    reset() {
+        this.state = CONFIG.CIRCUIT.CLOSED;
+        this.outcomes = []; // { timestamp, success }
+        this.openedAt = null;
+        this.trialsInFlight = 0;
+        this.consecutiveSuccesses = 0;
+    }
+
+    /**
+     * Drop outcomes older than the rolling window
+     */
+    prune() {
+        const cutoff = Date.now() - this.windowMs;
+        while (this.outcomes.length > 0 && this.outcomes[0].timestamp < cutoff) {
+            this.outcomes.shift();
+        }
+    }
+
+    /**
+     * Change state and notify
+     * @param {string} state - New state
+     */
+    transition(state) {
+        const previous = this.state;
+        if (previous === state) return;
+
+        this.state = state;
+        this.trialsInFlight = 0;
+        this.consecutiveSuccesses = 0;
+
+        if (state === CONFIG.CIRCUIT.OPEN) {
+            this.openedAt = Date.now();
+        } else if (state === CONFIG.CIRCUIT.CLOSED) {
+            this.openedAt = null;
+            this.outcomes = [];
+        }
+
+        if (state === CONFIG.CIRCUIT.OPEN) {
+            logger.error(`Circuit breaker for ${this.name} opened`, this.getWindowStats());
+        } else {
+            logger.info(`Circuit breaker for ${this.name} ${previous} -> ${state}`);
+        }
+        this.onStateChange(state, previous);
+    }
+
+    /**
+     * Move open -> half-open once the cooldown has elapsed
+     */
+    checkCooldown() {
+        if (this.state === CONFIG.CIRCUIT.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+            this.transition(CONFIG.CIRCUIT.HALF_OPEN);
+        }
+    }
+
+    /**
+     * Check whether a request may go through
+     * @returns {boolean} - True if allowed
+     */
+    canRequest() {
+        this.checkCooldown();
+
+        if (this.state === CONFIG.CIRCUIT.OPEN) return false;
+        if (this.state === CONFIG.CIRCUIT.HALF_OPEN) {
+            return this.trialsInFlight < this.halfOpenMaxTrials;
+        }
+        return true;
+    }
+
+    /**
+     * Register the start of a request (counts half-open trials)
+     */
+    onRequest() {
+        if (this.state === CONFIG.CIRCUIT.HALF_OPEN) {
+            this.trialsInFlight++;
+        }
+    }
+
+    /**
+     * Record a successful request
+     */
+    recordSuccess() {
+        this.checkCooldown();
+        if (this.state === CONFIG.CIRCUIT.OPEN) return;
+
+        if (this.state === CONFIG.CIRCUIT.HALF_OPEN) {
+            // Only admitted trials count (not requests started before the circuit opened)
+            if (this.trialsInFlight === 0) return;
+            this.trialsInFlight--;
+            this.consecutiveSuccesses++;
+            if (this.consecutiveSuccesses >= this.successThreshold) {
+                this.transition(CONFIG.CIRCUIT.CLOSED);
+            }
+            return;
+        }
+
+        this.outcomes.push({ timestamp: Date.now(), success: true });
+        this.prune();
+    }
+
+    /**
+     * Record a failed request
+     */
+    recordFailure() {
+        this.checkCooldown();
+        if (this.state === CONFIG.CIRCUIT.OPEN) return;
+
+        if (this.state === CONFIG.CIRCUIT.HALF_OPEN) {
+            this.transition(CONFIG.CIRCUIT.OPEN);
+            return;
+        }
+
+        this.outcomes.push({ timestamp: Date.now(), success: false });
+        this.prune();
+
+        const { requests, failureRate } = this.getWindowStats();
+        if (requests >= this.minimumRequests && failureRate >= this.failureRateThreshold) {
+            this.transition(CONFIG.CIRCUIT.OPEN);
+        }
+    }
+
+    /**
+     * Record a health probe outcome
+     * Probes are not admitted through onRequest: they feed the rolling window
+     * while closed and re-open a half-open circuit when they fail, but never
+     * count as half-open trials.
+     * @param {boolean} success - Probe outcome
+     */
+    recordProbe(success) {
+        this.checkCooldown();
+
+        if (this.state === CONFIG.CIRCUIT.HALF_OPEN) {
+            if (!success) this.transition(CONFIG.CIRCUIT.OPEN);
+            return;
+        }
+
+        if (success) {
+            this.recordSuccess();
+        } else {
+            this.recordFailure();
+        }
+    }
+
+    /**
+     * Get statistics of the rolling window
+     * @returns {Object} - { requests, failures, failureRate }
+     */
+    getWindowStats() {
+        const requests = this.outcomes.length;
+        const failures = this.outcomes.filter(o => !o.success).length;
+        return {
+            requests,
+            failures,
+            failureRate: requests > 0 ? failures / requests : 0
+        };
+    }
+
+    /**
+     * Get breaker state for monitoring
+     * @returns {Object} - Breaker state
+     */
+    getState() {
+        this.checkCooldown();
+        this.prune();
+        const { requests, failures, failureRate } = this.getWindowStats();
+
+        return {
+            state: this.state,
+            requests,
+            failures,
+            failureRate: Math.round(failureRate * 100) / 100,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            nextAttemptAt: this.state === CONFIG.CIRCUIT.OPEN
+                ? new Date(this.openedAt + this.cooldownMs).toISOString()
+                : null,
+            trialsInFlight: this.trialsInFlight,
+            consecutiveSuccesses: this.consecutiveSuccesses
+        };
+    }
+}
+
+export default CircuitBreaker;
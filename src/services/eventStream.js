@@ -0,0 +1,168 @@
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { gatewayEvents } from '../utils/eventBus.js';
+import { calculateCapacityMetrics, getServerCapacity } from '../utils/helpers.js';
+
+/**
+ * Event Stream Service
+ * Pushes gateway events to Server-Sent Events clients. State comes from
+ * what HealthMonitor and ServerManager already hold, never from backends.
+ */
+class EventStream {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.clients = new Set(); // { res, types }
+        this.heartbeatInterval = null;
+        this.handleEvent = (event) => this.broadcast(event);
+    }
+
+    /**
+     * Start listening for events and sending heartbeats
+     */
+    start() {
+        gatewayEvents.on('event', this.handleEvent);
+        this.heartbeatInterval = setInterval(
+            () => this.heartbeat(),
+            CONFIG.EVENT_STREAM_HEARTBEAT
+        );
+    }
+
+    /**
+     * Stop listening and close every client stream
+     */
+    stop() {
+        gatewayEvents.off('event', this.handleEvent);
+        if (this.heartbeatInterval) {
+            clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
+        }
+
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+
+    /**
+     * Attach an SSE client
+     * Optional ?events=a,b limits the stream to those event types
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    addClient(req, res) {
+        const types = req.query.events ? String(req.query.events).split(',') : null;
+        
+        req.socket.setTimeout(0);
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${CONFIG.EVENT_STREAM_HEARTBEAT}\n\n`);
+
+        const client = { res, types };
+        this.clients.add(client);
+        logger.info('Event stream client connected', { clients: this.clients.size, types });
+
+        // Current state first, so dashboards don't need an initial poll
+        this.send(client, {
+            id: null,
+            type: 'snapshot',
+            timestamp: new Date().toISOString(),
+            data: this.getSnapshot()
+        });
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            logger.info('Event stream client disconnected', { clients: this.clients.size });
+        });
+    }
+
+    /**
+     * Write one event to a client
+     * @param {Object} client - SSE client
+     * @param {Object} event - Gateway event
+     */
+    send(client, event) {
+        const lines = [];
+        if (event.id) lines.push(`id: ${event.id}`);
+        lines.push(`event: ${event.type}`);
+        lines.push(`data: ${JSON.stringify(event)}`);
+        this.write(client, `${lines.join('\n')}\n\n`);
+    }
+
+    /**
+     * Write to a client, dropping it when its connection is gone
+     * Never throws: broadcasts run inside whichever code emitted the event.
+     * @param {Object} client - SSE client
+     * @param {string} chunk - Raw SSE text
+     */
+    write(client, chunk) {
+        const { res } = client;
+        if (res.writableEnded || res.destroyed) {
+            this.clients.delete(client);
+            return;
+        }
+
+        try {
+            res.write(chunk);
+        } catch (error) {
+            this.clients.delete(client);
+            logger.warn('Dropped event stream client after a failed write', { error: error.message });
+        }
+    }
+
+    /**
+     * Send an event to every interested client
+     * @param {Object} event - Gateway event
+     */
+    broadcast(event) {
+        this.clients.forEach(client => {
+            if (!client.types || client.types.includes(event.type)) {
+                this.send(client, event);
+            }
+        });
+    }
+
+    /**
+     * Keep idle connections open through proxies
+     */
+    heartbeat() {
+        this.clients.forEach(client => this.write(client, ': heartbeat\n\n'));
+    }
+
+    /**
+     * Current server and capacity state from memory
+     * @returns {Object} - Snapshot
+     */
+    getSnapshot() {
+        const servers = this.serverManager.getAllServers();
+
+        return {
+            servers: servers.map(server => ({
+                id: server.id,
+                url: server.url,
+                status: server.status,
+                isActive: server.isActive,
+                draining: server.draining,
+                sessionCount: server.sessionCount,
+                maxSessions: getServerCapacity(server),
+                lastChecked: server.lastChecked
+            })),
+            capacity: calculateCapacityMetrics(servers)
+        };
+    }
+
+    /**
+     * Get stream status
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        return {
+            clients: this.clients.size,
+            heartbeatInterval: CONFIG.EVENT_STREAM_HEARTBEAT
+        };
+    }
+}
+
+export default EventStream;
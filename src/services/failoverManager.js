@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { CONFIG } from '../config/constants.js';
+import { cache } from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+import { createHttpError } from '../utils/helpers.js';
+import { emitGatewayEvent } from '../utils/eventBus.js';
+
+/**
+ * Failover Manager Service
+ * Releases the sessions of backends that stay unhealthy for longer than
+ * CONFIG.FAILOVER_AFTER so their numbers can be re-paired elsewhere.
+ */
+class FailoverManager {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.history = []; // most recent failovers, newest last
+        this.checkInterval = null;
+    }
+
+    /**
+     * Start periodic failover checks
+     */
+    start() {
+        if (!CONFIG.FAILOVER_ENABLED) {
+            logger.info('Automatic failover is disabled');
+            return;
+        }
+
+        this.checkInterval = setInterval(
+            () => this.checkServers(),
+            CONFIG.HEALTH_CHECK_INTERVAL
+        );
+    }
+
+    /**
+     * Stop periodic failover checks
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Check whether a server is due for failover
+     * @param {Object} server - Server entry
+     * @returns {boolean} - True if unhealthy past the threshold and not yet failed over
+     */
+    isDue(server) {
+        if (server.status !== CONFIG.STATUS.UNHEALTHY || !server.unhealthySince) {
+            return false;
+        }
+
+        const alreadyFailedOver = server.failedOverAt && server.failedOverAt >= server.unhealthySince;
+        return !alreadyFailedOver && Date.now() - server.unhealthySince >= CONFIG.FAILOVER_AFTER;
+    }
+
+    /**
+     * Fail over every server that is due
+     */
+    async checkServers() {
+        const dueServers = this.serverManager.getAllServers().filter(server => this.isDue(server));
+
+        for (const server of dueServers) {
+            await this.failover(server.id, { trigger: 'automatic' });
+        }
+    }
+
+    /**
+     * Release the sessions mapped to a server
+     * @param {string} serverId - Server ID
+     * @param {Object} options - { trigger: 'automatic' | 'manual' }
+     * @returns {Promise<Object>} - Failover record
+     */
+    async failover(serverId, { trigger = 'manual' } = {}) {
+        const server = this.serverManager.getServer(serverId);
+        if (!server) {
+            throw createHttpError(404, `Server ${serverId} not found`);
+        }
+
+        if (server.status !== CONFIG.STATUS.UNHEALTHY) {
+            throw createHttpError(409, `Server ${serverId} is ${server.status}; only unhealthy servers can be failed over`);
+        }
+
+        const sessionMap = this.serverManager.sessionMap;
+        const affected = sessionMap.getSessionsForServer(serverId).map(sessionId => {
+            const record = sessionMap.getRecord(sessionId);
+            return {
+                sessionId,
+                number: record?.number || null,
+                tenant: record?.tenant || null
+            };
+        });
+
+        // Forget the dead server's sessions so lookups and re-pairs go elsewhere
+        affected.forEach(({ sessionId }) => sessionMap.delete(sessionId));
+        server.sessions = [];
+        server.sessionsList = [];
+        server.failedOverAt = Date.now();
+        cache.delete(`sessions_${serverId}`);
+        await this.serverManager.saveState();
+
+        const failover = {
+            id: crypto.randomUUID(),
+            serverId,
+            url: server.url,
+            trigger,
+            unhealthySince: new Date(server.unhealthySince).toISOString(),
+            failedOverAt: new Date(server.failedOverAt).toISOString(),
+            error: server.error || null,
+            sessions: affected
+        };
+
+        this.history.push(failover);
+        if (this.history.length > CONFIG.FAILOVER_HISTORY_LIMIT) {
+            this.history.shift();
+        }
+
+        logger.warn(`Failed over server ${serverId}`, {
+            trigger,
+            releasedSessions: affected.length
+        });
+
+        // Owners are notified through webhooks / the event stream
+        emitGatewayEvent(CONFIG.EVENTS.SERVER_FAILOVER, failover);
+
+        return failover;
+    }
+
+    /**
+     * Get failover policy, pending candidates and history
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        const unhealthy = this.serverManager.getAllServers()
+            .filter(server => server.status === CONFIG.STATUS.UNHEALTHY && server.unhealthySince)
+            .map(server => {
+                const failedOver = Boolean(server.failedOverAt && server.failedOverAt >= server.unhealthySince);
+                return {
+                    serverId: server.id,
+                    unhealthySince: new Date(server.unhealthySince).toISOString(),
+                    mappedSessions: this.serverManager.sessionMap.getSessionsForServer(server.id).length,
+                    failedOver,
+                    failoverAt: CONFIG.FAILOVER_ENABLED && !failedOver
+                        ? new Date(server.unhealthySince + CONFIG.FAILOVER_AFTER).toISOString()
+                        : null
+                };
+            });
+
+        return {
+            enabled: CONFIG.FAILOVER_ENABLED,
+            failoverAfter: CONFIG.FAILOVER_AFTER,
+            unhealthy,
+            history: [...this.history].reverse()
+        };
+    }
+}
+
+export default FailoverManager;
@@ -1,7 +1,13 @@
 import axios from 'axios';
 import { CONFIG } from '../config/constants.js';
 import { logger } from '../utils/logger.js';
-import { delay } from '../utils/helpers.js';
+import { calculateCapacityMetrics, delay, getServerCapacity } from '../utils/helpers.js';
+import { backendRequestDuration, healthChecksTotal } from '../utils/metrics.js';
+import { emitGatewayEvent } from '../utils/eventBus.js';
+import { sharedState } from '../stores/sharedState.js';
+
+const CRITICAL_CAPACITY_PERCENTAGE = 90;
+const SHARED_HEALTH_KEY = 'health';
 
 /**
  * Health Monitor Service
@@ -12,6 +18,7 @@ class HealthMonitor {
         this.serverManager = serverManager;
         this.isMonitoring = false;
         this.healthCheckInterval = null;
+        this.capacityCritical = false;
     }
 
     /**
@@ -55,11 +62,27 @@ class HealthMonitor {
         const servers = this.serverManager.getAllServers();
         logger.debug('Performing health checks on servers', { count: servers.length });
         
-        const checkPromises = servers.map(server => 
-            this.checkServerHealth(server)
-        );
+        const checkPromises = servers.map(async server => {
+            if (await this.adoptSharedHealth(server)) return;
+            await this.checkServerHealth(server);
+        });
         
         await Promise.allSettled(checkPromises);
+        this.checkCapacity();
+    }
+
+    /**
+     * Publish a capacity alert when overall usage becomes critical
+     */
+    checkCapacity() {
+        const capacity = calculateCapacityMetrics(this.serverManager.getAllServers());
+        const critical = capacity.usedPercentage >= CRITICAL_CAPACITY_PERCENTAGE;
+        
+        if (critical && !this.capacityCritical) {
+            logger.warn(`Gateway capacity critical (${capacity.usedPercentage}%)`);
+            emitGatewayEvent(CONFIG.EVENTS.CAPACITY_CRITICAL, capacity);
+        }
+        this.capacityCritical = critical;
     }
 
     /**
@@ -67,29 +90,38 @@ class HealthMonitor {
      * @param {Object} server - Server object
      */
     async checkServerHealth(server) {
+        const stopTimer = backendRequestDuration.startTimer({ server: server.id, kind: 'health' });
+        
         try {
             const response = await axios.get(`${server.url}/sessions`, {
                 timeout: CONFIG.REQUEST_TIMEOUT
             });
+            this.serverManager.recordLatency(server.id, stopTimer() * 1000, 'health');
             
             if (response.status === 200) {
                 const sessions = response.data?.sessions || [];
                 const sessionCount = sessions.length;
                 
                 // Update server status based on session count
+                const maxSessions = getServerCapacity(server);
                 let newStatus = CONFIG.STATUS.HEALTHY;
-                if (sessionCount >= CONFIG.MAX_SESSIONS_PER_SERVER) {
+                if (sessionCount >= maxSessions) {
                     newStatus = CONFIG.STATUS.FULL;
-                    logger.warn(`Server ${server.id} is full (${sessionCount}/${CONFIG.MAX_SESSIONS_PER_SERVER} sessions)`);
+                    logger.warn(`Server ${server.id} is full (${sessionCount}/${maxSessions} sessions)`);
                 }
                 
                 this.serverManager.updateServerStatus(server.id, newStatus, {
                     sessionCount,
                     lastChecked: new Date().toISOString(),
-                    responseTime: response.duration || 0,
-                    sessionsList: sessions // Store sessions for quick lookup
+                    sessionsList: sessions, // Store sessions for quick lookup
+                    sessionsListedAt: Date.now()
                 });
                 
+                this.serverManager.reconcileServerSessions(server.id, sessions);
+                this.serverManager.recordProbe(server.id);
+                healthChecksTotal.inc({ server: server.id, result: 'success' });
+                this.publishHealth(server, { status: newStatus, sessions });
+                
                 logger.debug(`Server ${server.id} health check passed`, {
                     status: newStatus,
                     sessions: sessionCount
@@ -106,9 +138,79 @@ class HealthMonitor {
                 error: error.message,
                 lastChecked: new Date().toISOString()
             });
+            this.serverManager.recordProbe(server.id, error);
+            healthChecksTotal.inc({ server: server.id, result: 'failure' });
+            this.publishHealth(server, { status: CONFIG.STATUS.UNHEALTHY, error: error.message });
         }
     }
 
+    /**
+     * Share a health check result with the other replicas
+     * @param {Object} server - Server object
+     * @param {Object} result - { status, sessions, error }
+     */
+    publishHealth(server, { status, sessions = [], error = null }) {
+        if (sharedState.type === 'memory') return;
+
+        sharedState.hashSet(SHARED_HEALTH_KEY, server.id, {
+            status,
+            sessions,
+            error,
+            checkedAt: Date.now(),
+            instanceId: sharedState.instanceId
+        }).catch(publishError => {
+            logger.warn(`Failed to share health of server ${server.id}:`, {
+                error: publishError.message
+            });
+        });
+    }
+
+    /**
+     * Reuse a check another replica made less than half an interval ago
+     * so replicas agree on backend status without all polling every backend.
+     * @param {Object} server - Server object
+     * @returns {Promise<boolean>} - True if a shared result was applied
+     */
+    async adoptSharedHealth(server) {
+        if (sharedState.type === 'memory') return false;
+
+        let shared;
+        try {
+            shared = await sharedState.hashGet(SHARED_HEALTH_KEY, server.id);
+        } catch (error) {
+            logger.warn(`Failed to read shared health of server ${server.id}:`, {
+                error: error.message
+            });
+            return false;
+        }
+
+        if (!shared ||
+            shared.instanceId === sharedState.instanceId ||
+            Date.now() - shared.checkedAt > CONFIG.HEALTH_CHECK_INTERVAL / 2) {
+            return false;
+        }
+
+        const lastChecked = new Date(shared.checkedAt).toISOString();
+        if (shared.status === CONFIG.STATUS.UNHEALTHY) {
+            this.serverManager.updateServerStatus(server.id, shared.status, {
+                error: shared.error,
+                lastChecked
+            });
+        } else {
+            this.serverManager.updateServerStatus(server.id, shared.status, {
+                sessionCount: shared.sessions.length,
+                lastChecked,
+                sessionsList: shared.sessions,
+                sessionsListedAt: shared.checkedAt
+            });
+            this.serverManager.reconcileServerSessions(server.id, shared.sessions);
+        }
+
+        healthChecksTotal.inc({ server: server.id, result: 'shared' });
+        logger.debug(`Server ${server.id} health taken from replica ${shared.instanceId}`);
+        return true;
+    }
+
     /**
      * Manually trigger health check for a server
      * @param {string} serverId - Server ID
@@ -0,0 +1,160 @@
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { metrics } from '../utils/metrics.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { createResponse } from '../utils/helpers.js';
+
+const DRAIN_POLL_INTERVAL = 100;
+
+/**
+ * Lifecycle Service
+ * Tracks readiness and in-flight requests so shutdown can stop taking new
+ * pairings, let running forwards finish and flush state before exiting.
+ */
+class Lifecycle {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.startedAt = Date.now();
+        this.ready = false;
+        this.draining = false;
+        this.drainStartedAt = null;
+        this.inFlight = 0;
+    }
+
+    /**
+     * Restore the metrics snapshot (file store only)
+     */
+    async loadMetrics() {
+        if (CONFIG.METRICS_STORE !== 'file') return;
+
+        try {
+            const data = await readJsonFile(CONFIG.METRICS_STORE_PATH, {});
+            metrics.restore(data.metrics);
+        } catch (error) {
+            logger.error(`Failed to restore metrics from ${CONFIG.METRICS_STORE_PATH}:`, {
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Mark the gateway ready to receive traffic
+     */
+    markReady() {
+        this.ready = true;
+    }
+
+    /**
+     * Middleware counting requests until their response is done
+     * Long-lived streams (SSE) are not tracked: they never finish on their own.
+     * @returns {Function} - Express middleware
+     */
+    trackRequests() {
+        return (req, res, next) => {
+            if (req.path === '/events') return next();
+
+            this.inFlight++;
+            res.once('close', () => {
+                this.inFlight--;
+            });
+            next();
+        };
+    }
+
+    /**
+     * Middleware rejecting new work while draining
+     * @returns {Function} - Express middleware
+     */
+    rejectWhileDraining() {
+        return (req, res, next) => {
+            if (!this.draining) return next();
+
+            res.set('Retry-After', String(CONFIG.SHUTDOWN_RETRY_AFTER));
+            res.set('Connection', 'close');
+            res.status(503).json(
+                createResponse(false, null, 'Gateway is shutting down, retry on another instance')
+            );
+        };
+    }
+
+    /**
+     * Stop accepting new pairings and report not ready
+     */
+    beginDrain() {
+        this.draining = true;
+        this.ready = false;
+        this.drainStartedAt = Date.now();
+        logger.info(`Draining: waiting for ${this.inFlight} in-flight request(s)`, {
+            gracePeriod: CONFIG.SHUTDOWN_GRACE_PERIOD
+        });
+    }
+
+    /**
+     * Wait until in-flight requests are done or the grace period is over
+     * @param {number} timeout - Maximum wait in ms
+     * @returns {Promise<boolean>} - True if every request finished
+     */
+    async waitForInFlight(timeout = CONFIG.SHUTDOWN_GRACE_PERIOD) {
+        const deadline = Date.now() + timeout;
+
+        while (this.inFlight > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_INTERVAL));
+        }
+
+        if (this.inFlight > 0) {
+            logger.warn(`Grace period over with ${this.inFlight} request(s) still in flight`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Persist session mappings, server registry and metrics
+     */
+    async flushState() {
+        await this.serverManager.saveState();
+
+        if (CONFIG.METRICS_STORE === 'file') {
+            try {
+                await writeJsonFile(CONFIG.METRICS_STORE_PATH, {
+                    savedAt: new Date().toISOString(),
+                    metrics: metrics.toJSON()
+                });
+            } catch (error) {
+                logger.error(`Failed to persist metrics to ${CONFIG.METRICS_STORE_PATH}:`, {
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    /**
+     * Liveness: the process is up and serving requests
+     * @returns {Object} - Liveness report
+     */
+    getLiveness() {
+        return {
+            alive: true,
+            uptime: Math.round((Date.now() - this.startedAt) / 1000),
+            draining: this.draining
+        };
+    }
+
+    /**
+     * Readiness: state loaded and not draining
+     * Backend capacity is reported but does not make the gateway unready,
+     * lookups and deletions keep working when every backend is full.
+     * @returns {Object} - Readiness report
+     */
+    getReadiness() {
+        return {
+            ready: this.ready && !this.draining,
+            draining: this.draining,
+            drainStartedAt: this.drainStartedAt ? new Date(this.drainStartedAt).toISOString() : null,
+            inFlight: this.inFlight,
+            activeServers: this.serverManager.getActiveServers().length
+        };
+    }
+}
+
+export default Lifecycle;
@@ -1,7 +1,91 @@
 import axios from 'axios';
+import crypto from 'crypto';
+import { PassThrough } from 'stream';
 import { CONFIG } from '../config/constants.js';
+import { cache } from '../utils/cache.js';
 import { logger } from '../utils/logger.js';
-import { delay } from '../utils/helpers.js';
+import { createHttpError, delay, getServerCapacity, stripHopByHopHeaders } from '../utils/helpers.js';
+import { backendRequestsTotal, backendRequestDuration, backendRetriesTotal } from '../utils/metrics.js';
+import { sharedState } from '../stores/sharedState.js';
+import { createStrategy, AVAILABLE_STRATEGIES } from './strategies/index.js';
+
+const reservationKey = (serverId) => `reservations:${serverId}`;
+
+// Backend response headers that must not reach gateway clients
+const UNSAFE_RESPONSE_HEADERS = [
+    'set-cookie',
+    'server',
+    'x-powered-by',
+    'access-control-allow-origin',
+    'access-control-allow-credentials',
+    'access-control-allow-methods',
+    'access-control-allow-headers',
+    'access-control-expose-headers'
+];
+
+/**
+ * Backend response headers safe to pass on to the client
+ * Decoded (buffered) bodies lose their original length and encoding.
+ */
+const safeResponseHeaders = (headers, buffered) => stripHopByHopHeaders(
+    { ...headers },
+    buffered ? [...UNSAFE_RESPONSE_HEADERS, 'content-length', 'content-encoding'] : UNSAFE_RESPONSE_HEADERS
+);
+
+/**
+ * Decode a buffered backend body: JSON and text become values, binary stays a Buffer
+ */
+const decodeBody = (buffer, contentType) => {
+    if (contentType && !/json|text|xml|javascript/i.test(contentType)) {
+        return buffer;
+    }
+
+    const text = buffer.toString('utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+};
+
+const describeBody = (data) => {
+    if (Buffer.isBuffer(data)) return `[${data.length} bytes]`;
+    if (data && typeof data.pipe === 'function') return '[stream]';
+    return data;
+};
+
+/**
+ * Pipe a client request body into a separate stream
+ * A failed upload (size limit, backend gone) destroys this stream only, the
+ * client connection stays usable for the error response. The rest of the
+ * upload is then discarded, otherwise the paused request would stall the
+ * next request on a keep-alive connection.
+ */
+const pipeRequestBody = (req) => {
+    const body = new PassThrough();
+    req.once('error', error => body.destroy(error));
+    body.once('close', () => {
+        if (req.readableEnded) return;
+        req.unpipe(body);
+        req.resume();
+    });
+    return req.pipe(body);
+};
+
+/**
+ * Refuse a streamed backend response announcing more than the size limit
+ * (axios stops undeclared ones once they pass maxContentLength)
+ * @param {Readable} body - Backend response stream
+ * @param {number} declaredLength - Content-Length announced by the backend
+ * @returns {Readable} - The same stream
+ */
+const checkResponseLength = (body, declaredLength) => {
+    if (declaredLength > CONFIG.FORWARD_MAX_RESPONSE_SIZE) {
+        body.destroy();
+        throw createHttpError(502, `Backend response exceeds ${CONFIG.FORWARD_MAX_RESPONSE_SIZE} bytes`);
+    }
+    return body;
+};
 
 /**
  * Intelligent Load Balancer Service
@@ -9,14 +93,18 @@ import { delay } from '../utils/helpers.js';
 class LoadBalancer {
     constructor(serverManager) {
         this.serverManager = serverManager;
-        this.roundRobinIndex = 0;
+        this.strategy = createStrategy(CONFIG.LOAD_BALANCING_STRATEGY, serverManager);
+        this.reservations = new Map(); // reservationId -> { reservation, timer } held by this replica
+        this.confirmedSlots = new Map(); // slot member -> { serverId, sessionId, expiresAt }
+        this.reservationStats = { reserved: 0, confirmed: 0, released: 0, timedOut: 0 };
     }
 
     /**
      * Select optimal backend server
+     * @param {Object} context - Selection context ({ key: phone number, exclude: server IDs })
      * @returns {Promise<Object>} - Selected server
      */
-    async selectOptimalServer() {
+    async selectOptimalServer(context = {}) {
         const activeServers = this.serverManager.getActiveServers();
         
         if (activeServers.length === 0) {
@@ -28,8 +116,11 @@ class LoadBalancer {
                 throw new Error('ALL_FULL');
             }
             
-            // Check if all servers are unhealthy
-            const unhealthyServers = allServers.filter(s => s.status === CONFIG.STATUS.UNHEALTHY);
+            // Check if all servers are unhealthy (or their circuit is open)
+            const unhealthyServers = allServers.filter(s => 
+                s.status === CONFIG.STATUS.UNHEALTHY || 
+                this.serverManager.getBreaker(s.id).state === CONFIG.CIRCUIT.OPEN
+            );
             if (unhealthyServers.length === allServers.length && allServers.length > 0) {
                 throw new Error('ALL_UNAVAILABLE');
             }
@@ -37,44 +128,230 @@ class LoadBalancer {
             throw new Error('NO_ACTIVE_SERVERS');
         }
 
-        // Strategy 1: Get servers with least sessions
-        const serverSessionPromises = activeServers.map(async (server) => {
+        // Avoid excluded servers (e.g. the one that just failed) when possible
+        const exclude = context.exclude || [];
+        const candidates = activeServers.filter(s => !exclude.includes(s.id));
+        let servers = candidates.length > 0 ? candidates : activeServers;
+
+        if (CONFIG.LATENCY_AWARE_ROUTING) {
+            servers = this.filterSlowServers(servers);
+        }
+
+        await this.refreshReservations(servers);
+        return this.strategy.select(servers, context);
+    }
+
+    /**
+     * Select a server and claim one of its capacity slots
+     * Slots live in the shared state, so concurrent pairings (on any replica)
+     * cannot push a backend past its capacity. Servers out of slots are skipped.
+     * @param {Object} context - Selection context ({ key, exclude, preferred: server tried first })
+     * @returns {Promise<Object>} - { server, reservation }
+     */
+    async reserveServer(context = {}) {
+        const full = [];
+
+        if (context.preferred) {
+            const reservation = await this.claimSlot(context.preferred);
+            if (reservation) return { server: context.preferred, reservation };
+            full.push(context.preferred.id);
+        }
+
+        // Always select at least once: with no active server the selection
+        // reports why (ALL_UNAVAILABLE, NO_ACTIVE_SERVERS) instead of ALL_FULL
+        const attempts = Math.max(1, this.serverManager.getActiveServers().length);
+        for (let i = 0; i < attempts; i++) {
+            const server = await this.selectOptimalServer({
+                key: context.key,
+                exclude: [...(context.exclude || []), ...full]
+            });
+            if (full.includes(server.id)) break;
+
+            const reservation = await this.claimSlot(server);
+            if (reservation) return { server, reservation };
+            full.push(server.id);
+        }
+
+        throw new Error('ALL_FULL');
+    }
+
+    /**
+     * Claim a slot on a server if it has room for one more session
+     * @param {Object} server - Server
+     * @returns {Promise<Object|null>} - Reservation or null if the server has no free slot
+     */
+    async claimSlot(server) {
+        const now = Date.now();
+        const reservation = {
+            id: crypto.randomUUID(),
+            serverId: server.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + CONFIG.RESERVATION_TIMEOUT).toISOString()
+        };
+
+        const free = getServerCapacity(server) - server.sessionCount;
+        const claimed = free > 0 && await sharedState.reserveSlot(
+            reservationKey(server.id),
+            reservation.id,
+            free,
+            CONFIG.RESERVATION_TIMEOUT
+        );
+        if (!claimed) return null;
+
+        const timer = setTimeout(() => this.expireReservation(reservation), CONFIG.RESERVATION_TIMEOUT);
+        timer.unref();
+        this.reservations.set(reservation.id, { reservation, timer });
+        this.reservationStats.reserved++;
+        server.reservedSessions = (server.reservedSessions || 0) + 1;
+
+        logger.debug(`Reserved a slot on ${server.id}`, { reservation: reservation.id });
+        return reservation;
+    }
+
+    /**
+     * Turn a reservation into a placed session
+     * The slot is kept under the session ID until the backend lists it.
+     * @param {Object} reservation - Reservation from reserveServer
+     * @param {string} sessionId - Paired session ID
+     */
+    async confirmReservation(reservation, sessionId) {
+        if (!this.settleReservation(reservation)) return;
+        this.reservationStats.confirmed++;
+
+        const key = reservationKey(reservation.serverId);
+        try {
+            if (sessionId) {
+                const member = `session:${sessionId}`;
+                await sharedState.reserveSlot(key, member, Infinity, CONFIG.RESERVATION_CONFIRMED_HOLD);
+                this.confirmedSlots.set(member, {
+                    serverId: reservation.serverId,
+                    sessionId,
+                    expiresAt: Date.now() + CONFIG.RESERVATION_CONFIRMED_HOLD
+                });
+            }
+            await sharedState.releaseSlot(key, reservation.id);
+        } catch (error) {
+            logger.warn(`Failed to confirm reservation ${reservation.id}:`, { error: error.message });
+        }
+
+        // Next selection counts the new session live
+        cache.delete(`sessions_${reservation.serverId}`);
+    }
+
+    /**
+     * Give a reserved slot back (pairing failed)
+     * @param {Object|null} reservation - Reservation from reserveServer
+     * @param {string} reason - Why the slot is released
+     */
+    async releaseReservation(reservation, reason) {
+        if (!reservation || !this.settleReservation(reservation)) return;
+        this.reservationStats.released++;
+
+        logger.debug(`Released reservation ${reservation.id} on ${reservation.serverId}`, { reason });
+        try {
+            await sharedState.releaseSlot(reservationKey(reservation.serverId), reservation.id);
+        } catch (error) {
+            logger.warn(`Failed to release reservation ${reservation.id}:`, { error: error.message });
+        }
+    }
+
+    /**
+     * Move a reservation to another server (forward retry)
+     * @param {Object} reservation - Reservation, updated in place
+     * @param {string} failedServerId - Server that just failed
+     * @param {string} key - Selection key (phone number)
+     * @returns {Promise<Object>} - New server
+     */
+    async moveReservation(reservation, failedServerId, key) {
+        const next = await this.reserveServer({ key, exclude: [failedServerId] });
+        await this.releaseReservation(reservation, 'retry on another server');
+        Object.assign(reservation, next.reservation);
+        return next.server;
+    }
+
+    /**
+     * Drop a reservation nobody settled in time
+     * The shared slot expires on its own; this only cleans up locally.
+     * @param {Object} reservation - Reservation
+     */
+    expireReservation(reservation) {
+        if (!this.settleReservation(reservation)) return;
+        this.reservationStats.timedOut++;
+
+        logger.warn(`Reservation ${reservation.id} on ${reservation.serverId} timed out`);
+        sharedState.releaseSlot(reservationKey(reservation.serverId), reservation.id).catch(() => {});
+    }
+
+    /**
+     * Forget a pending reservation
+     * @returns {boolean} - False if it was already settled
+     */
+    settleReservation(reservation) {
+        const entry = this.reservations.get(reservation.id);
+        if (!entry) return false;
+
+        clearTimeout(entry.timer);
+        this.reservations.delete(reservation.id);
+        return true;
+    }
+
+    /**
+     * Refresh reserved slot counts of servers from the shared state
+     * Confirmed slots are dropped once the backend lists their session.
+     * @param {Array} servers - Servers
+     */
+    async refreshReservations(servers) {
+        await Promise.all(servers.map(async server => {
             try {
-                const sessionCount = await this.serverManager.getServerSessionCount(server.id);
-                return { server, sessionCount };
+                for (const [member, slot] of Array.from(this.confirmedSlots)) {
+                    if (slot.serverId !== server.id) continue;
+
+                    if (slot.expiresAt <= Date.now()) {
+                        this.confirmedSlots.delete(member);
+                    } else if (server.sessions.includes(slot.sessionId)) {
+                        this.confirmedSlots.delete(member);
+                        await sharedState.releaseSlot(reservationKey(server.id), member);
+                    }
+                }
+
+                server.reservedSessions = await sharedState.countSlots(reservationKey(server.id));
             } catch (error) {
-                logger.warn(`Failed to get session count for ${server.id}:`, {
+                logger.warn(`Failed to read reservations of server ${server.id}:`, {
                     error: error.message
                 });
-                return { server, sessionCount: Infinity };
             }
-        });
+        }));
+    }
 
-        const serversWithSessions = await Promise.all(serverSessionPromises);
-        
-        // Filter out servers that are full
-        const availableServers = serversWithSessions.filter(
-            ({ sessionCount }) => sessionCount < CONFIG.MAX_SESSIONS_PER_SERVER
+    /**
+     * Thin out slow servers so they receive fewer new pairings
+     * Servers within LATENCY_SLOW_FACTOR of the fastest are always kept; slower
+     * ones are kept with a probability inversely proportional to their latency.
+     * @param {Array} servers - Candidate servers
+     * @returns {Array} - Remaining candidates (never empty)
+     */
+    filterSlowServers(servers) {
+        const latencies = new Map(
+            servers.map(server => [server.id, this.serverManager.getRoutingLatency(server.id)])
         );
+        const measured = Array.from(latencies.values()).filter(latency => latency !== null);
+        if (measured.length < 2) return servers;
 
-        if (availableServers.length === 0) {
-            throw new Error('ALL_FULL');
-        }
-
-        // Strategy 2: Find servers with minimum sessions
-        const minSessions = Math.min(...availableServers.map(s => s.sessionCount));
-        const leastLoadedServers = availableServers.filter(
-            s => s.sessionCount === minSessions
-        );
+        const threshold = Math.max(Math.min(...measured), 1) * CONFIG.LATENCY_SLOW_FACTOR;
+        const kept = servers.filter(server => {
+            const latency = latencies.get(server.id);
+            if (latency === null || latency <= threshold) return true;
+            return Math.random() < threshold / latency;
+        });
 
-        // Strategy 3: If multiple servers have same session count, use round-robin
-        if (leastLoadedServers.length > 1) {
-            this.roundRobinIndex = (this.roundRobinIndex + 1) % leastLoadedServers.length;
-            return leastLoadedServers[this.roundRobinIndex].server;
+        if (kept.length < servers.length) {
+            logger.debug('Latency-aware routing skipped slow servers', {
+                skipped: servers.filter(s => !kept.includes(s)).map(s => s.id),
+                thresholdMs: threshold
+            });
         }
 
-        // Return the single least loaded server
-        return leastLoadedServers[0].server;
+        return kept.length > 0 ? kept : servers;
     }
 
     /**
@@ -82,20 +359,32 @@ class LoadBalancer {
      * @param {Object} req - Express request object
      * @param {Object} server - Target server
      * @param {number} retries - Number of retries attempted
-     * @returns {Promise<Object>} - Response from backend
+     * @param {Object} options - {
+     *   reservation: moved along when retrying on another server,
+     *   path: backend path to call instead of the request path (query is kept),
+     *   pinned: never retry on another server (the session lives on this one),
+     *   stream: return the response body as a stream instead of decoding it
+     * }
+     * @returns {Promise<Object>} - Response from backend (with the server that answered)
      */
-    async forwardRequest(req, server, retries = 0) {
-        const { method, originalUrl, body, headers } = req;
+    async forwardRequest(req, server, retries = 0, options = {}) {
+        const { method, originalUrl, headers } = req;
         
         // VOTRE BACKEND ATTEND /pair/:num/ AVEC UN SLASH À LA FIN
         // On doit reconstruire l'URL correctement
-        let path = originalUrl;
-        if (originalUrl.match(/^\/pair\/[^\/]+$/)) {
+        const [pathname, search = ''] = originalUrl.split('?');
+        const query = new URLSearchParams(search);
+        let path = options.path || pathname;
+        if (!options.path && pathname.match(/^\/pair\/[^\/]+$/)) {
             // Ajouter le slash final pour /pair/:number
-            path = originalUrl + '/';
+            path = pathname + '/';
+            // ttl and async are handled by the gateway, not the backend
+            query.delete('ttl');
+            query.delete('async');
         }
         
-        const targetUrl = `${server.url}${path}`;
+        const queryString = query.toString();
+        const targetUrl = `${server.url}${path}${queryString ? `?${queryString}` : ''}`;
         
         logger.info('Forwarding request to backend', {
             from: req.ip,
@@ -107,46 +396,90 @@ class LoadBalancer {
             sessionId: req.params.sessionId
         });
 
+        const requestSize = parseInt(headers['content-length']);
+        if (requestSize > CONFIG.FORWARD_MAX_REQUEST_SIZE) {
+            throw createHttpError(413, `Request body exceeds ${CONFIG.FORWARD_MAX_REQUEST_SIZE} bytes`);
+        }
+
+        // Bodies parsed by the gateway go out as received (raw bytes), others are piped through
+        const hasBody = requestSize > 0 || Boolean(headers['transfer-encoding']);
+        const piped = hasBody && !req.rawBody;
+        const data = piped ? pipeRequestBody(req) : req.rawBody;
+
+        const stopTimer = backendRequestDuration.startTimer({ server: server.id, kind: 'forward' });
+        
         try {
             const config = {
                 method,
                 url: targetUrl,
+                // Sent as received: no forced content types, no gateway credentials
                 headers: {
-                    ...headers,
+                    ...stripHopByHopHeaders(headers, ['authorization', 'x-api-key']),
                     'x-forwarded-for': req.ip,
                     'x-proxy-server': server.id,
-                    'x-proxy-timestamp': new Date().toISOString(),
-                    'user-agent': 'Smart-Gateway-Proxy/1.0',
-                    'accept': 'application/json'
+                    'x-proxy-timestamp': new Date().toISOString()
                 },
+                data,
                 timeout: CONFIG.REQUEST_TIMEOUT,
+                maxBodyLength: CONFIG.FORWARD_MAX_REQUEST_SIZE,
+                maxContentLength: CONFIG.FORWARD_MAX_RESPONSE_SIZE,
+                responseType: options.stream ? 'stream' : 'arraybuffer',
                 validateStatus: function (status) {
                     return status >= 200 && status < 600; // Accept all status codes
                 }
             };
 
-            if (body && Object.keys(body).length > 0) {
-                config.data = body;
-                config.headers['content-type'] = 'application/json';
+            if (options.stream) {
+                // Bytes pass through untouched (compressed bodies and redirects included)
+                config.decompress = false;
+                config.maxRedirects = 0;
             }
 
+            this.serverManager.getBreaker(server.id).onRequest();
             const response = await axios(config);
+            const durationMs = stopTimer() * 1000;
+            this.serverManager.recordLatency(server.id, durationMs, 'forward');
+            
+            // Backend-side errors count against the circuit, client errors do not
+            if (response.status >= 500) {
+                this.serverManager.recordRequestFailure(server.id, new Error(`HTTP ${response.status}`));
+                backendRequestsTotal.inc({ server: server.id, outcome: 'server_error' });
+            } else {
+                this.serverManager.recordRequestSuccess(server.id);
+                backendRequestsTotal.inc({ server: server.id, outcome: 'success' });
+            }
+            
+            const contentType = response.headers['content-type'] || '';
+            const responseData = options.stream
+                ? checkResponseLength(response.data, parseInt(response.headers['content-length']))
+                : decodeBody(Buffer.from(response.data), contentType);
             
             logger.info('Backend response details', {
                 server: server.id,
                 status: response.status,
                 statusText: response.statusText,
-                duration: response.duration ? `${response.duration}ms` : 'unknown',
+                duration: `${Math.round(durationMs)}ms`,
                 url: targetUrl,
-                responseData: response.data
+                contentType,
+                responseData: describeBody(responseData)
             });
 
             return {
-                data: response.data,
+                data: responseData,
                 status: response.status,
-                headers: response.headers
+                headers: safeResponseHeaders(response.headers, !options.stream),
+                server
             };
         } catch (error) {
+            // Size limits are final: another backend would get the same bodies
+            if (error.statusCode) throw error;
+            if (/maxBodyLength/i.test(error.message) || error.code === 'ERR_FR_MAX_BODY_LENGTH_EXCEEDED') {
+                throw createHttpError(413, `Request body exceeds ${CONFIG.FORWARD_MAX_REQUEST_SIZE} bytes`);
+            }
+            if (/maxContentLength/i.test(error.message)) {
+                throw createHttpError(502, `Backend response exceeds ${CONFIG.FORWARD_MAX_RESPONSE_SIZE} bytes`);
+            }
+            
             logger.error(`Request to ${server.id} failed:`, {
                 error: error.message,
                 code: error.code,
@@ -155,25 +488,29 @@ class LoadBalancer {
                 stack: error.stack
             });
 
-            // Mark server as unhealthy on certain errors
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
-                this.serverManager.updateServerStatus(server.id, CONFIG.STATUS.UNHEALTHY, {
-                    error: error.message
-                });
-            }
+            backendRequestsTotal.inc({ server: server.id, outcome: 'error' });
+            
+            // Feed the circuit breaker instead of marking the server down on a single error
+            this.serverManager.recordRequestFailure(server.id, error);
 
-            // Retry logic
-            if (retries < CONFIG.MAX_RETRIES) {
+            // Retry logic (a piped request body cannot be sent twice)
+            if (retries < CONFIG.MAX_RETRIES && !options.pinned && !piped) {
                 await delay(CONFIG.RETRY_DELAY * (retries + 1));
                 
                 // Try to select a different server
                 try {
-                    const newServer = await this.selectOptimalServer();
+                    const newServer = options.reservation
+                        ? await this.moveReservation(options.reservation, server.id, req.params.number)
+                        : await this.selectOptimalServer({
+                            key: req.params.number,
+                            exclude: [server.id]
+                        });
+                    backendRetriesTotal.inc({ server: server.id });
                     logger.info(`Retrying with different server: ${newServer.id}`, {
                         originalServer: server.id,
                         retry: retries + 1
                     });
-                    return this.forwardRequest(req, newServer, retries + 1);
+                    return this.forwardRequest(req, newServer, retries + 1, options);
                 } catch (selectionError) {
                     throw error; // Throw original error if can't select new server
                 }
@@ -189,8 +526,15 @@ class LoadBalancer {
      */
     getStatus() {
         return {
-            strategy: 'least-connections-with-round-robin-fallback',
-            roundRobinIndex: this.roundRobinIndex,
+            strategy: this.strategy.name,
+            strategyState: this.strategy.getStatus(),
+            availableStrategies: AVAILABLE_STRATEGIES,
+            latencyAwareRouting: CONFIG.LATENCY_AWARE_ROUTING,
+            reservations: {
+                timeout: CONFIG.RESERVATION_TIMEOUT,
+                pending: this.reservations.size,
+                ...this.reservationStats
+            },
             maxRetries: CONFIG.MAX_RETRIES,
             requestTimeout: CONFIG.REQUEST_TIMEOUT
         };
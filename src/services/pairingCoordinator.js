@@ -0,0 +1,131 @@
+import { CONFIG } from '../config/constants.js';
+import { cache } from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Pairing Coordinator Service
+ * Deduplicates concurrent and repeated pairings of the same phone number
+ */
+class PairingCoordinator {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.inFlight = new Map(); // "tenant:number" -> Promise of pairing result
+        this.repairFlags = new Map(); // number -> { targetServerId, reason, flaggedAt }
+        this.joinedCount = 0;
+    }
+
+    /**
+     * Run a pairing, or join the one already in flight for the same key
+     * @param {string} key - Deduplication key (tenant + number)
+     * @param {Function} task - Pairing task returning { status, body }
+     * @returns {Promise<Object>} - { result, joined }
+     */
+    async run(key, task) {
+        const existing = this.inFlight.get(key);
+        if (existing) {
+            this.joinedCount++;
+            logger.info('Joining in-flight pairing', { key });
+            return { result: await existing, joined: true };
+        }
+
+        const pairing = task();
+        this.inFlight.set(key, pairing);
+
+        try {
+            return { result: await pairing, joined: false };
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    /**
+     * Find the server already holding a live session for a number
+     * @param {string} number - Phone number
+     * @returns {Object|null} - Owning server or null
+     */
+    findOwnerServer(number) {
+        let serverId = this.serverManager.sessionMap.get(number);
+
+        if (!serverId) {
+            for (const [, record] of this.serverManager.sessionMap.recordEntries()) {
+                if (record.number === number) {
+                    serverId = record.serverId;
+                    break;
+                }
+            }
+        }
+
+        return serverId ? this.serverManager.getServer(serverId) : null;
+    }
+
+    /**
+     * Flag a number whose session was moved off its backend for re-pair
+     * @param {string} number - Phone number
+     * @param {Object} flag - { targetServerId, reason }
+     */
+    flagForRepair(number, { targetServerId = null, reason }) {
+        this.repairFlags.set(number, {
+            targetServerId,
+            reason,
+            flaggedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Clear the re-pair flag of a number
+     * @param {string} number - Phone number
+     */
+    clearRepairFlag(number) {
+        this.repairFlags.delete(number);
+    }
+
+    /**
+     * Get the server planned for the re-pair of a flagged number
+     * @param {string} number - Phone number
+     * @returns {Object|null} - Target server if it can still take sessions
+     */
+    getRepairTarget(number) {
+        const flag = this.repairFlags.get(number);
+        if (!flag?.targetServerId) return null;
+
+        const server = this.serverManager.getServer(flag.targetServerId);
+        return server && server.isActive && this.serverManager.getBreaker(server.id).canRequest()
+            ? server
+            : null;
+    }
+
+    /**
+     * Get a cached response for an Idempotency-Key
+     * @param {string} scope - Key scope (tenant)
+     * @param {string} idempotencyKey - Idempotency-Key header value
+     * @returns {Object|null} - { number, status, body } or null
+     */
+    getIdempotentResult(scope, idempotencyKey) {
+        return cache.get(`idempotency_${scope}_${idempotencyKey}`);
+    }
+
+    /**
+     * Cache a response for an Idempotency-Key
+     * @param {string} scope - Key scope (tenant)
+     * @param {string} idempotencyKey - Idempotency-Key header value
+     * @param {Object} entry - { number, status, body }
+     */
+    storeIdempotentResult(scope, idempotencyKey, entry) {
+        cache.set(`idempotency_${scope}_${idempotencyKey}`, entry, CONFIG.IDEMPOTENCY_TTL);
+    }
+
+    /**
+     * Get coordinator status
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        return {
+            inFlight: this.inFlight.size,
+            joinedPairings: this.joinedCount,
+            awaitingRepair: this.repairFlags.size,
+            idempotencyTtl: CONFIG.IDEMPOTENCY_TTL
+        };
+    }
+}
+
+export default PairingCoordinator;
@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { createHttpError, createResponse } from '../utils/helpers.js';
+import { gatewayEvents } from '../utils/eventBus.js';
+
+const TICKET_STATE = {
+    QUEUED: 'queued',
+    ADMITTED: 'admitted',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    TIMED_OUT: 'timed_out'
+};
+
+// Events after which capacity may have freed up
+const WAKE_EVENTS = [
+    CONFIG.EVENTS.SESSION_DELETED,
+    CONFIG.EVENTS.SESSION_EXPIRED,
+    CONFIG.EVENTS.SERVER_RECOVERED,
+    CONFIG.EVENTS.SERVER_SESSIONS_CHANGED,
+    CONFIG.EVENTS.SERVER_FAILOVER
+];
+
+const WAIT_SAMPLES = 200;
+
+/**
+ * Pairing Queue Service
+ * Holds pairings while every backend is full and admits them, in FIFO or
+ * tenant priority order, as soon as a capacity slot can be reserved.
+ * Deletions, expiries and recoveries wake the queue; a poll covers capacity
+ * freed on other replicas.
+ */
+class PairingQueue {
+    constructor(loadBalancer) {
+        this.loadBalancer = loadBalancer;
+        this.tickets = new Map(); // ticketId -> ticket (finished tickets kept for polling)
+        this.sequence = 0;
+        this.processing = false;
+        this.pollInterval = null;
+        this.waits = []; // recent waits (ms) of admitted tickets
+        this.stats = { queued: 0, admitted: 0, timedOut: 0, rejected: 0 };
+        this.handleEvent = this.handleEvent.bind(this);
+    }
+
+    get enabled() {
+        return CONFIG.PAIRING_QUEUE_ENABLED;
+    }
+
+    /**
+     * Start listening for freed capacity
+     */
+    start() {
+        if (!this.enabled) return;
+
+        gatewayEvents.on('event', this.handleEvent);
+        this.pollInterval = setInterval(() => this.process(), CONFIG.PAIRING_QUEUE_POLL_INTERVAL);
+    }
+
+    /**
+     * Stop the queue and turn away everyone still waiting
+     */
+    stop() {
+        gatewayEvents.off('event', this.handleEvent);
+        if (this.pollInterval) {
+            clearInterval(this.pollInterval);
+            this.pollInterval = null;
+        }
+
+        this.getQueued().forEach(ticket => {
+            this.fail(ticket, TICKET_STATE.FAILED, createHttpError(503, 'Gateway is shutting down'));
+        });
+    }
+
+    handleEvent(event) {
+        if (WAKE_EVENTS.includes(event.type)) {
+            this.process();
+        }
+    }
+
+    /**
+     * Queue a pairing until a capacity slot can be reserved
+     * A number already waiting for the same tenant shares its ticket.
+     * @param {Object} request - { number, tenant, priority }
+     * @param {Function} pair - Runs the pairing with the admission ({ server, reservation })
+     * @returns {Object} - { ticket, created }; ticket.completion resolves with the pairing result
+     */
+    enqueue({ number, tenant, priority = 0 }, pair) {
+        this.prune();
+
+        const existing = this.getQueued().find(ticket =>
+            ticket.number === number && ticket.tenant === (tenant || null)
+        );
+        if (existing) {
+            return { ticket: existing, created: false };
+        }
+
+        if (this.getQueued().length >= CONFIG.PAIRING_QUEUE_MAX_SIZE) {
+            this.stats.rejected++;
+            throw createHttpError(503, 'All API servers are full and the pairing queue is full');
+        }
+
+        const now = Date.now();
+        const ticket = {
+            id: crypto.randomUUID(),
+            number,
+            tenant: tenant || null,
+            priority: CONFIG.PAIRING_QUEUE_ORDER === 'priority' ? priority : 0,
+            sequence: this.sequence++,
+            state: TICKET_STATE.QUEUED,
+            queuedAt: now,
+            expiresAt: now + CONFIG.PAIRING_QUEUE_TIMEOUT,
+            finishedAt: null,
+            result: null,
+            pair
+        };
+
+        ticket.completion = new Promise((resolve, reject) => {
+            ticket.resolve = resolve;
+            ticket.reject = reject;
+        });
+        // Async clients never await the completion
+        ticket.completion.catch(() => {});
+
+        ticket.timer = setTimeout(() => {
+            if (ticket.state !== TICKET_STATE.QUEUED) return;
+
+            this.stats.timedOut++;
+            logger.warn(`Pairing of ${number} timed out in queue`, { ticket: ticket.id });
+            this.fail(ticket, TICKET_STATE.TIMED_OUT, createHttpError(
+                503,
+                `All API servers are full, no capacity freed up within ${CONFIG.PAIRING_QUEUE_TIMEOUT}ms`
+            ));
+        }, CONFIG.PAIRING_QUEUE_TIMEOUT);
+
+        this.tickets.set(ticket.id, ticket);
+        this.stats.queued++;
+        logger.info(`Pairing of ${number} queued, all backends are full`, {
+            ticket: ticket.id,
+            position: this.getPosition(ticket)
+        });
+
+        return { ticket, created: true };
+    }
+
+    /**
+     * Queued tickets in admission order
+     * @returns {Array} - Tickets
+     */
+    getQueued() {
+        return Array.from(this.tickets.values())
+            .filter(ticket => ticket.state === TICKET_STATE.QUEUED)
+            .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+    }
+
+    /**
+     * 1-based position of a queued ticket
+     * @param {Object} ticket - Ticket
+     * @returns {number|null} - Position or null if no longer queued
+     */
+    getPosition(ticket) {
+        const index = this.getQueued().indexOf(ticket);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Admit queued pairings while capacity slots can be reserved
+     * Admission stops at the first ticket that does not fit so order is kept.
+     */
+    async process() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            for (const ticket of this.getQueued()) {
+                let admission;
+                try {
+                    admission = await this.loadBalancer.reserveServer({ key: ticket.number });
+                } catch (error) {
+                    break;
+                }
+
+                // Timed out while the slot was being claimed
+                if (ticket.state !== TICKET_STATE.QUEUED) {
+                    await this.loadBalancer.releaseReservation(admission.reservation, 'queue ticket expired');
+                    continue;
+                }
+
+                this.admit(ticket, admission);
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Run an admitted pairing and keep its outcome for async clients
+     * @param {Object} ticket - Ticket
+     * @param {Object} admission - { server, reservation }
+     */
+    admit(ticket, admission) {
+        const waitedMs = Date.now() - ticket.queuedAt;
+        clearTimeout(ticket.timer);
+        ticket.state = TICKET_STATE.ADMITTED;
+        this.recordWait(waitedMs);
+        this.stats.admitted++;
+        logger.info(`Pairing of ${ticket.number} admitted from queue`, {
+            ticket: ticket.id,
+            server: admission.server.id,
+            waitedMs
+        });
+
+        Promise.resolve()
+            .then(() => ticket.pair(admission))
+            .then(result => {
+                ticket.state = result.status < 400 ? TICKET_STATE.COMPLETED : TICKET_STATE.FAILED;
+                ticket.result = result;
+                ticket.finishedAt = Date.now();
+                ticket.resolve(result);
+            })
+            .catch(error => this.fail(ticket, TICKET_STATE.FAILED, error));
+    }
+
+    fail(ticket, state, error) {
+        clearTimeout(ticket.timer);
+        ticket.state = state;
+        ticket.result = {
+            status: error.statusCode || 500,
+            body: createResponse(false, null, error.message)
+        };
+        ticket.finishedAt = Date.now();
+        ticket.reject(error);
+    }
+
+    recordWait(waitMs) {
+        this.waits.push(waitMs);
+        if (this.waits.length > WAIT_SAMPLES) {
+            this.waits.shift();
+        }
+    }
+
+    /**
+     * Get a ticket as seen by its client
+     * @param {string} ticketId - Ticket ID
+     * @param {string|undefined} tenant - Requesting tenant (undefined = unrestricted)
+     * @returns {Object} - Ticket view
+     */
+    getTicket(ticketId, tenant) {
+        const ticket = this.tickets.get(ticketId);
+        if (!ticket || (tenant && ticket.tenant !== tenant)) {
+            throw createHttpError(404, `Pairing ticket ${ticketId} not found`);
+        }
+
+        return this.toView(ticket);
+    }
+
+    toView(ticket) {
+        return {
+            ticketId: ticket.id,
+            number: ticket.number,
+            state: ticket.state,
+            position: this.getPosition(ticket),
+            queueDepth: this.getQueued().length,
+            queuedAt: new Date(ticket.queuedAt).toISOString(),
+            expiresAt: new Date(ticket.expiresAt).toISOString(),
+            finishedAt: ticket.finishedAt ? new Date(ticket.finishedAt).toISOString() : null,
+            result: ticket.result ? this.toResultView(ticket.result) : null
+        };
+    }
+
+    // Binary pairing responses (QR images) are returned base64 encoded
+    toResultView({ status, body, headers }) {
+        if (!Buffer.isBuffer(body)) {
+            return { status, body };
+        }
+
+        return {
+            status,
+            contentType: headers?.['content-type'] || null,
+            encoding: 'base64',
+            body: body.toString('base64')
+        };
+    }
+
+    /**
+     * Forget finished tickets older than the pairing status retention
+     */
+    prune() {
+        const cutoff = Date.now() - CONFIG.PAIRING_STATUS_RETENTION;
+        for (const [ticketId, ticket] of this.tickets) {
+            if (ticket.finishedAt && ticket.finishedAt < cutoff) {
+                this.tickets.delete(ticketId);
+            }
+        }
+    }
+
+    /**
+     * Queue depth and wait times
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        const queued = this.getQueued();
+        const sortedWaits = [...this.waits].sort((a, b) => a - b);
+        const now = Date.now();
+
+        return {
+            enabled: this.enabled,
+            order: CONFIG.PAIRING_QUEUE_ORDER,
+            maxSize: CONFIG.PAIRING_QUEUE_MAX_SIZE,
+            timeout: CONFIG.PAIRING_QUEUE_TIMEOUT,
+            depth: queued.length,
+            oldestWaitMs: queued.length > 0 ? Math.max(...queued.map(ticket => now - ticket.queuedAt)) : 0,
+            waits: {
+                samples: sortedWaits.length,
+                averageMs: sortedWaits.length > 0
+                    ? Math.round(sortedWaits.reduce((sum, wait) => sum + wait, 0) / sortedWaits.length)
+                    : 0,
+                p95Ms: sortedWaits.length > 0
+                    ? sortedWaits[Math.min(sortedWaits.length - 1, Math.floor(sortedWaits.length * 0.95))]
+                    : 0,
+                maxMs: sortedWaits.length > 0 ? sortedWaits[sortedWaits.length - 1] : 0
+            },
+            ...this.stats
+        };
+    }
+}
+
+export default PairingQueue;
@@ -0,0 +1,184 @@
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// Backend session states that mean the WhatsApp connection is up
+const CONNECTED_STATES = ['open', 'connected', 'online', 'ready', 'authenticated'];
+
+/**
+ * Pairing Tracker Service
+ * Follows each pairing code until its session shows up connected in the
+ * backend /sessions listings kept by the health monitor, or the code expires.
+ */
+class PairingTracker {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.attempts = new Map(); // number -> latest pairing attempt
+    }
+
+    /**
+     * Record a pairing code handed out by a backend
+     * @param {Object} attempt - { number, serverId, code, sessionId, tenant }
+     */
+    trackPending({ number, serverId, code, sessionId, tenant }) {
+        this.prune();
+
+        const now = Date.now();
+        this.attempts.set(number, {
+            number,
+            serverId,
+            code: code || null,
+            sessionId: sessionId || number,
+            tenant: tenant || null,
+            state: CONFIG.PAIRING_STATE.PENDING,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Record a pairing that failed before a code was issued
+     * @param {Object} attempt - { number, tenant, error }
+     */
+    trackFailure({ number, tenant, error }) {
+        this.prune();
+
+        const now = Date.now();
+        this.attempts.set(number, {
+            number,
+            serverId: null,
+            code: null,
+            sessionId: null,
+            tenant: tenant || null,
+            state: CONFIG.PAIRING_STATE.FAILED,
+            error: error || 'Pairing failed',
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * Find a session in the last listing of its backend
+     * Listings fetched before the code was issued say nothing about it.
+     * @param {Object} server - Server entry
+     * @param {Object} attempt - Pairing attempt
+     * @returns {Object|null} - Listed session or null
+     */
+    findListedSession(server, attempt) {
+        if (!server.sessionsListedAt || server.sessionsListedAt < attempt.createdAt) {
+            return null;
+        }
+
+        const listing = server.sessionsList || [];
+        const sessionId = attempt.sessionId;
+        return listing.find(session => (session.id || session.sessionId) === sessionId) || null;
+    }
+
+    /**
+     * Check whether a listed session is connected
+     * Listings without a state field only contain live sessions.
+     * @param {Object} session - Listed session
+     * @returns {boolean} - True if connected
+     */
+    isConnected(session) {
+        if (typeof session.connected === 'boolean') return session.connected;
+
+        const state = session.status || session.state;
+        return !state || CONNECTED_STATES.includes(String(state).toLowerCase());
+    }
+
+    /**
+     * Move a pending attempt forward from the latest health snapshot
+     * @param {Object} attempt - Pairing attempt
+     */
+    resolve(attempt) {
+        if (attempt.state !== CONFIG.PAIRING_STATE.PENDING) return;
+
+        const server = this.serverManager.getServer(attempt.serverId);
+        let nextState = null;
+        let error = null;
+
+        if (!server) {
+            nextState = CONFIG.PAIRING_STATE.FAILED;
+            error = `Backend ${attempt.serverId} was removed`;
+        } else {
+            const listed = this.findListedSession(server, attempt);
+            if (listed && this.isConnected(listed)) {
+                nextState = CONFIG.PAIRING_STATE.CONNECTED;
+            } else if (Date.now() - attempt.createdAt >= CONFIG.PAIRING_CODE_TTL) {
+                nextState = CONFIG.PAIRING_STATE.EXPIRED;
+            }
+        }
+
+        if (nextState) {
+            attempt.state = nextState;
+            attempt.error = error;
+            attempt.updatedAt = Date.now();
+            logger.info(`Pairing of ${attempt.number} is ${nextState}`, {
+                server: attempt.serverId,
+                error
+            });
+        }
+    }
+
+    /**
+     * Get the status of the latest pairing of a number
+     * @param {string} number - Phone number
+     * @param {string|undefined} tenant - Requesting tenant (undefined = unrestricted)
+     * @returns {Object|null} - Pairing status or null if unknown
+     */
+    getStatus(number, tenant) {
+        const attempt = this.attempts.get(number);
+        if (!attempt || (tenant && attempt.tenant !== tenant)) {
+            return null;
+        }
+
+        this.resolve(attempt);
+
+        const server = attempt.serverId ? this.serverManager.getServer(attempt.serverId) : null;
+        const pending = attempt.state === CONFIG.PAIRING_STATE.PENDING;
+
+        return {
+            number: attempt.number,
+            state: attempt.state,
+            serverId: attempt.serverId,
+            sessionId: attempt.sessionId,
+            code: pending ? attempt.code : null,
+            error: attempt.error,
+            createdAt: new Date(attempt.createdAt).toISOString(),
+            updatedAt: new Date(attempt.updatedAt).toISOString(),
+            expiresAt: pending ? new Date(attempt.createdAt + CONFIG.PAIRING_CODE_TTL).toISOString() : null,
+            lastCheckedAt: server?.sessionsListedAt ? new Date(server.sessionsListedAt).toISOString() : null
+        };
+    }
+
+    /**
+     * Forget attempts older than the retention period
+     */
+    prune() {
+        const cutoff = Date.now() - CONFIG.PAIRING_STATUS_RETENTION;
+        for (const [number, attempt] of this.attempts) {
+            if (attempt.updatedAt < cutoff) {
+                this.attempts.delete(number);
+            }
+        }
+    }
+
+    /**
+     * Count tracked attempts per state
+     * @returns {Object} - Counts by state
+     */
+    getSummary() {
+        const summary = Object.fromEntries(
+            Object.values(CONFIG.PAIRING_STATE).map(state => [state, 0])
+        );
+
+        this.attempts.forEach(attempt => {
+            this.resolve(attempt);
+            summary[attempt.state]++;
+        });
+        return summary;
+    }
+}
+
+export default PairingTracker;
@@ -0,0 +1,255 @@
+import crypto from 'crypto';
+import { CONFIG } from '../config/constants.js';
+import { cache } from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+import { emitGatewayEvent } from '../utils/eventBus.js';
+import {
+    calculateLoadPercentage,
+    createHttpError,
+    getServerCapacity,
+    mapWithConcurrency,
+    validatePhoneNumber
+} from '../utils/helpers.js';
+
+const MAX_JOBS = 20;
+
+/**
+ * Rebalancer Service
+ * Plans session moves off overloaded or draining backends and executes a
+ * reviewed plan by logging sessions out and flagging their numbers for re-pair.
+ */
+class Rebalancer {
+    constructor(serverManager, pairingCoordinator) {
+        this.serverManager = serverManager;
+        this.pairingCoordinator = pairingCoordinator;
+        this.jobs = new Map(); // jobId -> job
+    }
+
+    /**
+     * Get the sessions a server is known to hold
+     * @param {Object} server - Server entry
+     * @returns {Array<string>} - Session IDs
+     */
+    getServerSessions(server) {
+        const mapped = this.serverManager.sessionMap.getSessionsForServer(server.id);
+        return Array.from(new Set([...mapped, ...(server.sessions || [])]));
+    }
+
+    /**
+     * Compute a rebalancing plan (dry run)
+     * Draining servers are emptied; other servers are brought down to the
+     * utilization the active servers would have if the load were even.
+     * @param {Object} options - { serverId: only move sessions off this server }
+     * @returns {Object} - Plan
+     */
+    createPlan({ serverId } = {}) {
+        if (serverId && !this.serverManager.getServer(serverId)) {
+            throw createHttpError(404, `Server ${serverId} not found`);
+        }
+
+        // Unhealthy backends cannot log sessions out; failover handles them
+        const reachable = this.serverManager.getAllServers()
+            .filter(server => server.status !== CONFIG.STATUS.UNHEALTHY);
+        const targets = this.serverManager.getActiveServers();
+
+        const totalSessions = reachable.reduce((sum, server) => sum + server.sessionCount, 0);
+        const targetCapacity = targets.reduce((sum, server) => sum + getServerCapacity(server), 0);
+        const targetLevel = targetCapacity > 0 ? Math.min(1, totalSessions / targetCapacity) : 1;
+
+        const desiredCount = (server) => server.draining
+            ? 0
+            : Math.ceil(targetLevel * getServerCapacity(server));
+
+        const headroom = new Map(targets.map(server => [
+            server.id,
+            Math.max(0, desiredCount(server) - server.sessionCount)
+        ]));
+
+        const sources = reachable
+            .filter(server => !serverId || server.id === serverId)
+            .map(server => ({ server, excess: server.sessionCount - desiredCount(server) }))
+            .filter(({ excess }) => excess > 0)
+            .sort((a, b) => b.excess - a.excess);
+
+        const moves = [];
+        for (const { server, excess } of sources) {
+            const sessions = this.getServerSessions(server).slice(0, excess);
+
+            for (const sessionId of sessions) {
+                const target = Array.from(headroom.entries())
+                    .filter(([targetId, free]) => targetId !== server.id && free > 0)
+                    .sort((a, b) => b[1] - a[1])[0];
+                if (!target) break;
+
+                const record = this.serverManager.sessionMap.getRecord(sessionId);
+                headroom.set(target[0], target[1] - 1);
+                moves.push({
+                    sessionId,
+                    // Backends name sessions after the number when none was recorded
+                    number: record?.number || (validatePhoneNumber(sessionId) ? sessionId : null),
+                    tenant: record?.tenant || null,
+                    from: server.id,
+                    to: target[0],
+                    reason: server.draining ? 'draining' : 'overloaded'
+                });
+            }
+        }
+
+        const plan = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + CONFIG.REBALANCE_PLAN_TTL).toISOString(),
+            targetLoadPercentage: Math.round(targetLevel * 100),
+            servers: reachable.map(server => ({
+                id: server.id,
+                draining: server.draining,
+                sessionCount: server.sessionCount,
+                maxSessions: getServerCapacity(server),
+                loadPercentage: calculateLoadPercentage(server.sessionCount, getServerCapacity(server)),
+                outgoing: moves.filter(move => move.from === server.id).length,
+                incoming: moves.filter(move => move.to === server.id).length
+            })),
+            moves
+        };
+
+        cache.set(`rebalance_plan_${plan.id}`, plan, CONFIG.REBALANCE_PLAN_TTL);
+        logger.info(`Rebalancing plan ${plan.id} computed`, { moves: moves.length });
+        return plan;
+    }
+
+    /**
+     * Execute a previously computed plan in the background
+     * @param {string} planId - Plan ID from createPlan
+     * @param {Object} options - { concurrency }
+     * @returns {Object} - Job
+     */
+    executePlan(planId, { concurrency = CONFIG.REBALANCE_CONCURRENCY } = {}) {
+        const plan = cache.get(`rebalance_plan_${planId}`);
+        if (!plan) {
+            throw createHttpError(404, `Plan ${planId} not found or expired. Compute a new plan first`);
+        }
+
+        const running = Array.from(this.jobs.values()).find(job => job.status === 'running');
+        if (running) {
+            throw createHttpError(409, `Rebalancing job ${running.id} is still running`);
+        }
+
+        // A plan runs at most once
+        cache.delete(`rebalance_plan_${planId}`);
+
+        const job = {
+            id: crypto.randomUUID(),
+            planId,
+            status: 'running',
+            concurrency,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            total: plan.moves.length,
+            moved: 0,
+            skipped: 0,
+            failed: 0,
+            moves: plan.moves.map(move => ({ ...move, status: 'pending', error: null }))
+        };
+        this.jobs.set(job.id, job);
+
+        // Keep only the most recent jobs (Map preserves insertion order)
+        while (this.jobs.size > MAX_JOBS) {
+            this.jobs.delete(this.jobs.keys().next().value);
+        }
+
+        this.runJob(job).catch(error => {
+            job.status = 'failed';
+            job.finishedAt = new Date().toISOString();
+            logger.error(`Rebalancing job ${job.id} failed:`, { error: error.message });
+        });
+
+        return job;
+    }
+
+    /**
+     * Move every session of a job
+     * @param {Object} job - Job
+     */
+    async runJob(job) {
+        logger.info(`Rebalancing job ${job.id} started`, {
+            moves: job.total,
+            concurrency: job.concurrency
+        });
+
+        await mapWithConcurrency(job.moves, job.concurrency, move => this.moveSession(job, move));
+
+        job.status = 'completed';
+        job.finishedAt = new Date().toISOString();
+        logger.info(`Rebalancing job ${job.id} completed`, {
+            moved: job.moved,
+            skipped: job.skipped,
+            failed: job.failed
+        });
+    }
+
+    /**
+     * Log a session out on its source and flag its number for re-pair
+     * @param {Object} job - Job
+     * @param {Object} move - Planned move
+     */
+    async moveSession(job, move) {
+        move.status = 'running';
+
+        try {
+            await this.serverManager.deleteSessionFromServer(move.from, move.sessionId);
+            move.status = 'moved';
+            job.moved++;
+        } catch (error) {
+            // Already gone from the source: nothing to log out, still re-pair
+            if (error.response?.status === 404) {
+                move.status = 'skipped';
+                move.error = 'Session no longer on source server';
+                job.skipped++;
+            } else {
+                move.status = 'failed';
+                move.error = error.message;
+                job.failed++;
+                return;
+            }
+        }
+
+        if (move.number) {
+            this.pairingCoordinator.flagForRepair(move.number, {
+                targetServerId: move.to,
+                reason: `rebalance ${job.id}`
+            });
+        }
+
+        emitGatewayEvent(CONFIG.EVENTS.SESSION_REPAIR_REQUIRED, {
+            sessionId: move.sessionId,
+            number: move.number,
+            tenant: move.tenant,
+            from: move.from,
+            to: move.to,
+            jobId: job.id
+        });
+    }
+
+    /**
+     * Get a job
+     * @param {string} jobId - Job ID
+     * @returns {Object} - Job
+     */
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            throw createHttpError(404, `Rebalancing job ${jobId} not found`);
+        }
+        return job;
+    }
+
+    /**
+     * List jobs without their moves
+     * @returns {Array} - Job summaries
+     */
+    listJobs() {
+        return Array.from(this.jobs.values()).map(({ moves, ...summary }) => summary);
+    }
+}
+
+export default Rebalancer;
@@ -2,7 +2,22 @@ import axios from 'axios';
 import { CONFIG } from '../config/constants.js';
 import { cache } from '../utils/cache.js';
 import { logger } from '../utils/logger.js';
-import { calculateCapacityMetrics } from '../utils/helpers.js';
+import { 
+    calculateCapacityMetrics, 
+    calculateLoadPercentage, 
+    createHttpError, 
+    deriveServerId, 
+    getServerCapacity, 
+    parseBackendServers, 
+    validatePhoneNumber 
+} from '../utils/helpers.js';
+import { createSessionStore } from '../stores/sessionStore.js';
+import { createServerRegistry } from '../stores/serverRegistry.js';
+import { sharedState } from '../stores/sharedState.js';
+import CircuitBreaker from './circuitBreaker.js';
+import { metrics } from '../utils/metrics.js';
+import { LatencyWindow } from '../utils/latencyWindow.js';
+import { emitGatewayEvent } from '../utils/eventBus.js';
 
 /**
  * Server Manager Service
@@ -12,37 +27,303 @@ class ServerManager {
     constructor() {
         this.servers = new Map();
         this.currentIndex = 0;
-        this.sessionMap = new Map(); // sessionId -> serverId mapping
-        this.initializeServers();
+        this.sessionMap = createSessionStore(CONFIG.SESSION_STORE, {
+            filePath: CONFIG.SESSION_STORE_PATH,
+            sharedState,
+            syncInterval: CONFIG.SHARED_STATE_SYNC_INTERVAL
+        }); // sessionId -> serverId mapping
+        this.breakers = new Map(); // serverId -> CircuitBreaker
+        this.latencies = new Map(); // serverId -> { health, forward } LatencyWindow
+        this.registry = createServerRegistry(CONFIG.SERVER_REGISTRY, {
+            filePath: CONFIG.SERVER_REGISTRY_PATH
+        });
+        this.initializeServers(parseBackendServers(CONFIG.BACKEND_SERVERS));
+        this.registerMetrics();
     }
 
     /**
-     * Initialize servers from configuration
+     * Register per-backend gauges (refreshed on every scrape)
      */
-    initializeServers() {
-        CONFIG.BACKEND_SERVERS.forEach((url, index) => {
-            const serverId = `server-${index + 1}`;
-            this.servers.set(serverId, {
-                id: serverId,
-                url,
-                status: CONFIG.STATUS.HEALTHY,
-                sessionCount: 0,
-                lastChecked: null,
-                responseTime: 0,
-                isActive: true,
-                sessions: [], // Store session IDs for quick lookup
-                metadata: {
-                    createdAt: new Date().toISOString(),
-                    healthChecks: 0,
-                    failures: 0,
-                    deletedSessions: 0
-                }
+    registerMetrics() {
+        const perServer = (getValue) => (metric) => {
+            this.getAllServers().forEach(server => {
+                metric.set({ server: server.id }, getValue(server));
             });
+        };
+        
+        metrics.gauge('gateway_backend_sessions', 'Live sessions per backend', ['server'],
+            perServer(server => server.sessionCount));
+        metrics.gauge('gateway_backend_capacity', 'Maximum sessions per backend', ['server'],
+            perServer(server => getServerCapacity(server)));
+        metrics.gauge('gateway_backend_utilization_ratio', 'Sessions relative to capacity per backend', ['server'],
+            perServer(server => server.sessionCount / getServerCapacity(server)));
+        metrics.gauge('gateway_backend_up', 'Whether the backend passed its last health check', ['server'],
+            perServer(server => server.status === CONFIG.STATUS.UNHEALTHY ? 0 : 1));
+        metrics.gauge('gateway_backend_response_time_seconds', 'Last measured backend response time', ['server'],
+            perServer(server => (server.responseTime || 0) / 1000));
+        metrics.gauge('gateway_backend_circuit_open', 'Whether the backend circuit breaker is open', ['server'],
+            perServer(server => this.getBreaker(server.id).state === CONFIG.CIRCUIT.OPEN ? 1 : 0));
+        metrics.counter('gateway_backend_failures_total', 'Failed health checks per backend', ['server'],
+            perServer(server => server.metadata.failures));
+        metrics.gauge('gateway_mapped_sessions', 'Sessions in the session-to-server map', [],
+            metric => metric.set({}, this.sessionMap.size));
+    }
+
+    /**
+     * Initialize servers from definitions
+     * @param {Array<Object>} definitions - Server definitions ({ id, url, maxSessions, weight, draining })
+     */
+    initializeServers(definitions) {
+        this.servers.clear();
+        definitions.forEach(definition => {
+            this.servers.set(definition.id, this.createServerEntry(definition));
         });
         
         logger.info(`Initialized ${this.servers.size} backend servers`);
     }
 
+    /**
+     * Build the runtime entry of a server
+     * @param {Object} definition - Server definition
+     * @returns {Object} - Server object
+     */
+    createServerEntry({ id, url, maxSessions = null, weight = 1, draining = false, createdAt }) {
+        return {
+            id,
+            url,
+            maxSessions, // null = CONFIG.MAX_SESSIONS_PER_SERVER
+            weight,
+            status: CONFIG.STATUS.HEALTHY,
+            sessionCount: 0,
+            reservedSessions: 0, // pending pairings holding a capacity slot (all replicas)
+            lastChecked: null,
+            responseTime: 0,
+            isActive: !draining,
+            draining,
+            sessions: [], // Store session IDs for quick lookup
+            unhealthySince: null,
+            failedOverAt: null,
+            metadata: {
+                createdAt: createdAt || new Date().toISOString(),
+                healthChecks: 0,
+                failures: 0,
+                deletedSessions: 0
+            }
+        };
+    }
+
+    /**
+     * Load persisted state (server registry and session mappings)
+     */
+    async loadState() {
+        const savedServers = await this.registry.load();
+        if (savedServers) {
+            this.warnIfRegistryDiffers(savedServers);
+            this.initializeServers(savedServers);
+        }
+        
+        await this.sessionMap.load();
+        
+        // Drop mappings to servers that are no longer configured
+        for (const [sessionId, serverId] of Array.from(this.sessionMap.entries())) {
+            if (!this.servers.has(serverId)) {
+                this.sessionMap.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Warn when the saved registry replaces a different BACKEND_SERVERS
+     * The registry wins, so edits to the env var have no effect until the
+     * registry file is removed or the servers are changed through the API.
+     * @param {Array<Object>} savedServers - Saved server definitions
+     */
+    warnIfRegistryDiffers(savedServers) {
+        const describe = ({ id, url }) => `${id}=${url}`;
+        const saved = savedServers.map(describe);
+        const configured = parseBackendServers(CONFIG.BACKEND_SERVERS).map(describe);
+        
+        const onlyConfigured = configured.filter(entry => !saved.includes(entry));
+        const onlySaved = saved.filter(entry => !configured.includes(entry));
+        if (onlyConfigured.length === 0 && onlySaved.length === 0) return;
+        
+        logger.warn(`Server registry ${CONFIG.SERVER_REGISTRY_PATH} differs from BACKEND_SERVERS, using the registry`, {
+            onlyInBackendServers: onlyConfigured,
+            onlyInRegistry: onlySaved
+        });
+    }
+
+    /**
+     * Persist pending state changes
+     */
+    async saveState() {
+        await Promise.all([
+            this.sessionMap.flush(),
+            this.persistServers()
+        ]);
+    }
+
+    /**
+     * Persist server definitions to the registry
+     */
+    async persistServers() {
+        await this.registry.save(this.getAllServers().map(server => ({
+            id: server.id,
+            url: server.url,
+            maxSessions: server.maxSessions,
+            weight: server.weight,
+            draining: server.draining,
+            createdAt: server.metadata.createdAt
+        })));
+    }
+
+    /**
+     * Register a new backend server
+     * @param {Object} definition - Server definition ({ id, url, maxSessions, weight })
+     * @returns {Promise<Object>} - Registered server
+     */
+    async addServer({ id, url, maxSessions, weight }) {
+        const normalizedUrl = url.replace(/\/+$/, '');
+        const serverId = id || deriveServerId(normalizedUrl);
+        
+        if (this.servers.has(serverId)) {
+            throw createHttpError(409, `Server ${serverId} already exists`);
+        }
+        
+        const duplicate = this.getAllServers().find(s => s.url === normalizedUrl);
+        if (duplicate) {
+            throw createHttpError(409, `URL ${normalizedUrl} is already registered as ${duplicate.id}`);
+        }
+        
+        const server = this.createServerEntry({ id: serverId, url: normalizedUrl, maxSessions, weight });
+        this.servers.set(serverId, server);
+        await this.persistServers();
+        
+        logger.info(`Server ${serverId} registered`, { 
+            url: normalizedUrl,
+            maxSessions: getServerCapacity(server)
+        });
+        return server;
+    }
+
+    /**
+     * Update capacity settings of a server
+     * @param {string} serverId - Server ID
+     * @param {Object} settings - { maxSessions, weight }
+     * @returns {Promise<Object>} - Updated server
+     */
+    async updateServer(serverId, { maxSessions, weight }) {
+        const server = this.getServer(serverId);
+        if (!server) {
+            throw createHttpError(404, `Server ${serverId} not found`);
+        }
+        
+        if (maxSessions !== undefined) server.maxSessions = maxSessions;
+        if (weight !== undefined) server.weight = weight;
+        
+        // Re-evaluate the full state against the new capacity
+        const capacity = getServerCapacity(server);
+        if (server.status === CONFIG.STATUS.FULL && server.sessionCount < capacity) {
+            this.updateServerStatus(serverId, CONFIG.STATUS.HEALTHY);
+        } else if (server.status === CONFIG.STATUS.HEALTHY && server.sessionCount >= capacity) {
+            this.updateServerStatus(serverId, CONFIG.STATUS.FULL);
+        }
+        
+        await this.persistServers();
+        
+        logger.info(`Server ${serverId} capacity updated`, {
+            maxSessions: capacity,
+            weight: server.weight
+        });
+        return server;
+    }
+
+    /**
+     * Unregister a backend server
+     * @param {string} serverId - Server ID
+     * @param {Object} options - { force: remove even if sessions are still mapped }
+     * @returns {Promise<Object>} - Removal result
+     */
+    async removeServer(serverId, { force = false } = {}) {
+        const server = this.getServer(serverId);
+        if (!server) {
+            throw createHttpError(404, `Server ${serverId} not found`);
+        }
+        
+        const mappedSessions = this.sessionMap.getSessionsForServer(serverId);
+        if (mappedSessions.length > 0 && !force) {
+            throw createHttpError(409, `Server ${serverId} still holds ${mappedSessions.length} sessions. Move or delete them first, or use force=true`);
+        }
+        
+        mappedSessions.forEach(sessionId => this.sessionMap.delete(sessionId));
+        this.servers.delete(serverId);
+        this.breakers.delete(serverId);
+        this.latencies.delete(serverId);
+        cache.delete(`sessions_${serverId}`);
+        await this.persistServers();
+        
+        logger.warn(`Server ${serverId} removed`, {
+            url: server.url,
+            droppedSessions: mappedSessions.length
+        });
+        
+        return {
+            serverId,
+            url: server.url,
+            droppedSessions: mappedSessions
+        };
+    }
+
+    /**
+     * Put a server in (or out of) draining mode
+     * A draining server keeps its sessions but gets no new pairings
+     * @param {string} serverId - Server ID
+     * @param {boolean} draining - Draining flag
+     * @returns {Promise<Object>} - Updated server
+     */
+    async setDraining(serverId, draining) {
+        const server = this.getServer(serverId);
+        if (!server) {
+            throw createHttpError(404, `Server ${serverId} not found`);
+        }
+        
+        server.draining = draining;
+        server.isActive = !draining && server.status === CONFIG.STATUS.HEALTHY;
+        await this.persistServers();
+        
+        logger.info(`Server ${serverId} ${draining ? 'is draining' : 'is no longer draining'}`);
+        return server;
+    }
+
+    /**
+     * Reconcile session mappings with a server's session listing
+     * @param {string} serverId - Server ID
+     * @param {Array} sessions - Sessions reported by the server
+     */
+    reconcileServerSessions(serverId, sessions) {
+        const server = this.getServer(serverId);
+        if (!server) return;
+        
+        const sessionIds = sessions
+            .map(s => s.id || s.sessionId)
+            .filter(Boolean);
+        
+        server.sessions = sessionIds;
+        
+        const { added, removed } = this.sessionMap.reconcileServer(
+            serverId,
+            sessionIds,
+            CONFIG.SESSION_RECONCILE_GRACE
+        );
+        
+        if (added.length > 0 || removed.length > 0) {
+            logger.info(`Reconciled session mappings for server ${serverId}`, {
+                added: added.length,
+                removed: removed.length
+            });
+        }
+    }
+
     /**
      * Get all servers
      * @returns {Array} - List of servers
@@ -52,16 +333,121 @@ class ServerManager {
     }
 
     /**
-     * Get active servers (healthy and not full)
+     * Get active servers (healthy, not full, not draining, circuit not open)
      * @returns {Array} - List of active servers
      */
     getActiveServers() {
         return this.getAllServers().filter(server => 
             server.status === CONFIG.STATUS.HEALTHY && 
-            server.isActive
+            server.isActive &&
+            !server.draining &&
+            this.getBreaker(server.id).canRequest()
         );
     }
 
+    /**
+     * Get (or create) the circuit breaker of a server
+     * @param {string} serverId - Server ID
+     * @returns {CircuitBreaker} - Circuit breaker
+     */
+    getBreaker(serverId) {
+        if (!this.breakers.has(serverId)) {
+            this.breakers.set(serverId, new CircuitBreaker(serverId));
+        }
+        return this.breakers.get(serverId);
+    }
+
+    /**
+     * Record a measured backend latency
+     * @param {string} serverId - Server ID
+     * @param {number} durationMs - Latency in milliseconds
+     * @param {string} kind - 'health' (probes) or 'forward' (proxied requests)
+     */
+    recordLatency(serverId, durationMs, kind) {
+        const server = this.getServer(serverId);
+        if (!server) return;
+        
+        if (!this.latencies.has(serverId)) {
+            const options = {
+                maxSamples: CONFIG.LATENCY_WINDOW_SIZE,
+                maxAgeMs: CONFIG.LATENCY_WINDOW_MS
+            };
+            this.latencies.set(serverId, {
+                health: new LatencyWindow(options),
+                forward: new LatencyWindow(options)
+            });
+        }
+        
+        this.latencies.get(serverId)[kind].record(durationMs);
+        server.responseTime = Math.round(durationMs);
+    }
+
+    /**
+     * Get latency percentiles of a server
+     * @param {string} serverId - Server ID
+     * @returns {Object} - { health, forward } summaries
+     */
+    getLatencySummary(serverId) {
+        const windows = this.latencies.get(serverId);
+        if (!windows) {
+            const empty = { samples: 0, p50: null, p95: null, p99: null, last: null };
+            return { health: empty, forward: empty };
+        }
+        
+        return {
+            health: windows.health.getSummary(),
+            forward: windows.forward.getSummary()
+        };
+    }
+
+    /**
+     * Get the latency used for routing decisions
+     * Prefers forwarded-request p95, falls back to health-probe p95
+     * @param {string} serverId - Server ID
+     * @returns {number|null} - Latency in milliseconds, or null without data
+     */
+    getRoutingLatency(serverId) {
+        const { health, forward } = this.getLatencySummary(serverId);
+        return forward.samples >= CONFIG.LATENCY_MIN_SAMPLES ? forward.p95 : health.p95;
+    }
+
+    /**
+     * Record a successful request to a server
+     * @param {string} serverId - Server ID
+     */
+    recordRequestSuccess(serverId) {
+        if (!this.servers.has(serverId)) return;
+        this.getBreaker(serverId).recordSuccess();
+    }
+
+    /**
+     * Record a failed request to a server
+     * @param {string} serverId - Server ID
+     * @param {Error} error - Failure cause
+     */
+    recordRequestFailure(serverId, error) {
+        const server = this.getServer(serverId);
+        if (!server) return;
+        
+        server.error = error?.message;
+        this.getBreaker(serverId).recordFailure();
+    }
+
+    /**
+     * Record a health probe of a server (session listing, health check)
+     * @param {string} serverId - Server ID
+     * @param {Error|null} error - Failure cause, null on success
+     */
+    recordProbe(serverId, error = null) {
+        const server = this.getServer(serverId);
+        if (!server) return;
+        
+        if (error) {
+            server.error = error.message;
+        }
+        this.getBreaker(serverId).recordProbe(!error);
+    }
+
     /**
      * Get server by ID
      * @param {string} serverId - Server ID
@@ -148,6 +534,114 @@ class ServerManager {
         return null;
     }
 
+    /**
+     * Locate many sessions with a single /sessions fetch per server
+     * @param {Array<string>} sessionIds - Session IDs
+     * @returns {Promise<Map>} - sessionId -> { server, found, unavailable }
+     */
+    async locateSessions(sessionIds) {
+        const wanted = new Set(sessionIds);
+        const located = new Map();
+        const servers = this.getAllServers().filter(server => server.status !== CONFIG.STATUS.UNHEALTHY);
+        const unavailableServers = new Set(
+            this.getAllServers()
+                .filter(server => server.status === CONFIG.STATUS.UNHEALTHY)
+                .map(server => server.id)
+        );
+        
+        await Promise.all(servers.map(async server => {
+            try {
+                const response = await axios.get(`${server.url}/sessions`, {
+                    timeout: CONFIG.REQUEST_TIMEOUT
+                });
+                
+                const ids = (response.data?.sessions || []).map(s => s.id || s.sessionId);
+                server.sessions = ids;
+                
+                ids.filter(id => wanted.has(id)).forEach(id => {
+                    located.set(id, { server, found: true, unavailable: false });
+                    if (this.sessionMap.get(id) !== server.id) {
+                        this.sessionMap.set(id, server.id);
+                    }
+                });
+            } catch (error) {
+                logger.warn(`Failed to list sessions on server ${server.id}:`, {
+                    error: error.message
+                });
+                unavailableServers.add(server.id);
+            }
+        }));
+        
+        // Sessions mapped to a server that could not be listed are unknown, not missing
+        sessionIds.forEach(sessionId => {
+            if (located.has(sessionId)) return;
+            
+            const mappedServerId = this.sessionMap.get(sessionId);
+            located.set(sessionId, mappedServerId && unavailableServers.has(mappedServerId)
+                ? { server: this.getServer(mappedServerId), found: false, unavailable: true }
+                : { server: null, found: false, unavailable: false });
+        });
+        
+        return located;
+    }
+
+    /**
+     * Fetch and store the full session listing of a server
+     * @param {Object} server - Server entry
+     * @returns {Promise<Array>} - Listed sessions
+     */
+    async refreshSessionListing(server) {
+        const response = await axios.get(`${server.url}/sessions`, {
+            timeout: CONFIG.REQUEST_TIMEOUT
+        });
+        
+        const sessions = response.data?.sessions || [];
+        server.sessionsList = sessions;
+        server.sessionsListedAt = Date.now();
+        server.sessions = sessions.map(s => s.id || s.sessionId);
+        return sessions;
+    }
+
+    /**
+     * Get every listed session annotated with its owning backend
+     * @param {Object} options - { live: fetch listings now instead of using the health-check snapshot }
+     * @returns {Promise<Array>} - Session entries
+     */
+    async getSessionListing({ live = false } = {}) {
+        const servers = this.getAllServers();
+        
+        if (live) {
+            await Promise.all(servers
+                .filter(server => server.status !== CONFIG.STATUS.UNHEALTHY)
+                .map(server => this.refreshSessionListing(server).catch(error => {
+                    logger.warn(`Failed to list sessions on server ${server.id}:`, {
+                        error: error.message
+                    });
+                })));
+        }
+        
+        return servers.flatMap(server => (server.sessionsList || []).map(session => {
+            const sessionId = session.id || session.sessionId;
+            const record = this.sessionMap.getRecord(sessionId);
+            
+            return {
+                sessionId,
+                number: record?.number || (validatePhoneNumber(sessionId) ? sessionId : null),
+                tenant: record?.tenant || null,
+                status: session.status || session.state || null,
+                server: {
+                    id: server.id,
+                    url: server.url,
+                    status: server.status
+                },
+                lastSeenAt: server.sessionsListedAt ? new Date(server.sessionsListedAt).toISOString() : null,
+                mappedAt: record?.createdAt || null,
+                expiresAt: record?.expiresAt || null,
+                details: session
+            };
+        }));
+    }
+
     /**
      * Delete a session from a specific server
      * @param {string} serverId - Server ID
@@ -179,6 +673,8 @@ class ServerManager {
             server.metadata.deletedSessions++;
             
             // Remove from session map
+            const record = this.sessionMap.getRecord(sessionId);
+            const previousCount = server.sessionCount;
             this.sessionMap.delete(sessionId);
             
             // Remove from server sessions list
@@ -199,6 +695,14 @@ class ServerManager {
                 newSessionCount: server.sessionCount
             });
             
+            emitGatewayEvent(CONFIG.EVENTS.SESSION_DELETED, {
+                sessionId,
+                serverId: server.id,
+                number: record?.number || null,
+                tenant: record?.tenant || null
+            });
+            this.emitSessionCountChange(server, previousCount);
+            
             return {
                 success: true,
                 serverId: server.id,
@@ -213,6 +717,13 @@ class ServerManager {
                 response: error.response?.data
             });
             
+            emitGatewayEvent(CONFIG.EVENTS.SESSION_DELETE_FAILED, {
+                sessionId,
+                serverId: server.id,
+                status: error.response?.status || null,
+                error: error.message
+            });
+            
             // If session not found on backend, still clean up local mapping
             if (error.response?.status === 404) {
                 this.sessionMap.delete(sessionId);
@@ -235,6 +746,8 @@ class ServerManager {
         const server = this.servers.get(serverId);
         if (!server) return;
 
+        const previousStatus = server.status;
+        const previousCount = server.sessionCount;
         server.status = status;
         server.lastChecked = new Date().toISOString();
         server.metadata.healthChecks++;
@@ -242,12 +755,15 @@ class ServerManager {
         if (status === CONFIG.STATUS.UNHEALTHY) {
             server.metadata.failures++;
             server.isActive = false;
+            server.unhealthySince = server.unhealthySince || Date.now();
             logger.error(`Server ${serverId} marked as unhealthy`);
         } else if (status === CONFIG.STATUS.FULL) {
             server.isActive = false;
+            server.unhealthySince = null;
             logger.warn(`Server ${serverId} marked as full`);
         } else {
-            server.isActive = true;
+            server.isActive = !server.draining;
+            server.unhealthySince = null;
         }
 
         // Update additional data
@@ -255,6 +771,51 @@ class ServerManager {
         
         // Clear cache for this server's sessions
         cache.delete(`sessions_${serverId}`);
+        
+        if (previousStatus !== status) {
+            this.emitStatusChange(server, previousStatus);
+        }
+        this.emitSessionCountChange(server, previousCount);
+    }
+
+    /**
+     * Publish a change of a backend's session count on the event bus
+     * @param {Object} server - Server entry
+     * @param {number} previousCount - Session count before the update
+     */
+    emitSessionCountChange(server, previousCount) {
+        if (server.sessionCount === previousCount) return;
+        
+        emitGatewayEvent(CONFIG.EVENTS.SERVER_SESSIONS_CHANGED, {
+            serverId: server.id,
+            sessionCount: server.sessionCount,
+            previousCount,
+            maxSessions: getServerCapacity(server),
+            loadPercentage: calculateLoadPercentage(server.sessionCount, getServerCapacity(server))
+        });
+    }
+
+    /**
+     * Publish a backend status transition on the event bus
+     * @param {Object} server - Server entry
+     * @param {string} previousStatus - Status before the transition
+     */
+    emitStatusChange(server, previousStatus) {
+        const eventTypes = {
+            [CONFIG.STATUS.UNHEALTHY]: CONFIG.EVENTS.SERVER_UNHEALTHY,
+            [CONFIG.STATUS.FULL]: CONFIG.EVENTS.SERVER_FULL,
+            [CONFIG.STATUS.HEALTHY]: CONFIG.EVENTS.SERVER_RECOVERED
+        };
+        
+        emitGatewayEvent(eventTypes[server.status], {
+            serverId: server.id,
+            url: server.url,
+            status: server.status,
+            previousStatus,
+            sessionCount: server.sessionCount,
+            maxSessions: getServerCapacity(server),
+            error: server.error || null
+        });
     }
 
     /**
@@ -276,9 +837,11 @@ class ServerManager {
         }
         
         try {
+            const start = Date.now();
             const response = await axios.get(`${server.url}/sessions`, {
                 timeout: CONFIG.REQUEST_TIMEOUT
             });
+            this.recordLatency(serverId, Date.now() - start, 'health');
             
             const sessions = response.data?.sessions || [];
             const sessionCount = sessions.length;
@@ -296,11 +859,11 @@ class ServerManager {
             
             // Cache the result
             cache.set(cacheKey, sessionCount, CONFIG.SESSION_CACHE_TTL);
+            this.recordProbe(serverId);
             
             // Update server data
             this.updateServerStatus(serverId, server.status, {
-                sessionCount,
-                responseTime: response.duration || 0
+                sessionCount
             });
             
             return sessionCount;
@@ -309,12 +872,7 @@ class ServerManager {
                 error: error.message
             });
             
-            // Mark as unhealthy if request fails
-            if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-                this.updateServerStatus(serverId, CONFIG.STATUS.UNHEALTHY, {
-                    error: error.message
-                });
-            }
+            this.recordProbe(serverId, error);
             
             throw error;
         }
@@ -331,15 +889,18 @@ class ServerManager {
         const sessionPromises = servers.map(async (server) => {
             try {
                 const sessionCount = await this.getServerSessionCount(server.id);
+                const reservedSessions = server.reservedSessions || 0;
                 return {
                     serverId: server.id,
                     url: server.url,
                     sessionCount,
+                    reservedSessions,
                     status: server.status,
                     isActive: server.isActive,
                     lastChecked: server.lastChecked,
-                    maxSessions: CONFIG.MAX_SESSIONS_PER_SERVER,
-                    loadPercentage: Math.round((sessionCount / CONFIG.MAX_SESSIONS_PER_SERVER) * 100)
+                    maxSessions: getServerCapacity(server),
+                    weight: server.weight,
+                    loadPercentage: calculateLoadPercentage(sessionCount + reservedSessions, getServerCapacity(server))
                 };
             } catch (error) {
                 logger.warn(`Failed to get sessions for ${server.id}:`, {
@@ -349,10 +910,12 @@ class ServerManager {
                     serverId: server.id,
                     url: server.url,
                     sessionCount: server.sessionCount || 0,
+                    reservedSessions: server.reservedSessions || 0,
                     status: server.status,
                     isActive: false,
                     error: 'Failed to fetch real-time data',
-                    maxSessions: CONFIG.MAX_SESSIONS_PER_SERVER,
+                    maxSessions: getServerCapacity(server),
+                    weight: server.weight,
                     loadPercentage: 0
                 };
             }
@@ -360,20 +923,26 @@ class ServerManager {
         
         const serverSessions = await Promise.all(sessionPromises);
         
-        // Calculate capacity metrics
+        // Calculate capacity metrics (pending reservations take capacity too)
         const capacityMetrics = calculateCapacityMetrics(serverSessions);
+        const reservedSessions = serverSessions.reduce((sum, s) => sum + s.reservedSessions, 0);
+        const usedPercentage = calculateLoadPercentage(
+            capacityMetrics.totalSessions + reservedSessions,
+            capacityMetrics.totalCapacity
+        );
         
         // Categorize servers
         const healthyServers = serverSessions.filter(s => s.status === 'healthy');
         const unhealthyServers = serverSessions.filter(s => s.status === 'unhealthy');
-        const fullServers = serverSessions.filter(s => s.sessionCount >= CONFIG.MAX_SESSIONS_PER_SERVER);
+        const fullServers = serverSessions.filter(s => s.sessionCount + s.reservedSessions >= s.maxSessions);
         
         return {
             summary: {
                 totalSessions: capacityMetrics.totalSessions,
+                reservedSessions,
                 totalCapacity: capacityMetrics.totalCapacity,
-                availableSessions: capacityMetrics.availableSessions,
-                usedPercentage: capacityMetrics.usedPercentage,
+                availableSessions: Math.max(0, capacityMetrics.availableSessions - reservedSessions),
+                usedPercentage,
                 serverCount: servers.length,
                 healthyCount: healthyServers.length,
                 unhealthyCount: unhealthyServers.length,
@@ -383,13 +952,14 @@ class ServerManager {
             servers: serverSessions,
             capacity: {
                 used: capacityMetrics.totalSessions,
+                reserved: reservedSessions,
                 total: capacityMetrics.totalCapacity,
-                available: capacityMetrics.availableSessions,
-                utilization: capacityMetrics.usedPercentage,
-                maxPerServer: CONFIG.MAX_SESSIONS_PER_SERVER
+                available: Math.max(0, capacityMetrics.availableSessions - reservedSessions),
+                utilization: usedPercentage,
+                maxPerServer: capacityMetrics.maxPerServer
             },
             status: {
-                isCapacityCritical: capacityMetrics.usedPercentage >= 90,
+                isCapacityCritical: usedPercentage >= 90,
                 isAnyServerFull: fullServers.length > 0,
                 isAnyServerUnhealthy: unhealthyServers.length > 0,
                 allServersHealthy: unhealthyServers.length === 0
@@ -418,9 +988,14 @@ class ServerManager {
                 status: server.status,
                 sessionCount: server.sessionCount,
                 isActive: server.isActive,
+                draining: server.draining,
                 lastChecked: server.lastChecked,
                 responseTime: server.responseTime,
-                loadPercentage: Math.round((server.sessionCount / CONFIG.MAX_SESSIONS_PER_SERVER) * 100),
+                latency: this.getLatencySummary(server.id),
+                maxSessions: getServerCapacity(server),
+                weight: server.weight,
+                loadPercentage: calculateLoadPercentage(server.sessionCount, getServerCapacity(server)),
+                circuitBreaker: this.getBreaker(server.id).getState(),
                 metadata: {
                     healthChecks: server.metadata.healthChecks,
                     failures: server.metadata.failures,
@@ -438,7 +1013,8 @@ class ServerManager {
         const server = this.getServer(serverId);
         if (server) {
             server.status = CONFIG.STATUS.HEALTHY;
-            server.isActive = true;
+            server.isActive = !server.draining;
+            this.getBreaker(serverId).reset();
             logger.info(`Server ${serverId} reset to healthy`);
         }
     }
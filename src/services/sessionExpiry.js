@@ -0,0 +1,261 @@
+import { CONFIG } from '../config/constants.js';
+import { tenants } from '../config/apiKeys.js';
+import { logger } from '../utils/logger.js';
+import { emitGatewayEvent } from '../utils/eventBus.js';
+import { createHttpError, mapWithConcurrency } from '../utils/helpers.js';
+
+const EXPIRY_CONCURRENCY = 5;
+
+/**
+ * Session Expiry Service
+ * Enforces session TTLs: warns before expiry and logs expired sessions out.
+ * The expiry is stored on the session map record (expiresAt, warnedAt).
+ */
+class SessionExpiry {
+    constructor(serverManager, tenantQuota) {
+        this.serverManager = serverManager;
+        this.tenantQuota = tenantQuota;
+        this.checkInterval = null;
+        this.checking = false;
+        this.expiredCount = 0;
+        this.volatileTtlWarned = false;
+    }
+
+    /**
+     * Start the expiry scheduler
+     */
+    start() {
+        const tenantsWithTtl = Array.from(tenants.values())
+            .filter(quota => quota.sessionTtl > 0)
+            .map(quota => quota.name);
+        if (tenantsWithTtl.length > 0) {
+            this.warnVolatileTtl(`tenants ${tenantsWithTtl.join(', ')}`);
+        }
+        
+        this.checkInterval = setInterval(
+            () => this.checkExpirations(),
+            CONFIG.SESSION_EXPIRY_CHECK_INTERVAL
+        );
+    }
+
+    /**
+     * Stop the expiry scheduler
+     */
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    /**
+     * Warn once that expiries are lost on restart with the memory store
+     * Sessions paired before a restart (or remapped by the reconciler) then never expire
+     * @param {string} source - What sets a TTL
+     */
+    warnVolatileTtl(source) {
+        if (CONFIG.SESSION_STORE !== 'memory' || this.volatileTtlWarned) {
+            return;
+        }
+        
+        this.volatileTtlWarned = true;
+        logger.warn(`Session TTLs (set by ${source}) are kept in memory only and lost on restart. Use SESSION_STORE=file or shared so sessions keep expiring`);
+    }
+
+    /**
+     * Resolve the TTL of a new pairing
+     * @param {number|undefined} ttl - Validated ttl query parameter (seconds)
+     * @param {string|undefined} tenant - Requesting tenant
+     * @returns {number|null} - TTL in seconds, or null for no expiry
+     */
+    resolveTtl(ttl, tenant) {
+        if (ttl !== undefined) {
+            this.warnVolatileTtl('the ttl parameter');
+            return ttl;
+        }
+
+        const tenantTtl = tenant ? this.tenantQuota.getTenant(tenant)?.sessionTtl : 0;
+        return tenantTtl > 0 ? tenantTtl : null;
+    }
+
+    /**
+     * Build the expiry metadata stored with a session mapping
+     * @param {number|null} ttl - TTL in seconds
+     * @returns {Object} - { expiresAt } or empty
+     */
+    buildExpiry(ttl) {
+        return ttl ? { expiresAt: new Date(Date.now() + ttl * 1000).toISOString() } : {};
+    }
+
+    /**
+     * Get the mapping record of a session visible to a tenant
+     * @param {string} sessionId - Session ID
+     * @param {string|undefined} tenant - Requesting tenant
+     * @returns {Object} - Record
+     */
+    getAccessibleRecord(sessionId, tenant) {
+        const record = this.serverManager.sessionMap.getRecord(sessionId);
+        if (!record || !this.tenantQuota.canAccessSession(tenant, sessionId)) {
+            throw createHttpError(404, `Session ${sessionId} is not tracked by the gateway`);
+        }
+        return record;
+    }
+
+    /**
+     * Push the expiry of a session back by a TTL
+     * @param {string} sessionId - Session ID
+     * @param {number} ttl - Seconds to add
+     * @param {string|undefined} tenant - Requesting tenant
+     * @returns {Object} - { sessionId, previousExpiresAt, expiresAt }
+     */
+    extend(sessionId, ttl, tenant) {
+        const record = this.getAccessibleRecord(sessionId, tenant);
+        if (!record.expiresAt) {
+            throw createHttpError(409, `Session ${sessionId} has no expiry to extend. Use renew to set one`);
+        }
+
+        const base = Math.max(Date.now(), new Date(record.expiresAt).getTime());
+        return this.setExpiry(sessionId, record, new Date(base + ttl * 1000).toISOString());
+    }
+
+    /**
+     * Restart the expiry of a session from now
+     * @param {string} sessionId - Session ID
+     * @param {number|undefined} ttl - TTL in seconds (defaults to the tenant TTL)
+     * @param {string|undefined} tenant - Requesting tenant
+     * @returns {Object} - { sessionId, previousExpiresAt, expiresAt }
+     */
+    renew(sessionId, ttl, tenant) {
+        const record = this.getAccessibleRecord(sessionId, tenant);
+        const renewTtl = ttl ?? this.resolveTtl(undefined, record.tenant);
+        if (!renewTtl) {
+            throw createHttpError(400, 'ttl is required when the session has no tenant default');
+        }
+
+        return this.setExpiry(sessionId, record, new Date(Date.now() + renewTtl * 1000).toISOString());
+    }
+
+    /**
+     * Store a new expiry on a session mapping
+     */
+    setExpiry(sessionId, record, expiresAt) {
+        this.warnVolatileTtl('an extend or renew');
+        this.serverManager.sessionMap.set(sessionId, record.serverId, {
+            expiresAt,
+            warnedAt: null
+        });
+
+        logger.info(`Session ${sessionId} now expires at ${expiresAt}`, {
+            previousExpiresAt: record.expiresAt || null
+        });
+
+        return {
+            sessionId,
+            previousExpiresAt: record.expiresAt || null,
+            expiresAt
+        };
+    }
+
+    /**
+     * Warn about sessions close to expiry and log out expired ones
+     */
+    async checkExpirations() {
+        if (this.checking) return;
+        this.checking = true;
+
+        try {
+            const now = Date.now();
+            const expired = [];
+
+            for (const [sessionId, record] of Array.from(this.serverManager.sessionMap.recordEntries())) {
+                if (!record.expiresAt) continue;
+
+                const expiresAt = new Date(record.expiresAt).getTime();
+                if (expiresAt <= now) {
+                    expired.push([sessionId, record]);
+                } else if (!record.warnedAt && expiresAt - now <= CONFIG.SESSION_EXPIRY_WARNING) {
+                    this.warn(sessionId, record);
+                }
+            }
+
+            await mapWithConcurrency(expired, EXPIRY_CONCURRENCY, ([sessionId, record]) =>
+                this.expire(sessionId, record)
+            );
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    /**
+     * Announce an upcoming expiry (once per expiry)
+     */
+    warn(sessionId, record) {
+        this.serverManager.sessionMap.set(sessionId, record.serverId, {
+            warnedAt: new Date().toISOString()
+        });
+
+        logger.info(`Session ${sessionId} expires at ${record.expiresAt}`);
+        emitGatewayEvent(CONFIG.EVENTS.SESSION_EXPIRING, {
+            sessionId,
+            number: record.number || null,
+            tenant: record.tenant || null,
+            serverId: record.serverId,
+            expiresAt: record.expiresAt
+        });
+    }
+
+    /**
+     * Log out an expired session on its backend
+     */
+    async expire(sessionId, record) {
+        try {
+            if (this.serverManager.getServer(record.serverId)) {
+                await this.serverManager.deleteSessionFromServer(record.serverId, sessionId);
+            } else {
+                this.serverManager.sessionMap.delete(sessionId);
+            }
+        } catch (error) {
+            // Already gone from the backend: the mapping was cleaned up anyway
+            if (error.response?.status !== 404) {
+                logger.warn(`Failed to log out expired session ${sessionId}, will retry`, {
+                    server: record.serverId,
+                    error: error.message
+                });
+                return;
+            }
+        }
+
+        this.expiredCount++;
+        logger.info(`Session ${sessionId} expired and was logged out`, {
+            server: record.serverId,
+            expiresAt: record.expiresAt
+        });
+        emitGatewayEvent(CONFIG.EVENTS.SESSION_EXPIRED, {
+            sessionId,
+            number: record.number || null,
+            tenant: record.tenant || null,
+            serverId: record.serverId,
+            expiresAt: record.expiresAt
+        });
+    }
+
+    /**
+     * Get scheduler status
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        let withExpiry = 0;
+        for (const [, record] of this.serverManager.sessionMap.recordEntries()) {
+            if (record.expiresAt) withExpiry++;
+        }
+
+        return {
+            checkInterval: CONFIG.SESSION_EXPIRY_CHECK_INTERVAL,
+            warningWindow: CONFIG.SESSION_EXPIRY_WARNING,
+            sessionsWithExpiry: withExpiry,
+            expired: this.expiredCount
+        };
+    }
+}
+
+export default SessionExpiry;
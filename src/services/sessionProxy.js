@@ -0,0 +1,146 @@
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { createHttpError } from '../utils/helpers.js';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile an allow-list entry ("[METHOD|METHOD ]/path/:sessionId/*")
+ * @param {string} entry - Allow-list entry
+ * @returns {Object} - { entry, methods, regex }
+ */
+const compileRule = (entry) => {
+    const parts = entry.split(/\s+/);
+    const pattern = parts.length > 1 ? parts[1] : parts[0];
+    const methods = parts.length > 1 ? parts[0].toUpperCase().split('|') : null;
+
+    if (!pattern.startsWith('/')) {
+        throw new Error(`Invalid proxy path "${entry}": paths start with /`);
+    }
+
+    const source = pattern
+        .split('/')
+        .map((segment, index, segments) => {
+            if (segment === '*' && index === segments.length - 1) return '.*';
+            if (segment === ':sessionId') return '(?<sessionId>[^/]+)';
+            return escapeRegExp(segment);
+        })
+        .join('/');
+
+    return { entry, methods, regex: new RegExp(`^${source}$`) };
+};
+
+/**
+ * Check a path for segments the backend URL would resolve away (../)
+ * @param {string} path - Raw request path
+ * @returns {boolean} - True if the path escapes its prefix
+ */
+const isTraversal = (path) => {
+    return path.split('/').some(segment => {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (error) {
+            return true;
+        }
+        return decoded === '.' || decoded === '..' || decoded.includes('\\') || decoded.includes('/');
+    });
+};
+
+/**
+ * Session Proxy Service
+ * Lets clients call any allow-listed backend route of a session through
+ * the gateway. Requests go to the backend owning the session only: a
+ * session cannot move, so there is no retry on another backend.
+ */
+class SessionProxy {
+    constructor(serverManager, loadBalancer, tenantQuota) {
+        this.serverManager = serverManager;
+        this.loadBalancer = loadBalancer;
+        this.tenantQuota = tenantQuota;
+        this.rules = CONFIG.PROXY_ALLOWED_PATHS.map(compileRule);
+    }
+
+    /**
+     * Check a backend path against the allow-list
+     * A :sessionId segment only matches the proxied session, so one session
+     * cannot be used to reach another.
+     * @param {string} method - HTTP method
+     * @param {string} path - Backend path
+     * @param {string} sessionId - Proxied session ID
+     * @returns {boolean} - True if allowed
+     */
+    isAllowed(method, path, sessionId) {
+        if (isTraversal(path)) return false;
+
+        return this.rules.some(rule => {
+            if (rule.methods && !rule.methods.includes(method.toUpperCase())) return false;
+
+            const match = path.match(rule.regex);
+            if (!match) return false;
+
+            const pathSessionId = match.groups?.sessionId;
+            return pathSessionId === undefined || decodeURIComponent(pathSessionId) === sessionId;
+        });
+    }
+
+    /**
+     * Find the backend a proxied request goes to
+     * @param {string} sessionId - Session ID
+     * @param {string} method - HTTP method
+     * @param {string} path - Backend path
+     * @param {string|undefined} tenant - Requesting tenant
+     * @returns {Promise<Object>} - Owning server
+     */
+    async resolveTarget(sessionId, method, path, tenant) {
+        if (!this.isAllowed(method, path, sessionId)) {
+            throw createHttpError(403, `${method} ${path} is not an allowed backend path`);
+        }
+
+        // Tenants only reach their own sessions
+        if (!this.tenantQuota.canAccessSession(tenant, sessionId)) {
+            throw createHttpError(404, `Session ${sessionId} not found on any backend server`);
+        }
+
+        const location = await this.serverManager.findSessionServer(sessionId);
+        if (!location) {
+            throw createHttpError(404, `Session ${sessionId} not found on any backend server`);
+        }
+
+        const { server } = location;
+        if (server.status === CONFIG.STATUS.UNHEALTHY || !this.serverManager.getBreaker(server.id).canRequest()) {
+            throw createHttpError(503, `Backend ${server.id} owning session ${sessionId} is unavailable`);
+        }
+
+        return server;
+    }
+
+    /**
+     * Forward a request to the backend owning a session
+     * @param {Object} req - Express request object
+     * @param {string} sessionId - Session ID
+     * @param {string} path - Backend path
+     * @param {string|undefined} tenant - Requesting tenant
+     * @returns {Promise<Object>} - { data (stream), status, headers, server }
+     */
+    async forward(req, sessionId, path, tenant) {
+        const server = await this.resolveTarget(sessionId, req.method, path, tenant);
+
+        try {
+            return await this.loadBalancer.forwardRequest(req, server, 0, {
+                path,
+                pinned: true,
+                stream: true
+            });
+        } catch (error) {
+            logger.error(`Proxying ${req.method} ${path} for session ${sessionId} failed:`, {
+                server: server.id,
+                error: error.message
+            });
+            // Size limit errors already carry their status
+            throw error.statusCode ? error : createHttpError(502, `Backend ${server.id} failed: ${error.message}`);
+        }
+    }
+}
+
+export default SessionProxy;
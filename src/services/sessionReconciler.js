@@ -0,0 +1,266 @@
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { createHttpError, validatePhoneNumber } from '../utils/helpers.js';
+
+export const RECONCILE_POLICIES = ['report', 'keep-mapped'];
+
+/**
+ * Session Reconciler Service
+ * Periodically compares the session map with every backend's /sessions
+ * listing: fixes stale mappings and finds sessions or numbers that are live
+ * on more than one backend.
+ *
+ * Duplicate policies:
+ *   report      -> only report duplicates
+ *   keep-mapped -> keep the copy on the mapped (or first) backend, log out the others
+ */
+class SessionReconciler {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.reconcileInterval = null;
+        this.running = null;
+        this.lastReport = null;
+        this.runs = 0;
+    }
+
+    /**
+     * Start periodic reconciliation
+     */
+    start() {
+        if (!CONFIG.RECONCILE_ENABLED) {
+            logger.info('Session reconciliation job is disabled');
+            return;
+        }
+
+        this.reconcileInterval = setInterval(() => {
+            this.run().catch(error => {
+                logger.error('Session reconciliation failed:', { error: error.message });
+            });
+        }, CONFIG.RECONCILE_INTERVAL);
+    }
+
+    /**
+     * Stop periodic reconciliation
+     */
+    stop() {
+        if (this.reconcileInterval) {
+            clearInterval(this.reconcileInterval);
+            this.reconcileInterval = null;
+        }
+    }
+
+    /**
+     * Run a reconciliation pass (joins the pass already running)
+     * @param {Object} options - { policy }
+     * @returns {Promise<Object>} - Report
+     */
+    run({ policy = CONFIG.RECONCILE_DUPLICATE_POLICY } = {}) {
+        if (!RECONCILE_POLICIES.includes(policy)) {
+            return Promise.reject(createHttpError(400, `Unknown duplicate policy: ${policy}. Available: ${RECONCILE_POLICIES.join(', ')}`));
+        }
+
+        if (!this.running) {
+            this.running = this.reconcile(policy).finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Fetch listings of every reachable backend
+     * @returns {Promise<Map>} - serverId -> Set of listed session IDs
+     */
+    async fetchListings() {
+        const listings = new Map();
+        const servers = this.serverManager.getAllServers()
+            .filter(server => server.status !== CONFIG.STATUS.UNHEALTHY);
+
+        await Promise.all(servers.map(async server => {
+            try {
+                const sessions = await this.serverManager.refreshSessionListing(server);
+                listings.set(server.id, new Set(sessions.map(s => s.id || s.sessionId).filter(Boolean)));
+            } catch (error) {
+                logger.warn(`Reconciler could not list sessions on server ${server.id}:`, {
+                    error: error.message
+                });
+            }
+        }));
+
+        return listings;
+    }
+
+    /**
+     * Reconcile the session map against live listings
+     * @param {string} policy - Duplicate policy
+     * @returns {Promise<Object>} - Report
+     */
+    async reconcile(policy) {
+        const startedAt = new Date().toISOString();
+        const sessionMap = this.serverManager.sessionMap;
+        const listings = await this.fetchListings();
+
+        // sessionId -> servers listing it
+        const holders = new Map();
+        listings.forEach((sessionIds, serverId) => {
+            sessionIds.forEach(sessionId => {
+                holders.set(sessionId, [...(holders.get(sessionId) || []), serverId]);
+            });
+        });
+
+        const remapped = [];
+        const removed = [];
+        const cutoff = Date.now() - CONFIG.SESSION_RECONCILE_GRACE;
+
+        // Stale mappings: only judged against backends that were actually listed
+        for (const [sessionId, record] of Array.from(sessionMap.recordEntries())) {
+            const servers = holders.get(sessionId) || [];
+            if (servers.includes(record.serverId)) continue;
+
+            const mappedServerListed = listings.has(record.serverId);
+            const mappedServerExists = Boolean(this.serverManager.getServer(record.serverId));
+            if (mappedServerListed || !mappedServerExists) {
+                if (servers.length > 0) {
+                    sessionMap.set(sessionId, servers[0]);
+                    remapped.push({ sessionId, from: record.serverId, to: servers[0] });
+                } else if (new Date(record.updatedAt).getTime() <= cutoff) {
+                    sessionMap.delete(sessionId);
+                    removed.push({ sessionId, serverId: record.serverId });
+                }
+            }
+        }
+
+        // Mappings for listed sessions the gateway did not know about
+        const added = [];
+        holders.forEach((servers, sessionId) => {
+            if (!sessionMap.has(sessionId)) {
+                sessionMap.set(sessionId, servers[0]);
+                added.push({ sessionId, serverId: servers[0] });
+            }
+        });
+
+        const duplicates = this.findDuplicates(holders);
+        const loggedOut = policy === 'keep-mapped'
+            ? await this.resolveDuplicates(duplicates)
+            : [];
+
+        const report = {
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            policy,
+            serversListed: Array.from(listings.keys()),
+            serversSkipped: this.serverManager.getAllServers()
+                .map(server => server.id)
+                .filter(serverId => !listings.has(serverId)),
+            mappings: sessionMap.size,
+            added,
+            remapped,
+            removed,
+            duplicates,
+            loggedOut
+        };
+
+        this.runs++;
+        this.lastReport = report;
+
+        const changed = added.length + remapped.length + removed.length;
+        if (changed > 0 || duplicates.length > 0) {
+            logger.warn('Session reconciliation found inconsistencies', {
+                added: added.length,
+                remapped: remapped.length,
+                removed: removed.length,
+                duplicates: duplicates.length,
+                loggedOut: loggedOut.length
+            });
+        } else {
+            logger.info('Session reconciliation found no inconsistencies');
+        }
+
+        return report;
+    }
+
+    /**
+     * Find session IDs and phone numbers live on more than one backend
+     * @param {Map} holders - sessionId -> server IDs
+     * @returns {Array} - Duplicates { kind, key, copies: [{ sessionId, serverId }] }
+     */
+    findDuplicates(holders) {
+        const duplicates = [];
+        const byNumber = new Map(); // number -> copies
+
+        holders.forEach((servers, sessionId) => {
+            const copies = servers.map(serverId => ({ sessionId, serverId }));
+
+            if (servers.length > 1) {
+                duplicates.push({ kind: 'sessionId', key: sessionId, copies });
+            }
+
+            const record = this.serverManager.sessionMap.getRecord(sessionId);
+            const number = record?.number || (validatePhoneNumber(sessionId) ? sessionId : null);
+            if (number) {
+                byNumber.set(number, [...(byNumber.get(number) || []), ...copies]);
+            }
+        });
+
+        byNumber.forEach((copies, number) => {
+            const sessionIds = new Set(copies.map(copy => copy.sessionId));
+            const serverIds = new Set(copies.map(copy => copy.serverId));
+            // Same session ID on two backends is already reported above
+            if (sessionIds.size > 1 && serverIds.size > 1) {
+                duplicates.push({ kind: 'number', key: number, copies });
+            }
+        });
+
+        return duplicates;
+    }
+
+    /**
+     * Log out every copy except the one on the mapped (or first) backend
+     * @param {Array} duplicates - Duplicates from findDuplicates
+     * @returns {Promise<Array>} - Logged out copies with their outcome
+     */
+    async resolveDuplicates(duplicates) {
+        const sessionMap = this.serverManager.sessionMap;
+        const loggedOut = [];
+
+        for (const duplicate of duplicates) {
+            const keeper = duplicate.copies.find(copy => sessionMap.get(copy.sessionId) === copy.serverId)
+                || duplicate.copies[0];
+            const extras = duplicate.copies.filter(copy => copy !== keeper);
+
+            for (const copy of extras) {
+                try {
+                    await this.serverManager.deleteSessionFromServer(copy.serverId, copy.sessionId);
+                    loggedOut.push({ ...copy, kind: duplicate.kind, ok: true });
+                } catch (error) {
+                    loggedOut.push({ ...copy, kind: duplicate.kind, ok: false, error: error.message });
+                }
+            }
+
+            // Logging out a same-ID copy drops the mapping; point it back at the keeper
+            if (duplicate.kind === 'sessionId') {
+                sessionMap.set(keeper.sessionId, keeper.serverId);
+            }
+        }
+
+        return loggedOut;
+    }
+
+    /**
+     * Get reconciler status and last report
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        return {
+            enabled: CONFIG.RECONCILE_ENABLED,
+            interval: CONFIG.RECONCILE_INTERVAL,
+            policy: CONFIG.RECONCILE_DUPLICATE_POLICY,
+            availablePolicies: RECONCILE_POLICIES,
+            running: Boolean(this.running),
+            runs: this.runs,
+            lastReport: this.lastReport
+        };
+    }
+}
+
+export default SessionReconciler;
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import { getServerCapacity, getServerUsage } from '../../utils/helpers.js';
+
+const VIRTUAL_NODES = 100;
+
+/**
+ * Hash a string to an unsigned 32-bit integer
+ * @param {string} value - Value to hash
+ * @returns {number} - Hash
+ */
+const hash32 = (value) => {
+    return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+};
+
+/**
+ * Consistent-hash strategy
+ * Hashes the phone number on a ring of servers so re-pairs land on the same
+ * backend. Walks the ring to the next server when the owner is unavailable.
+ */
+class ConsistentHashStrategy {
+    constructor(serverManager) {
+        this.name = 'consistent-hash';
+        this.serverManager = serverManager;
+        this.ring = [];
+        this.ringSignature = null;
+    }
+
+    /**
+     * Rebuild the ring when registered servers or their weights change
+     * Heavier servers get proportionally more virtual nodes
+     */
+    ensureRing() {
+        const servers = this.serverManager.getAllServers()
+            .map(s => ({ id: s.id, weight: s.weight || 1 }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+        const signature = servers.map(s => `${s.id}:${s.weight}`).join(',');
+
+        if (signature === this.ringSignature) return;
+
+        this.ring = servers
+            .flatMap(({ id, weight }) => Array.from({ length: Math.max(1, Math.round(VIRTUAL_NODES * weight)) }, (_, i) => ({
+                point: hash32(`${id}#${i}`),
+                serverId: id
+            })))
+            .sort((a, b) => a.point - b.point);
+        this.ringSignature = signature;
+    }
+
+    /**
+     * Select a server
+     * @param {Array} servers - Candidate servers (active)
+     * @param {Object} context - Selection context ({ key })
+     * @returns {Promise<Object>} - Selected server
+     */
+    async select(servers, context = {}) {
+        const candidates = new Map(
+            servers
+                .filter(server => getServerUsage(server) < getServerCapacity(server))
+                .map(server => [server.id, server])
+        );
+
+        if (candidates.size === 0) {
+            throw new Error('ALL_FULL');
+        }
+
+        if (!context.key) {
+            const load = server => getServerUsage(server) / getServerCapacity(server);
+            return Array.from(candidates.values())
+                .reduce((best, server) => load(server) < load(best) ? server : best);
+        }
+
+        this.ensureRing();
+
+        const point = hash32(String(context.key));
+        let start = this.ring.findIndex(node => node.point >= point);
+        if (start === -1) start = 0;
+
+        for (let i = 0; i < this.ring.length; i++) {
+            const node = this.ring[(start + i) % this.ring.length];
+            if (candidates.has(node.serverId)) {
+                return candidates.get(node.serverId);
+            }
+        }
+
+        throw new Error('ALL_FULL');
+    }
+
+    getStatus() {
+        return {
+            ringSize: this.ring.length,
+            virtualNodesPerServer: VIRTUAL_NODES
+        };
+    }
+}
+
+export default ConsistentHashStrategy;
@@ -0,0 +1,31 @@
+import LeastConnectionsStrategy from './leastConnections.js';
+import WeightedStrategy from './weighted.js';
+import ConsistentHashStrategy from './consistentHash.js';
+import PowerOfTwoChoicesStrategy from './powerOfTwoChoices.js';
+
+/**
+ * Load-balancing strategies
+ * Each strategy exposes `name`, `select(servers, context)` and `getStatus()`.
+ */
+const STRATEGIES = {
+    'least-connections': LeastConnectionsStrategy,
+    'weighted': WeightedStrategy,
+    'consistent-hash': ConsistentHashStrategy,
+    'power-of-two-choices': PowerOfTwoChoicesStrategy
+};
+
+export const AVAILABLE_STRATEGIES = Object.keys(STRATEGIES);
+
+/**
+ * Create a strategy by name
+ * @param {string} name - Strategy name
+ * @param {Object} serverManager - Server manager
+ * @returns {Object} - Strategy instance
+ */
+export const createStrategy = (name, serverManager) => {
+    const Strategy = STRATEGIES[name];
+    if (!Strategy) {
+        throw new Error(`Unknown load-balancing strategy: ${name}. Available: ${AVAILABLE_STRATEGIES.join(', ')}`);
+    }
+    return new Strategy(serverManager);
+};
@@ -0,0 +1,85 @@
+import { logger } from '../../utils/logger.js';
+import { getServerCapacity } from '../../utils/helpers.js';
+import { sharedState } from '../../stores/sharedState.js';
+
+/**
+ * Least-connections strategy
+ * Picks the server with the lowest live load (sessions and reserved slots
+ * relative to its capacity),
+ * round-robin on ties (the cursor lives in the shared state so replicas take turns).
+ * Session counts are fetched live (cached for SESSION_CACHE_TTL).
+ */
+class LeastConnectionsStrategy {
+    constructor(serverManager) {
+        this.name = 'least-connections';
+        this.serverManager = serverManager;
+        this.roundRobinIndex = 0;
+    }
+
+    /**
+     * Select a server
+     * @param {Array} servers - Candidate servers (active)
+     * @returns {Promise<Object>} - Selected server
+     */
+    async select(servers) {
+        const serversWithSessions = await Promise.all(servers.map(async (server) => {
+            try {
+                const liveCount = await this.serverManager.getServerSessionCount(server.id);
+                const sessionCount = liveCount + (server.reservedSessions || 0);
+                return { server, sessionCount, load: sessionCount / getServerCapacity(server) };
+            } catch (error) {
+                logger.warn(`Failed to get session count for ${server.id}:`, {
+                    error: error.message
+                });
+                return { server, sessionCount: Infinity, load: Infinity };
+            }
+        }));
+        
+        // Filter out servers that are full
+        const availableServers = serversWithSessions.filter(
+            ({ server, sessionCount }) => sessionCount < getServerCapacity(server)
+        );
+
+        if (availableServers.length === 0) {
+            throw new Error('ALL_FULL');
+        }
+
+        // Find servers with minimum load
+        const minLoad = Math.min(...availableServers.map(s => s.load));
+        const leastLoadedServers = availableServers.filter(
+            s => s.load === minLoad
+        );
+
+        // If multiple servers have the same load, use round-robin
+        if (leastLoadedServers.length > 1) {
+            this.roundRobinIndex = await this.nextRoundRobinIndex(leastLoadedServers.length);
+            return leastLoadedServers[this.roundRobinIndex].server;
+        }
+
+        return leastLoadedServers[0].server;
+    }
+
+    /**
+     * Advance the round-robin cursor (local cursor if the shared state is unreachable)
+     * @param {number} length - Number of tied servers
+     * @returns {Promise<number>} - Index among the tied servers
+     */
+    async nextRoundRobinIndex(length) {
+        try {
+            return await sharedState.nextIndex('round_robin') % length;
+        } catch (error) {
+            logger.warn('Shared round-robin cursor unavailable, using local cursor:', {
+                error: error.message
+            });
+            return (this.roundRobinIndex + 1) % length;
+        }
+    }
+
+    getStatus() {
+        return {
+            roundRobinIndex: this.roundRobinIndex
+        };
+    }
+}
+
+export default LeastConnectionsStrategy;
@@ -0,0 +1,47 @@
+import { getServerCapacity, getServerUsage } from '../../utils/helpers.js';
+
+/**
+ * Power-of-two-choices strategy
+ * Samples two random servers and keeps the less loaded one (relative to capacity).
+ * Uses the session counts from the last health check (no live calls).
+ */
+class PowerOfTwoChoicesStrategy {
+    constructor() {
+        this.name = 'power-of-two-choices';
+    }
+
+    /**
+     * Select a server
+     * @param {Array} servers - Candidate servers (active)
+     * @returns {Promise<Object>} - Selected server
+     */
+    async select(servers) {
+        const candidates = servers.filter(
+            server => getServerUsage(server) < getServerCapacity(server)
+        );
+
+        if (candidates.length === 0) {
+            throw new Error('ALL_FULL');
+        }
+
+        if (candidates.length === 1) {
+            return candidates[0];
+        }
+
+        const firstIndex = Math.floor(Math.random() * candidates.length);
+        let secondIndex = Math.floor(Math.random() * (candidates.length - 1));
+        if (secondIndex >= firstIndex) secondIndex++;
+
+        const first = candidates[firstIndex];
+        const second = candidates[secondIndex];
+
+        const load = server => getServerUsage(server) / getServerCapacity(server);
+        return load(second) < load(first) ? second : first;
+    }
+
+    getStatus() {
+        return {};
+    }
+}
+
+export default PowerOfTwoChoicesStrategy;
@@ -0,0 +1,48 @@
+import { getServerCapacity, getServerUsage } from '../../utils/helpers.js';
+
+/**
+ * Weighted strategy
+ * Random pick weighted by remaining capacity times the server weight.
+ * Uses the session counts from the last health check (no live calls).
+ */
+class WeightedStrategy {
+    constructor() {
+        this.name = 'weighted';
+    }
+
+    /**
+     * Select a server
+     * @param {Array} servers - Candidate servers (active)
+     * @returns {Promise<Object>} - Selected server
+     */
+    async select(servers) {
+        const weightedServers = servers
+            .map(server => ({
+                server,
+                weight: Math.max(getServerCapacity(server) - getServerUsage(server), 0) * (server.weight || 1)
+            }))
+            .filter(({ weight }) => weight > 0);
+
+        if (weightedServers.length === 0) {
+            throw new Error('ALL_FULL');
+        }
+
+        const totalWeight = weightedServers.reduce((sum, { weight }) => sum + weight, 0);
+        let target = Math.random() * totalWeight;
+
+        for (const { server, weight } of weightedServers) {
+            target -= weight;
+            if (target < 0) {
+                return server;
+            }
+        }
+
+        return weightedServers[weightedServers.length - 1].server;
+    }
+
+    getStatus() {
+        return {};
+    }
+}
+
+export default WeightedStrategy;
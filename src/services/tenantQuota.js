@@ -0,0 +1,175 @@
+import { tenants } from '../config/apiKeys.js';
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Tenant Quota Service
+ * Enforces per-tenant live session limits and hourly pairing budgets
+ */
+class TenantQuota {
+    constructor(serverManager) {
+        this.serverManager = serverManager;
+        this.pairingHistory = new Map(); // tenant -> timestamps of recent pairings
+        this.pendingPairings = new Map(); // tenant -> pairings started but not yet settled
+    }
+
+    /**
+     * Get tenant quota definition
+     * @param {string} tenant - Tenant name
+     * @returns {Object|null} - Quota or null if unknown
+     */
+    getTenant(tenant) {
+        return tenants.get(tenant) || null;
+    }
+
+    /**
+     * Count live sessions owned by a tenant
+     * @param {string} tenant - Tenant name
+     * @returns {number} - Session count
+     */
+    countSessions(tenant) {
+        let count = 0;
+        for (const [, record] of this.serverManager.sessionMap.recordEntries()) {
+            if (record.tenant === tenant) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Get pairing timestamps within the last hour (prunes older ones)
+     * @param {string} tenant - Tenant name
+     * @returns {Array<number>} - Timestamps
+     */
+    getRecentPairings(tenant) {
+        const cutoff = Date.now() - HOUR_MS;
+        const recent = (this.pairingHistory.get(tenant) || []).filter(ts => ts > cutoff);
+        this.pairingHistory.set(tenant, recent);
+        return recent;
+    }
+
+    /**
+     * Count pairings of a tenant that are still in flight
+     * @param {string} tenant - Tenant name
+     * @returns {number} - Pending pairings
+     */
+    countPending(tenant) {
+        return this.pendingPairings.get(tenant) || 0;
+    }
+
+    /**
+     * Check whether a tenant may start a new pairing
+     * Pairings in flight count against both limits.
+     * @param {string} tenant - Tenant name
+     * @returns {Object} - { allowed, error, retryAfter }
+     */
+    checkPairing(tenant) {
+        const quota = this.getTenant(tenant);
+        if (!quota) {
+            return { allowed: true };
+        }
+
+        const pending = this.countPending(tenant);
+
+        if (quota.maxSessions > 0) {
+            const sessions = this.countSessions(tenant) + pending;
+            if (sessions >= quota.maxSessions) {
+                logger.warn(`Tenant ${tenant} reached its session quota`, {
+                    sessions,
+                    maxSessions: quota.maxSessions
+                });
+                return {
+                    allowed: false,
+                    error: `Tenant session quota reached (${sessions}/${quota.maxSessions})`
+                };
+            }
+        }
+
+        if (quota.pairingsPerHour > 0) {
+            const recent = this.getRecentPairings(tenant);
+            if (recent.length + pending >= quota.pairingsPerHour) {
+                logger.warn(`Tenant ${tenant} exhausted its hourly pairing budget`, {
+                    pairings: recent.length,
+                    pending,
+                    pairingsPerHour: quota.pairingsPerHour
+                });
+                return {
+                    allowed: false,
+                    error: `Tenant pairing budget exhausted (${quota.pairingsPerHour} per hour)`,
+                    // Only pending pairings in the way: they settle within a request timeout
+                    retryAfter: recent.length > 0
+                        ? Math.ceil((recent[0] + HOUR_MS - Date.now()) / 1000)
+                        : Math.ceil(CONFIG.REQUEST_TIMEOUT / 1000)
+                };
+            }
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Check the quota and hold a place for a new pairing
+     * The hold keeps concurrent requests of the tenant from overshooting
+     * the quota; release it once the pairing settled (recorded or failed).
+     * @param {string} tenant - Tenant name
+     * @returns {Object} - { allowed, error, retryAfter }
+     */
+    reservePairing(tenant) {
+        const check = this.checkPairing(tenant);
+        if (check.allowed) {
+            this.pendingPairings.set(tenant, this.countPending(tenant) + 1);
+        }
+        return check;
+    }
+
+    /**
+     * Release a hold taken by reservePairing
+     * @param {string} tenant - Tenant name
+     */
+    releasePairing(tenant) {
+        const pending = this.countPending(tenant) - 1;
+        if (pending > 0) {
+            this.pendingPairings.set(tenant, pending);
+        } else {
+            this.pendingPairings.delete(tenant);
+        }
+    }
+
+    /**
+     * Record a successful pairing against the tenant budget
+     * @param {string} tenant - Tenant name
+     */
+    recordPairing(tenant) {
+        const recent = this.getRecentPairings(tenant);
+        recent.push(Date.now());
+    }
+
+    /**
+     * Check whether a session is visible to a tenant
+     * @param {string|undefined} tenant - Requesting tenant (undefined = unrestricted)
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} - True if the tenant owns the session or is unrestricted
+     */
+    canAccessSession(tenant, sessionId) {
+        if (!tenant) return true;
+        return this.serverManager.sessionMap.getRecord(sessionId)?.tenant === tenant;
+    }
+
+    /**
+     * Get usage of every tenant
+     * @returns {Array} - Usage per tenant
+     */
+    getUsage() {
+        return Array.from(tenants.values()).map(quota => ({
+            tenant: quota.name,
+            sessions: this.countSessions(quota.name),
+            maxSessions: quota.maxSessions,
+            pairingsLastHour: this.getRecentPairings(quota.name).length,
+            pairingsInFlight: this.countPending(quota.name),
+            pairingsPerHour: quota.pairingsPerHour
+        }));
+    }
+}
+
+export default TenantQuota;
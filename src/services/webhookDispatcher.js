@@ -0,0 +1,248 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { CONFIG } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+import { gatewayEvents } from '../utils/eventBus.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+import { createHttpError, delay } from '../utils/helpers.js';
+
+/**
+ * Sign a webhook payload
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Delivery timestamp
+ * @param {string} body - Serialized payload
+ * @returns {string} - Signature header value
+ */
+export const signPayload = (secret, timestamp, body) => {
+    const digest = crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Webhook Dispatcher Service
+ * Delivers gateway events to subscribed URLs with HMAC signatures,
+ * exponential-backoff retries and a dead-letter list.
+ */
+class WebhookDispatcher {
+    constructor() {
+        this.subscriptions = new Map();
+        this.deadLetters = [];
+        this.stats = { delivered: 0, retried: 0, failed: 0 };
+        this.handleEvent = (event) => this.dispatch(event);
+    }
+
+    /**
+     * Load persisted subscriptions and start listening for events
+     */
+    async start() {
+        if (CONFIG.WEBHOOK_STORE === 'file') {
+            const saved = await readJsonFile(CONFIG.WEBHOOK_STORE_PATH, { subscriptions: [] });
+            saved.subscriptions.forEach(sub => this.subscriptions.set(sub.id, sub));
+            logger.info(`Loaded ${this.subscriptions.size} webhook subscriptions`);
+        }
+
+        gatewayEvents.on('event', this.handleEvent);
+    }
+
+    /**
+     * Stop listening for events
+     */
+    stop() {
+        gatewayEvents.off('event', this.handleEvent);
+    }
+
+    /**
+     * Persist subscriptions (file store only)
+     */
+    async persist() {
+        if (CONFIG.WEBHOOK_STORE !== 'file') return;
+
+        await writeJsonFile(CONFIG.WEBHOOK_STORE_PATH, {
+            savedAt: new Date().toISOString(),
+            subscriptions: Array.from(this.subscriptions.values())
+        });
+    }
+
+    /**
+     * Register a subscriber
+     * @param {Object} definition - { url, events, secret, description }
+     * @returns {Promise<Object>} - Subscription (including its secret)
+     */
+    async subscribe({ url, events = ['*'], secret, description }) {
+        const subscription = {
+            id: crypto.randomUUID(),
+            url,
+            events,
+            secret: secret || crypto.randomBytes(24).toString('hex'),
+            description: description || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.subscriptions.set(subscription.id, subscription);
+        await this.persist();
+
+        logger.info(`Webhook subscription ${subscription.id} registered`, { url, events });
+        return subscription;
+    }
+
+    /**
+     * Remove a subscriber
+     * @param {string} subscriptionId - Subscription ID
+     */
+    async unsubscribe(subscriptionId) {
+        if (!this.subscriptions.delete(subscriptionId)) {
+            throw createHttpError(404, `Webhook ${subscriptionId} not found`);
+        }
+
+        await this.persist();
+        logger.info(`Webhook subscription ${subscriptionId} removed`);
+    }
+
+    /**
+     * List subscribers (secrets masked)
+     * @returns {Array} - Subscriptions
+     */
+    listSubscriptions() {
+        return Array.from(this.subscriptions.values()).map(({ secret, ...sub }) => ({
+            ...sub,
+            secret: `${secret.slice(0, 4)}…`
+        }));
+    }
+
+    /**
+     * Send an event to every matching subscriber
+     * @param {Object} event - Gateway event
+     */
+    dispatch(event) {
+        this.subscriptions.forEach(subscription => {
+            if (subscription.events.includes('*') || subscription.events.includes(event.type)) {
+                this.deliver(subscription, event).catch(error => {
+                    logger.error('Unexpected webhook delivery error:', { error: error.message });
+                });
+            }
+        });
+    }
+
+    /**
+     * Deliver an event to one subscriber, retrying with exponential backoff
+     * @param {Object} subscription - Subscription
+     * @param {Object} event - Gateway event
+     * @returns {Promise<boolean>} - True if delivered
+     */
+    async deliver(subscription, event) {
+        const body = JSON.stringify(event);
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= CONFIG.WEBHOOK_MAX_ATTEMPTS; attempt++) {
+            const timestamp = String(Date.now());
+
+            try {
+                await axios.post(subscription.url, body, {
+                    timeout: CONFIG.WEBHOOK_TIMEOUT,
+                    headers: {
+                        'content-type': 'application/json',
+                        'user-agent': 'Smart-Gateway-Proxy/1.0',
+                        'x-gateway-event': event.type,
+                        'x-gateway-delivery': event.id,
+                        'x-gateway-timestamp': timestamp,
+                        'x-gateway-signature': signPayload(subscription.secret, timestamp, body)
+                    }
+                });
+
+                this.stats.delivered++;
+                logger.debug(`Webhook ${event.type} delivered to ${subscription.url}`, { attempt });
+                return true;
+            } catch (error) {
+                lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+                logger.warn(`Webhook delivery to ${subscription.url} failed`, {
+                    event: event.type,
+                    attempt,
+                    error: lastError
+                });
+
+                if (attempt < CONFIG.WEBHOOK_MAX_ATTEMPTS) {
+                    this.stats.retried++;
+                    await delay(CONFIG.WEBHOOK_RETRY_BASE_DELAY * 2 ** (attempt - 1));
+                }
+            }
+        }
+
+        this.stats.failed++;
+        this.addDeadLetter(subscription, event, lastError);
+        return false;
+    }
+
+    /**
+     * Keep a failed delivery for inspection (bounded list)
+     */
+    addDeadLetter(subscription, event, error) {
+        this.deadLetters.push({
+            id: crypto.randomUUID(),
+            subscriptionId: subscription.id,
+            url: subscription.url,
+            event,
+            attempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+            lastError: error,
+            failedAt: new Date().toISOString()
+        });
+
+        if (this.deadLetters.length > CONFIG.WEBHOOK_DEAD_LETTER_LIMIT) {
+            this.deadLetters.shift();
+        }
+
+        logger.error(`Webhook ${event.type} moved to dead letters`, {
+            url: subscription.url,
+            error
+        });
+    }
+
+    /**
+     * List dead letters
+     * @returns {Array} - Failed deliveries
+     */
+    getDeadLetters() {
+        return this.deadLetters;
+    }
+
+    /**
+     * Schedule redelivery of a dead-lettered event
+     * Fails again into the dead-letter list if every attempt fails
+     * @param {string} deadLetterId - Dead letter ID
+     * @returns {Object} - The dead letter being retried
+     */
+    retryDeadLetter(deadLetterId) {
+        const index = this.deadLetters.findIndex(d => d.id === deadLetterId);
+        if (index === -1) {
+            throw createHttpError(404, `Dead letter ${deadLetterId} not found`);
+        }
+
+        const deadLetter = this.deadLetters[index];
+        const subscription = this.subscriptions.get(deadLetter.subscriptionId);
+        if (!subscription) {
+            throw createHttpError(410, `Webhook ${deadLetter.subscriptionId} no longer exists`);
+        }
+
+        this.deadLetters.splice(index, 1);
+        this.deliver(subscription, deadLetter.event).catch(error => {
+            logger.error('Unexpected webhook delivery error:', { error: error.message });
+        });
+        return deadLetter;
+    }
+
+    /**
+     * Get dispatcher status
+     * @returns {Object} - Status
+     */
+    getStatus() {
+        return {
+            subscriptions: this.subscriptions.size,
+            deadLetters: this.deadLetters.length,
+            ...this.stats
+        };
+    }
+}
+
+export default WebhookDispatcher;
@@ -0,0 +1,74 @@
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+/**
+ * In-memory server registry
+ * Nothing is persisted: servers always come from configuration.
+ */
+export class MemoryServerRegistry {
+    /**
+     * Load persisted server definitions
+     * @returns {Promise<Array|null>} - Server definitions, or null if none were saved
+     */
+    async load() {
+        return null;
+    }
+
+    /**
+     * Persist server definitions
+     * @param {Array<Object>} servers - Server definitions
+     */
+    async save(servers) {}
+}
+
+/**
+ * File-backed server registry
+ * Once saved, the file takes precedence over BACKEND_SERVERS.
+ */
+export class FileServerRegistry extends MemoryServerRegistry {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        const data = await readJsonFile(this.filePath, null);
+        if (!data) return null;
+
+        logger.info(`Loaded ${data.servers.length} backend servers from ${this.filePath}`);
+        return data.servers;
+    }
+
+    save(servers) {
+        this.pendingWrite = this.pendingWrite
+            .then(() => writeJsonFile(this.filePath, {
+                savedAt: new Date().toISOString(),
+                servers
+            }))
+            .catch(error => {
+                logger.error(`Failed to persist server registry to ${this.filePath}:`, {
+                    error: error.message
+                });
+            });
+
+        return this.pendingWrite;
+    }
+}
+
+/**
+ * Create a server registry from configuration
+ * @param {string} type - Registry type ('memory' or 'file')
+ * @param {Object} options - Registry options
+ * @returns {MemoryServerRegistry} - Server registry
+ */
+export const createServerRegistry = (type, options = {}) => {
+    switch (type) {
+        case 'file':
+            return new FileServerRegistry(options.filePath);
+        case 'memory':
+            return new MemoryServerRegistry();
+        default:
+            throw new Error(`Unknown server registry type: ${type}`);
+    }
+};
@@ -0,0 +1,346 @@
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const SHARED_SESSIONS_KEY = 'sessions';
+
+/**
+ * In-memory session store
+ * Keeps the sessionId -> serverId mapping. Exposes a Map-like interface
+ * (get/set/delete/has/entries/size) so it can be used as a drop-in for a Map.
+ */
+export class MemorySessionStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    /**
+     * Load persisted records (no-op for the memory store)
+     */
+    async load() {}
+
+    /**
+     * Persist pending changes (no-op for the memory store)
+     */
+    async flush() {}
+
+    /**
+     * Called after every mutation
+     */
+    onChange() {}
+
+    get size() {
+        return this.records.size;
+    }
+
+    /**
+     * Get the server owning a session
+     * @param {string} sessionId - Session ID
+     * @returns {string|undefined} - Server ID
+     */
+    get(sessionId) {
+        return this.records.get(sessionId)?.serverId;
+    }
+
+    /**
+     * Get the full record of a session
+     * @param {string} sessionId - Session ID
+     * @returns {Object|null} - Session record or null
+     */
+    getRecord(sessionId) {
+        return this.records.get(sessionId) || null;
+    }
+
+    has(sessionId) {
+        return this.records.has(sessionId);
+    }
+
+    /**
+     * Map a session to a server
+     * @param {string} sessionId - Session ID
+     * @param {string} serverId - Owning server ID
+     * @param {Object} meta - Extra fields stored with the record
+     */
+    set(sessionId, serverId, meta = {}) {
+        const existing = this.records.get(sessionId);
+
+        // Skip unchanged mappings to avoid needless writes
+        if (existing && existing.serverId === serverId && Object.keys(meta).length === 0) {
+            return this;
+        }
+
+        const now = new Date().toISOString();
+        this.records.set(sessionId, {
+            ...existing,
+            ...meta,
+            serverId,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        });
+
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Remove a session mapping
+     * @param {string} sessionId - Session ID
+     * @returns {boolean} - True if a mapping was removed
+     */
+    delete(sessionId) {
+        const removed = this.records.delete(sessionId);
+        if (removed) {
+            this.onChange();
+        }
+        return removed;
+    }
+
+    /**
+     * Iterate over [sessionId, serverId] pairs
+     */
+    *entries() {
+        for (const [sessionId, record] of this.records) {
+            yield [sessionId, record.serverId];
+        }
+    }
+
+    /**
+     * Iterate over [sessionId, record] pairs
+     */
+    recordEntries() {
+        return this.records.entries();
+    }
+
+    /**
+     * Get session IDs mapped to a server
+     * @param {string} serverId - Server ID
+     * @returns {Array<string>} - Session IDs
+     */
+    getSessionsForServer(serverId) {
+        return Array.from(this.entries())
+            .filter(([_, sId]) => sId === serverId)
+            .map(([sessionId]) => sessionId);
+    }
+
+    /**
+     * Align mappings of a server with the sessions it actually reports
+     * @param {string} serverId - Server ID
+     * @param {Array<string>} sessionIds - Session IDs listed by the server
+     * @param {number} graceMs - Mappings updated more recently than this are kept
+     * @returns {Object} - Added and removed session IDs
+     */
+    reconcileServer(serverId, sessionIds, graceMs = 0) {
+        const listed = new Set(sessionIds);
+        const added = [];
+        const removed = [];
+        const cutoff = Date.now() - graceMs;
+
+        for (const sessionId of listed) {
+            if (this.get(sessionId) !== serverId) {
+                this.set(sessionId, serverId);
+                added.push(sessionId);
+            }
+        }
+
+        for (const [sessionId, record] of Array.from(this.records)) {
+            if (record.serverId !== serverId || listed.has(sessionId)) continue;
+
+            // Freshly paired sessions may not be listed by the backend yet
+            if (new Date(record.updatedAt).getTime() > cutoff) continue;
+
+            this.delete(sessionId);
+            removed.push(sessionId);
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * Export records as a plain object
+     * @returns {Object} - sessionId -> record
+     */
+    toJSON() {
+        return Object.fromEntries(this.records);
+    }
+}
+
+/**
+ * File-backed session store
+ * Writes through to a JSON file; bursts of changes are coalesced into one write.
+ */
+export class FileSessionStore extends MemorySessionStore {
+    constructor(filePath, { writeDelay = 200 } = {}) {
+        super();
+        this.filePath = filePath;
+        this.writeDelay = writeDelay;
+        this.writeTimer = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Load records from disk
+     */
+    async load() {
+        const data = await readJsonFile(this.filePath, {});
+
+        this.records = new Map(Object.entries(data.sessions || {}));
+        logger.info(`Loaded ${this.records.size} session mappings from ${this.filePath}`);
+    }
+
+    onChange() {
+        if (this.writeTimer) return;
+
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.persist();
+        }, this.writeDelay);
+        this.writeTimer.unref();
+    }
+
+    /**
+     * Write the current records to disk (writes are serialized)
+     * @returns {Promise} - Resolves when the write completes
+     */
+    persist() {
+        this.pendingWrite = this.pendingWrite
+            .then(() => writeJsonFile(this.filePath, {
+                savedAt: new Date().toISOString(),
+                sessions: this.toJSON()
+            }))
+            .catch(error => {
+                logger.error(`Failed to persist session store to ${this.filePath}:`, {
+                    error: error.message
+                });
+            });
+
+        return this.pendingWrite;
+    }
+
+    /**
+     * Write pending changes immediately
+     */
+    async flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+        }
+        await this.persist();
+    }
+}
+
+/**
+ * Session store kept in the shared state (several gateway replicas)
+ * Writes go through to the shared hash; the local copy is refreshed from it
+ * periodically so mappings made by other replicas become visible.
+ */
+export class SharedSessionStore extends MemorySessionStore {
+    constructor(sharedState, { syncInterval = 5000 } = {}) {
+        super();
+        this.sharedState = sharedState;
+        this.syncInterval = syncInterval;
+        this.syncTimer = null;
+        this.localChanges = new Map(); // sessionId -> { record, at } (null record = deleted)
+        this.pendingWrites = new Set();
+    }
+
+    /**
+     * Load records from the shared state and keep them in sync
+     */
+    async load() {
+        await this.sync();
+        logger.info(`Loaded ${this.records.size} session mappings from shared state`);
+
+        this.syncTimer = setInterval(() => {
+            this.sync().catch(error => {
+                logger.warn('Failed to sync session mappings from shared state:', {
+                    error: error.message
+                });
+            });
+        }, this.syncInterval);
+        this.syncTimer.unref();
+    }
+
+    /**
+     * Replace the local copy with the shared records
+     * Changes made while the snapshot was in flight are applied on top of it.
+     */
+    async sync() {
+        const startedAt = Date.now();
+        const records = new Map(Object.entries(await this.sharedState.hashGetAll(SHARED_SESSIONS_KEY)));
+
+        this.localChanges.forEach(({ record, at }, sessionId) => {
+            if (at < startedAt) {
+                this.localChanges.delete(sessionId);
+            } else if (record) {
+                records.set(sessionId, record);
+            } else {
+                records.delete(sessionId);
+            }
+        });
+
+        this.records = records;
+    }
+
+    set(sessionId, serverId, meta = {}) {
+        const before = this.records.get(sessionId);
+        super.set(sessionId, serverId, meta);
+
+        const record = this.records.get(sessionId);
+        if (record !== before) {
+            this.localChanges.set(sessionId, { record, at: Date.now() });
+            this.write(this.sharedState.hashSet(SHARED_SESSIONS_KEY, sessionId, record));
+        }
+        return this;
+    }
+
+    delete(sessionId) {
+        const removed = super.delete(sessionId);
+        if (removed) {
+            this.localChanges.set(sessionId, { record: null, at: Date.now() });
+            this.write(this.sharedState.hashDelete(SHARED_SESSIONS_KEY, sessionId));
+        }
+        return removed;
+    }
+
+    /**
+     * Track a write to the shared state
+     * @param {Promise} write - Pending write
+     */
+    write(write) {
+        const tracked = write
+            .catch(error => {
+                logger.error('Failed to write session mapping to shared state:', {
+                    error: error.message
+                });
+            })
+            .finally(() => this.pendingWrites.delete(tracked));
+        this.pendingWrites.add(tracked);
+    }
+
+    /**
+     * Wait for pending writes
+     */
+    async flush() {
+        await Promise.all(Array.from(this.pendingWrites));
+    }
+}
+
+/**
+ * Create a session store from configuration
+ * @param {string} type - Store type ('memory', 'file' or 'shared')
+ * @param {Object} options - Store options
+ * @returns {MemorySessionStore} - Session store
+ */
+export const createSessionStore = (type, options = {}) => {
+    switch (type) {
+        case 'file':
+            return new FileSessionStore(options.filePath);
+        case 'shared':
+            return new SharedSessionStore(options.sharedState, {
+                syncInterval: options.syncInterval
+            });
+        case 'memory':
+            return new MemorySessionStore();
+        default:
+            throw new Error(`Unknown session store type: ${type}`);
+    }
+};
@@ -0,0 +1,289 @@
+import os from 'os';
+import { CONFIG } from '../config/constants.js';
+import { RespClient } from '../utils/respClient.js';
+
+/**
+ * Shared state for running several gateway replicas
+ * Holds what replicas must agree on: session ownership, reserved capacity
+ * slots, rate-limit counters, backend health and the round-robin cursor.
+ * Values are JSON; every method is async so the Redis backend is a drop-in.
+ */
+
+/**
+ * In-process shared state (single replica)
+ */
+export class MemorySharedState {
+    constructor({ prefix = '', instanceId } = {}) {
+        this.type = 'memory';
+        this.prefix = prefix;
+        this.instanceId = instanceId || `${os.hostname()}-${process.pid}`;
+        this.hashes = new Map(); // key -> Map(field -> json)
+        this.counters = new Map(); // key -> { count, resetAt }
+        this.slots = new Map(); // key -> Map(id -> expiresAt)
+    }
+
+    async connect() {}
+
+    async close() {}
+
+    key(name) {
+        return `${this.prefix}${name}`;
+    }
+
+    async hashSet(key, field, value) {
+        const hash = this.hashes.get(this.key(key)) || new Map();
+        hash.set(field, JSON.stringify(value));
+        this.hashes.set(this.key(key), hash);
+    }
+
+    async hashGet(key, field) {
+        const value = this.hashes.get(this.key(key))?.get(field);
+        return value === undefined ? null : JSON.parse(value);
+    }
+
+    async hashDelete(key, field) {
+        this.hashes.get(this.key(key))?.delete(field);
+    }
+
+    async hashGetAll(key) {
+        const hash = this.hashes.get(this.key(key)) || new Map();
+        return Object.fromEntries(Array.from(hash, ([field, value]) => [field, JSON.parse(value)]));
+    }
+
+    /**
+     * Count a hit in a fixed window
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length
+     * @returns {Promise<Object>} - { count, resetAt }
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let counter = this.counters.get(this.key(key));
+        if (!counter || counter.resetAt <= now) {
+            counter = { count: 0, resetAt: now + windowMs };
+            this.counters.set(this.key(key), counter);
+        }
+        counter.count++;
+        return { ...counter };
+    }
+
+    async decrement(key) {
+        const counter = this.counters.get(this.key(key));
+        if (counter && counter.count > 0) counter.count--;
+    }
+
+    async resetCounter(key) {
+        this.counters.delete(this.key(key));
+    }
+
+    /**
+     * Claim a slot if fewer than `limit` unexpired slots are held
+     * @param {string} key - Slot pool key
+     * @param {string} id - Slot holder ID
+     * @param {number} limit - Maximum held slots
+     * @param {number} ttlMs - Slot lifetime
+     * @returns {Promise<boolean>} - True if claimed
+     */
+    async reserveSlot(key, id, limit, ttlMs) {
+        const slots = this.getSlots(key);
+        if (slots.size >= limit) return false;
+
+        slots.set(id, Date.now() + ttlMs);
+        this.slots.set(this.key(key), slots);
+        return true;
+    }
+
+    async releaseSlot(key, id) {
+        this.slots.get(this.key(key))?.delete(id);
+    }
+
+    async countSlots(key) {
+        return this.getSlots(key).size;
+    }
+
+    getSlots(key) {
+        const slots = this.slots.get(this.key(key)) || new Map();
+        const now = Date.now();
+        slots.forEach((expiresAt, id) => {
+            if (expiresAt <= now) slots.delete(id);
+        });
+        return slots;
+    }
+
+    /**
+     * Next value of a shared cursor
+     * @param {string} key - Cursor key
+     * @returns {Promise<number>} - Incremented value
+     */
+    async nextIndex(key) {
+        const counter = this.counters.get(this.key(key)) || { count: 0, resetAt: Infinity };
+        counter.count++;
+        this.counters.set(this.key(key), counter);
+        return counter.count;
+    }
+
+    getStatus() {
+        return {
+            type: this.type,
+            instanceId: this.instanceId,
+            connected: true
+        };
+    }
+}
+
+/**
+ * Redis-backed shared state (several replicas)
+ * Uses only plain commands (no scripts or transactions) so a local stand-in
+ * speaking RESP is enough for development.
+ */
+export class RedisSharedState {
+    constructor({ url, prefix = '', instanceId, commandTimeout } = {}) {
+        this.type = 'redis';
+        this.url = url;
+        this.prefix = prefix;
+        this.instanceId = instanceId || `${os.hostname()}-${process.pid}`;
+        this.client = new RespClient(url, { commandTimeout });
+        this.slotClaims = new Map(); // key -> last queued claim
+    }
+
+    async connect() {
+        await this.client.connect();
+        await this.client.command('PING');
+    }
+
+    async close() {
+        await this.client.quit();
+    }
+
+    key(name) {
+        return `${this.prefix}${name}`;
+    }
+
+    async hashSet(key, field, value) {
+        await this.client.command('HSET', this.key(key), field, JSON.stringify(value));
+    }
+
+    async hashGet(key, field) {
+        const value = await this.client.command('HGET', this.key(key), field);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    async hashDelete(key, field) {
+        await this.client.command('HDEL', this.key(key), field);
+    }
+
+    async hashGetAll(key) {
+        const flat = await this.client.command('HGETALL', this.key(key)) || [];
+        const result = {};
+        for (let i = 0; i < flat.length; i += 2) {
+            result[flat[i]] = JSON.parse(flat[i + 1]);
+        }
+        return result;
+    }
+
+    async increment(key, windowMs) {
+        const count = await this.client.command('INCR', this.key(key));
+        let ttl = await this.client.command('PTTL', this.key(key));
+
+        // First hit, or a replica died between INCR and PEXPIRE
+        if (count === 1 || ttl < 0) {
+            await this.client.command('PEXPIRE', this.key(key), windowMs);
+            ttl = windowMs;
+        }
+
+        return { count, resetAt: Date.now() + ttl };
+    }
+
+    async decrement(key) {
+        const count = await this.client.command('DECR', this.key(key));
+        if (count < 0) {
+            await this.client.command('SET', this.key(key), 0, 'KEEPTTL');
+        }
+    }
+
+    async resetCounter(key) {
+        await this.client.command('DEL', this.key(key));
+    }
+
+    /**
+     * Claim a slot (sorted set scored by expiry)
+     * Claims of this replica run one at a time so they never race each other;
+     * two replicas racing for the last slot may both back off, never both win.
+     */
+    reserveSlot(key, id, limit, ttlMs) {
+        const previous = this.slotClaims.get(key) || Promise.resolve();
+        const claim = previous
+            .catch(() => {})
+            .then(() => this.claimSlot(key, id, limit, ttlMs));
+
+        this.slotClaims.set(key, claim);
+        claim.catch(() => {}).finally(() => {
+            if (this.slotClaims.get(key) === claim) this.slotClaims.delete(key);
+        });
+        return claim;
+    }
+
+    async claimSlot(key, id, limit, ttlMs) {
+        const now = Date.now();
+        await this.client.command('ZREMRANGEBYSCORE', this.key(key), '-inf', now);
+        await this.client.command('ZADD', this.key(key), now + ttlMs, id);
+
+        const held = await this.client.command('ZCARD', this.key(key));
+        if (held > limit) {
+            await this.client.command('ZREM', this.key(key), id);
+            return false;
+        }
+
+        // The pool lives as long as its latest slot; a short claim must not
+        // cut the expiry of longer ones
+        const [, lastExpiry] = await this.client.command('ZRANGE', this.key(key), -1, -1, 'WITHSCORES');
+        await this.client.command('PEXPIREAT', this.key(key), lastExpiry);
+        return true;
+    }
+
+    async releaseSlot(key, id) {
+        await this.client.command('ZREM', this.key(key), id);
+    }
+
+    async countSlots(key) {
+        await this.client.command('ZREMRANGEBYSCORE', this.key(key), '-inf', Date.now());
+        return this.client.command('ZCARD', this.key(key));
+    }
+
+    async nextIndex(key) {
+        return this.client.command('INCR', this.key(key));
+    }
+
+    getStatus() {
+        const { host, port, db } = this.client;
+        return {
+            type: this.type,
+            instanceId: this.instanceId,
+            connected: this.client.connected,
+            server: `${host}:${port}/${db}`
+        };
+    }
+}
+
+/**
+ * Create shared state from configuration
+ * @param {string} type - 'memory' or 'redis'
+ * @param {Object} options - { url, prefix, instanceId }
+ * @returns {MemorySharedState} - Shared state
+ */
+export const createSharedState = (type, options = {}) => {
+    switch (type) {
+        case 'redis':
+            return new RedisSharedState(options);
+        case 'memory':
+            return new MemorySharedState(options);
+        default:
+            throw new Error(`Unknown shared state type: ${type}`);
+    }
+};
+
+export const sharedState = createSharedState(CONFIG.SHARED_STATE, {
+    url: CONFIG.SHARED_STATE_URL,
+    prefix: CONFIG.SHARED_STATE_PREFIX,
+    instanceId: CONFIG.INSTANCE_ID
+});
@@ -0,0 +1,29 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+/**
+ * Gateway event bus
+ * Services publish lifecycle and state-change events here; webhooks and
+ * other subscribers listen for them.
+ */
+export const gatewayEvents = new EventEmitter();
+gatewayEvents.setMaxListeners(50);
+
+/**
+ * Publish a gateway event
+ * @param {string} type - Event type (see CONFIG.EVENTS)
+ * @param {Object} data - Event payload
+ * @returns {Object} - Published event
+ */
+export const emitGatewayEvent = (type, data = {}) => {
+    const event = {
+        id: crypto.randomUUID(),
+        type,
+        timestamp: new Date().toISOString(),
+        data
+    };
+    
+    gatewayEvents.emit('event', event);
+    gatewayEvents.emit(type, event);
+    return event;
+};
@@ -1,4 +1,5 @@
 import { CONFIG } from '../config/constants.js';
+import { logger } from './logger.js';
 
 /**
  * Utility helper functions
@@ -25,6 +26,107 @@ export const validateSessionId = (sessionId) => {
     return sessionRegex.test(sessionId);
 };
 
+/**
+ * Validate backend server URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} - True if valid http(s) URL
+ */
+export const validateServerUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Validate server ID format
+ * @param {string} serverId - Server ID to validate
+ * @returns {boolean} - True if valid
+ */
+export const validateServerIdFormat = (serverId) => {
+    const serverIdRegex = /^[a-zA-Z0-9._-]{1,64}$/;
+    return serverIdRegex.test(serverId);
+};
+
+/**
+ * Derive a stable server ID from its URL (host, with the port if any)
+ * @param {string} url - Server URL
+ * @returns {string} - Server ID
+ */
+export const deriveServerId = (url) => {
+    return new URL(url).host.replace(/:/g, '-');
+};
+
+/**
+ * Parse backend server definitions
+ * Entries are "url" or "id=url", optionally followed by ";maxSessions=N;weight=N".
+ * Entries without a valid URL or ID are logged and skipped.
+ * @param {Array<string>} entries - Server definitions
+ * @returns {Array<Object>} - Parsed servers ({ id, url, maxSessions, weight })
+ */
+export const parseBackendServers = (entries) => {
+    return entries
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .flatMap(entry => {
+            const [target, ...options] = entry.split(';');
+            const separatorIndex = target.indexOf('=');
+            const hasExplicitId = separatorIndex > 0 && !target.slice(0, separatorIndex).includes('/');
+            const url = (hasExplicitId ? target.slice(separatorIndex + 1) : target).replace(/\/+$/, '');
+            const settings = Object.fromEntries(options.map(option => option.split('=')));
+            
+            if (!validateServerUrl(url)) {
+                logger.error(`Ignoring backend server "${entry}": invalid URL`);
+                return [];
+            }
+            
+            const id = hasExplicitId ? target.slice(0, separatorIndex) : deriveServerId(url);
+            if (!validateServerIdFormat(id)) {
+                logger.error(`Ignoring backend server "${entry}": invalid server ID "${id}"`);
+                return [];
+            }
+            
+            return [{
+                id,
+                url,
+                ...(settings.maxSessions && { maxSessions: parseInt(settings.maxSessions) }),
+                ...(settings.weight && { weight: parseFloat(settings.weight) })
+            }];
+        });
+};
+
+/**
+ * Create an error carrying an HTTP status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+export const createHttpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Get the session capacity of a server
+ * @param {Object} server - Server object (or server summary with maxSessions)
+ * @returns {number} - Maximum sessions for the server
+ */
+export const getServerCapacity = (server) => {
+    return server.maxSessions || CONFIG.MAX_SESSIONS_PER_SERVER;
+};
+
+/**
+ * Get the sessions a server holds or has promised (live + reserved slots)
+ * @param {Object} server - Server object
+ * @returns {number} - Used session slots
+ */
+export const getServerUsage = (server) => {
+    return (server.sessionCount || 0) + (server.reservedSessions || 0);
+};
+
 /**
  * Calculate server load percentage
  * @param {number} currentSessions - Current sessions count
@@ -32,6 +134,7 @@ export const validateSessionId = (sessionId) => {
  * @returns {number} - Load percentage
  */
 export const calculateLoadPercentage = (currentSessions, maxSessions) => {
+    if (!maxSessions) return 0;
     return Math.round((currentSessions / maxSessions) * 100);
 };
 
@@ -60,16 +163,71 @@ export const delay = (ms) => {
     return new Promise(resolve => setTimeout(resolve, ms));
 };
 
+// Connection-level headers that must not cross a proxy
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade',
+    'host'
+];
+
+/**
+ * Copy headers without hop-by-hop and explicitly excluded ones
+ * @param {Object} headers - Headers (lower-case names)
+ * @param {Array} exclude - Extra header names to drop
+ * @returns {Object} - Filtered headers
+ */
+export const stripHopByHopHeaders = (headers = {}, exclude = []) => {
+    const dropped = [...HOP_BY_HOP_HEADERS, ...exclude];
+    return Object.fromEntries(
+        Object.entries(headers).filter(([name, value]) =>
+            value !== undefined && !dropped.includes(name.toLowerCase())
+        )
+    );
+};
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index)
+ * @returns {Promise<Array>} - Settled results in input order
+ */
+export const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+            } catch (error) {
+                results[index] = { status: 'rejected', reason: error };
+            }
+        }
+    };
+    
+    const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+};
+
 /**
  * Generate capacity recommendations based on current usage
  * @param {number} totalSessions - Total active sessions
  * @param {number} totalCapacity - Total capacity across all servers
- * @param {number} serverCount - Number of servers
+ * @param {Array} servers - Servers (with maxSessions)
  * @returns {Array} - List of recommendations
  */
-export const generateCapacityRecommendations = (totalSessions, totalCapacity, serverCount) => {
+export const generateCapacityRecommendations = (totalSessions, totalCapacity, servers) => {
     const recommendations = [];
-    const usagePercentage = Math.round((totalSessions / totalCapacity) * 100);
+    const usagePercentage = calculateLoadPercentage(totalSessions, totalCapacity);
     
     if (usagePercentage >= 90) {
         recommendations.push({
@@ -85,7 +243,7 @@ export const generateCapacityRecommendations = (totalSessions, totalCapacity, se
         });
     }
     
-    if (serverCount === 1) {
+    if (servers.length === 1) {
         recommendations.push({
             level: 'INFO',
             message: 'Running with single backend server. No failover available.',
@@ -93,12 +251,18 @@ export const generateCapacityRecommendations = (totalSessions, totalCapacity, se
         });
     }
     
+    const capacities = servers.map(getServerCapacity);
+    const largestCapacity = Math.max(0, ...capacities);
+    const smallestCapacity = Math.min(...capacities);
     const availableSessions = totalCapacity - totalSessions;
-    if (availableSessions < CONFIG.MAX_SESSIONS_PER_SERVER) {
+    
+    if (availableSessions < largestCapacity) {
         recommendations.push({
             level: 'INFO',
             message: `Limited capacity available (${availableSessions} sessions).`,
-            action: `Each server can handle ${CONFIG.MAX_SESSIONS_PER_SERVER} sessions`
+            action: smallestCapacity === largestCapacity
+                ? `Each server can handle ${largestCapacity} sessions`
+                : `Servers handle between ${smallestCapacity} and ${largestCapacity} sessions each`
         });
     }
     
@@ -107,13 +271,13 @@ export const generateCapacityRecommendations = (totalSessions, totalCapacity, se
 
 /**
  * Calculate capacity metrics
- * @param {Array} servers - List of servers with session counts
+ * @param {Array} servers - List of servers with session counts (and maxSessions)
  * @returns {Object} - Capacity metrics
  */
 export const calculateCapacityMetrics = (servers) => {
     const totalSessions = servers.reduce((sum, server) => sum + (server.sessionCount || 0), 0);
-    const totalCapacity = servers.length * CONFIG.MAX_SESSIONS_PER_SERVER;
-    const usedPercentage = Math.round((totalSessions / totalCapacity) * 100);
+    const totalCapacity = servers.reduce((sum, server) => sum + getServerCapacity(server), 0);
+    const usedPercentage = calculateLoadPercentage(totalSessions, totalCapacity);
     
     return {
         totalSessions,
@@ -121,6 +285,6 @@ export const calculateCapacityMetrics = (servers) => {
         availableSessions: totalCapacity - totalSessions,
         usedPercentage,
         averagePerServer: servers.length > 0 ? Math.round(totalSessions / servers.length) : 0,
-        maxPerServer: CONFIG.MAX_SESSIONS_PER_SERVER
+        maxPerServer: Math.max(0, ...servers.map(getServerCapacity))
     };
 };
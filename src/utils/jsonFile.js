@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * JSON file persistence helpers
+ */
+
+/**
+ * Read and parse a JSON file
+ * A corrupt file is moved aside to <file>.corrupt so state starts empty
+ * instead of blocking startup.
+ * @param {string} filePath - File to read
+ * @param {any} fallback - Value returned when the file does not exist or is corrupt
+ * @returns {Promise<any>} - Parsed content or fallback
+ */
+export const readJsonFile = async (filePath, fallback = null) => {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+    
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        const corruptPath = `${filePath}.corrupt`;
+        logger.error(`Corrupt JSON in ${filePath}, moved to ${corruptPath} and starting empty:`, {
+            error: error.message
+        });
+        await fs.rename(filePath, corruptPath).catch(() => {});
+        return fallback;
+    }
+};
+
+/**
+ * Atomically write data as JSON (write to a temp file, then rename)
+ * @param {string} filePath - Destination file
+ * @param {any} data - Data to serialize
+ */
+export const writeJsonFile = async (filePath, data) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.rename(tempPath, filePath);
+};
@@ -0,0 +1,63 @@
+/**
+ * Rolling window of latency samples
+ * Keeps at most `maxSamples` samples no older than `maxAgeMs`.
+ */
+export class LatencyWindow {
+    constructor({ maxSamples = 200, maxAgeMs = 5 * 60 * 1000 } = {}) {
+        this.maxSamples = maxSamples;
+        this.maxAgeMs = maxAgeMs;
+        this.samples = []; // { timestamp, value }
+    }
+
+    /**
+     * Record a sample
+     * @param {number} value - Latency in milliseconds
+     */
+    record(value) {
+        this.samples.push({ timestamp: Date.now(), value });
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Drop samples older than the window
+     */
+    prune() {
+        const cutoff = Date.now() - this.maxAgeMs;
+        while (this.samples.length > 0 && this.samples[0].timestamp < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get a percentile (nearest-rank)
+     * @param {number} percentile - Percentile between 0 and 100
+     * @returns {number|null} - Latency in milliseconds, or null without samples
+     */
+    percentile(percentile) {
+        this.prune();
+        if (this.samples.length === 0) return null;
+
+        const sorted = this.samples.map(s => s.value).sort((a, b) => a - b);
+        const rank = Math.ceil((percentile / 100) * sorted.length) - 1;
+        return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+    }
+
+    /**
+     * Get a summary of the window
+     * @returns {Object} - { samples, p50, p95, p99, last }
+     */
+    getSummary() {
+        this.prune();
+        const round = value => value === null ? null : Math.round(value);
+
+        return {
+            samples: this.samples.length,
+            p50: round(this.percentile(50)),
+            p95: round(this.percentile(95)),
+            p99: round(this.percentile(99)),
+            last: this.samples.length > 0 ? Math.round(this.samples[this.samples.length - 1].value) : null
+        };
+    }
+}
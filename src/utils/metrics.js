@@ -0,0 +1,280 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4)
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabelValue = (value) => {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+};
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * Base metric: holds values per label set
+ * A collector callback, when given, refreshes the values on every scrape.
+ */
+class Metric {
+    constructor(type, name, help, labelNames = [], collector = null) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collector = collector;
+        this.values = new Map(); // serialized labels -> { labels, value }
+    }
+
+    /**
+     * Keep only the declared labels, in declaration order
+     * @param {Object} labels - Label values
+     * @returns {Object} - Normalized labels
+     */
+    normalizeLabels(labels) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    getEntry(labels) {
+        const normalized = this.normalizeLabels(labels);
+        const key = JSON.stringify(normalized);
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: normalized, value: this.initialValue() });
+        }
+        return this.values.get(key);
+    }
+
+    initialValue() {
+        return 0;
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    /**
+     * Render sample lines
+     * @returns {Array<string>} - Lines
+     */
+    renderSamples() {
+        return Array.from(this.values.values()).map(({ labels, value }) =>
+            `${this.name}${formatLabels(labels)} ${value}`
+        );
+    }
+
+    render() {
+        if (this.collector) {
+            this.reset();
+            this.collector(this);
+        }
+
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.renderSamples()
+        ].join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, labelNames, collector) {
+        super('counter', name, help, labelNames, collector);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getEntry(labels).value += value;
+    }
+
+    /**
+     * Set an absolute value (for collectors exposing existing totals)
+     */
+    set(labels, value) {
+        this.getEntry(labels).value = value;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help, labelNames, collector) {
+        super('gauge', name, help, labelNames, collector);
+    }
+
+    set(labels, value) {
+        this.getEntry(labels).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getEntry(labels).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.getEntry(labels).value -= value;
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    initialValue() {
+        return {
+            bucketCounts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        };
+    }
+
+    observe(labels, value) {
+        const entry = this.getEntry(labels).value;
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.bucketCounts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Start a timer; calling the returned function observes the elapsed seconds
+     * @param {Object} labels - Label values
+     * @returns {Function} - Stop function (accepts extra labels)
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSamples() {
+        return Array.from(this.values.values()).flatMap(({ labels, value }) => [
+            ...this.buckets.map((bound, index) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.bucketCounts[index]}`
+            ),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+            `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+            `${this.name}_count${formatLabels(labels)} ${value.count}`
+        ]);
+    }
+}
+
+/**
+ * Metrics registry
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames, collector) {
+        return this.register(new Counter(name, help, labelNames, collector));
+    }
+
+    gauge(name, help, labelNames, collector) {
+        return this.register(new Gauge(name, help, labelNames, collector));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * Snapshot recorded values (metrics refreshed by a collector are skipped)
+     * @returns {Object} - name -> { type, values: [{ labels, value }] }
+     */
+    toJSON() {
+        return Object.fromEntries(Array.from(this.metrics.values())
+            .filter(metric => !metric.collector)
+            .map(metric => [metric.name, {
+                type: metric.type,
+                values: Array.from(metric.values.values())
+            }]));
+    }
+
+    /**
+     * Restore values from a snapshot taken by toJSON
+     * Entries of unknown or changed metrics are ignored.
+     * @param {Object} snapshot - Snapshot
+     */
+    restore(snapshot = {}) {
+        Object.entries(snapshot).forEach(([name, { type, values }]) => {
+            const metric = this.metrics.get(name);
+            if (!metric || metric.collector || metric.type !== type) return;
+
+            values.forEach(({ labels, value }) => {
+                if (type === 'histogram' && value.bucketCounts?.length !== metric.buckets.length) return;
+                metric.getEntry(labels).value = value;
+            });
+        });
+    }
+
+    /**
+     * Render all metrics in Prometheus text format
+     * @returns {string} - Exposition text
+     */
+    render() {
+        return Array.from(this.metrics.values())
+            .map(metric => metric.render())
+            .join('\n\n') + '\n';
+    }
+}
+
+export const metrics = new MetricsRegistry();
+
+// Gateway metrics recorded at the call sites
+export const httpRequestsTotal = metrics.counter(
+    'gateway_http_requests_total',
+    'HTTP requests handled by the gateway',
+    ['method', 'route', 'status']
+);
+
+export const httpRequestDuration = metrics.histogram(
+    'gateway_http_request_duration_seconds',
+    'HTTP request latency per route',
+    ['method', 'route']
+);
+
+export const backendRequestsTotal = metrics.counter(
+    'gateway_backend_requests_total',
+    'Requests forwarded to backends by outcome',
+    ['server', 'outcome']
+);
+
+export const backendRequestDuration = metrics.histogram(
+    'gateway_backend_request_duration_seconds',
+    'Backend latency per server and request kind (forward, health)',
+    ['server', 'kind']
+);
+
+export const backendRetriesTotal = metrics.counter(
+    'gateway_backend_retries_total',
+    'Forwarded requests retried on another backend',
+    ['server']
+);
+
+export const healthChecksTotal = metrics.counter(
+    'gateway_health_checks_total',
+    'Backend health checks by result',
+    ['server', 'result']
+);
+
+export const pairingsTotal = metrics.counter(
+    'gateway_pairings_total',
+    'Pairing requests by result',
+    ['result']
+);
@@ -0,0 +1,219 @@
+import net from 'net';
+import { logger } from './logger.js';
+
+/**
+ * Minimal Redis (RESP2) client
+ * One connection, commands are pipelined and answered in order. The
+ * connection is opened lazily and re-opened on the next command after a
+ * failure. Only plain commands are used, so any RESP-speaking server works.
+ */
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {Buffer} - Encoded command
+ */
+const encodeCommand = (args) => {
+    const parts = [`*${args.length}${CRLF}`];
+    args.forEach(arg => {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`);
+    });
+    return Buffer.from(parts.join(''));
+};
+
+/**
+ * Parse one reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Read position
+ * @returns {Object|null} - { value, offset } or null when the reply is incomplete
+ */
+const parseReply = (buffer, offset = 0) => {
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line), offset: next };
+        case '$': {
+            const length = parseInt(line);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`Unexpected RESP reply type: ${type}`);
+    }
+};
+
+export class RespClient {
+    /**
+     * @param {string} url - redis://[:password@]host[:port][/db]
+     * @param {Object} options - { connectTimeout, commandTimeout } in ms
+     */
+    constructor(url, { connectTimeout = 5000, commandTimeout = 5000 } = {}) {
+        const parsed = new URL(url);
+        this.host = parsed.hostname || 'localhost';
+        this.port = parseInt(parsed.port) || 6379;
+        this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+        this.db = parseInt(parsed.pathname.slice(1)) || 0;
+        this.connectTimeout = connectTimeout;
+        this.commandTimeout = commandTimeout;
+
+        this.socket = null;
+        this.connecting = null;
+        this.buffer = Buffer.alloc(0);
+        this.pending = []; // { resolve, reject } in command order
+        this.closing = false;
+    }
+
+    get connected() {
+        return Boolean(this.socket) && !this.connecting;
+    }
+
+    /**
+     * Open the connection (authenticates and selects the database)
+     * @returns {Promise} - Resolves when ready
+     */
+    connect() {
+        if (this.socket) return this.connecting || Promise.resolve();
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            this.socket = socket;
+
+            const timer = setTimeout(() => {
+                socket.destroy(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            }, this.connectTimeout);
+
+            socket.on('data', chunk => this.onData(chunk));
+            socket.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+                this.onClose(socket, error);
+            });
+            socket.once('close', () => this.onClose(socket, new Error('Connection closed')));
+            socket.once('connect', async () => {
+                clearTimeout(timer);
+                try {
+                    if (this.password) await this.send(['AUTH', this.password]);
+                    if (this.db) await this.send(['SELECT', this.db]);
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                    socket.destroy();
+                }
+            });
+        }).finally(() => {
+            this.connecting = null;
+        });
+
+        return this.connecting;
+    }
+
+    /**
+     * Send a command on the open socket
+     * A timed out command keeps its place in the queue so later replies
+     * still match their commands.
+     */
+    send(args) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error(`Redis command ${args[0]} timed out`));
+            }, this.commandTimeout);
+
+            this.pending.push({
+                resolve: value => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    /**
+     * Run a command, connecting first if needed
+     * @param {...any} args - Command name and arguments
+     * @returns {Promise<any>} - Reply
+     */
+    async command(...args) {
+        await this.connect();
+        return this.send(args);
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let reply;
+        while (this.buffer.length > 0 && (reply = parseReply(this.buffer))) {
+            this.buffer = this.buffer.subarray(reply.offset);
+            const request = this.pending.shift();
+            if (!request) continue;
+
+            if (reply.value instanceof Error) {
+                request.reject(reply.value);
+            } else {
+                request.resolve(reply.value);
+            }
+        }
+    }
+
+    onClose(socket, error) {
+        if (this.socket !== socket) return;
+
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(request => request.reject(error));
+
+        if (this.closing) return;
+        logger.warn(`Redis connection to ${this.host}:${this.port} lost:`, { error: error.message });
+    }
+
+    /**
+     * Close the connection
+     */
+    async quit() {
+        if (!this.socket) return;
+
+        const socket = this.socket;
+        this.closing = true;
+        try {
+            await this.send(['QUIT']);
+        } catch (error) {
+            // Closing anyway
+        }
+        socket.destroy();
+        this.closing = false;
+    }
+}
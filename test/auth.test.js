@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.API_KEYS = 'ops-secret:admin, pair-secret:pair|session-delete:team-a, watch-secret:read-monitoring';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { apiKeys, hashApiKey, loadApiKeys } = await import('../src/config/apiKeys.js');
+const { requireScope, getRequestTenant, isAuthEnabled } = await import('../src/middleware/auth.js');
+
+const { PAIR, SESSION_DELETE, READ_MONITORING } = CONFIG.SCOPES;
+
+/**
+ * Run a middleware against a request carrying the given headers
+ * @param {Function} middleware - Express middleware
+ * @param {Object} headers - Lower-case request headers
+ * @returns {Object} - { status, body, next, req }
+ */
+const run = (middleware, headers = {}) => {
+    const outcome = { status: null, body: null, next: false };
+    const req = { get: (name) => headers[name.toLowerCase()] };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(body) {
+            outcome.body = body;
+            return this;
+        }
+    };
+    middleware(req, res, () => { outcome.next = true; });
+    return { ...outcome, req };
+};
+
+test('loads keys from the environment by hash', () => {
+    assert.equal(isAuthEnabled(), true);
+    assert.equal(apiKeys.size, 3);
+    assert.equal(apiKeys.has('pair-secret'), false, 'raw keys are not stored');
+
+    const pairKey = apiKeys.get(hashApiKey('pair-secret'));
+    assert.deepEqual(pairKey, { name: 'env-key-2', scopes: [PAIR, SESSION_DELETE], tenant: 'team-a' });
+});
+
+test('rejects keys with unknown scopes', (t) => {
+    const configured = process.env.API_KEYS;
+    t.after(() => { process.env.API_KEYS = configured; });
+    process.env.API_KEYS = 'bad-secret:pair|superuser';
+
+    assert.throws(() => loadApiKeys(), /unknown scopes: superuser/);
+});
+
+test('requires a valid API key', () => {
+    const missing = run(requireScope(PAIR));
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, 'API key required');
+
+    const invalid = run(requireScope(PAIR), { authorization: 'Bearer wrong-secret' });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.error, 'Invalid API key');
+    assert.equal(invalid.next, false);
+});
+
+test('accepts keys holding one of the scopes', () => {
+    const bearer = run(requireScope(PAIR), { authorization: 'Bearer pair-secret' });
+    assert.equal(bearer.next, true);
+    assert.equal(bearer.req.apiKey.name, 'env-key-2');
+
+    const header = run(requireScope(PAIR, READ_MONITORING), { 'x-api-key': 'watch-secret' });
+    assert.equal(header.next, true);
+
+    const forbidden = run(requireScope(SESSION_DELETE), { 'x-api-key': 'watch-secret' });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.error, 'Missing required scope: session-delete');
+});
+
+test('lets admin keys through every scope and tenant', () => {
+    const admin = run(requireScope(SESSION_DELETE), { 'x-api-key': 'ops-secret' });
+    assert.equal(admin.next, true);
+    assert.equal(getRequestTenant(admin.req), undefined);
+
+    const tenantKey = run(requireScope(PAIR), { 'x-api-key': 'pair-secret' });
+    assert.equal(getRequestTenant(tenantKey.req), 'team-a');
+    assert.equal(getRequestTenant({}), undefined);
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend, startGateway, waitFor } from './gateway.js';
+
+let backends;
+let gateway;
+let backendCListed = true;
+const logouts = [];
+
+/**
+ * Backend stand-in listing the given sessions
+ * @param {Array<string>} sessionIds - Listed sessions
+ * @param {Object} logoutStatus - sessionId -> logout status (200 by default)
+ * @param {Function} canList - Whether listing currently succeeds
+ */
+const sessionBackend = (sessionIds, logoutStatus = {}, canList = () => true) => (req, res) => {
+    res.setHeader('content-type', 'application/json');
+    if (req.url === '/sessions') {
+        if (!canList()) {
+            res.statusCode = 500;
+            return res.end(JSON.stringify({ error: 'listing failed' }));
+        }
+        return res.end(JSON.stringify({ sessions: sessionIds.map(id => ({ id })) }));
+    }
+
+    const sessionId = req.url.split('/')[2];
+    logouts.push(sessionId);
+    res.statusCode = logoutStatus[sessionId] || 200;
+    res.end(JSON.stringify(res.statusCode === 200 ? { ok: true } : { error: `logout ${res.statusCode}` }));
+};
+
+before(async () => {
+    backends = [
+        await startBackend(sessionBackend(['bulk-a1-session', 'bulk-a2-session'], { 'bulk-a2-session': 404 })),
+        await startBackend(sessionBackend(['bulk-b1-session'], { 'bulk-b1-session': 500 })),
+        await startBackend(sessionBackend(['bulk-c1-session'], {}, () => backendCListed))
+    ];
+    gateway = await startGateway({
+        BACKEND_SERVERS: backends.map((backend, index) => `bulk-${'abc'[index]}=${backend.url}`).join(',')
+    });
+
+    // The first health check maps every listed session
+    await waitFor(async () => {
+        const { servers } = await (await fetch(`${gateway.url}/servers`)).json();
+        return servers.every(server => server.sessionCount > 0);
+    });
+    // From now on backend c cannot be listed
+    backendCListed = false;
+});
+
+after(async () => {
+    await gateway?.stop();
+    await Promise.all(backends.map(backend => backend.close()));
+});
+
+const post = async (path, body) => {
+    const response = await fetch(`${gateway.url}${path}`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('validates the session ID list', async () => {
+    assert.equal((await post('/sessions/bulk-find', { sessionIds: [] })).status, 400);
+    assert.equal((await post('/sessions/bulk-find', { sessionIds: 'bulk-a1-session' })).status, 400);
+
+    const invalid = await post('/sessions/bulk-delete', { sessionIds: ['bulk-a1-session', 'bad id'] });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /bad id/);
+});
+
+test('locates many sessions at once', async () => {
+    const { status, body } = await post('/sessions/bulk-find', {
+        sessionIds: ['bulk-a1-session', 'bulk-b1-session', 'bulk-c1-session', 'missing-session', 'bulk-a1-session']
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 4, 'duplicates are looked up once');
+    assert.equal(body.found, 2);
+    assert.deepEqual(body.results.map(({ sessionId, found, server, error }) => [sessionId, found, server?.id ?? null, error ?? null]), [
+        ['bulk-a1-session', true, 'bulk-a', null],
+        ['bulk-b1-session', true, 'bulk-b', null],
+        ['bulk-c1-session', false, 'bulk-c', 'Owning server is unavailable'],
+        ['missing-session', false, null, null]
+    ]);
+});
+
+test('deletes many sessions at once and reports each outcome', async () => {
+    const { status, body } = await post('/sessions/bulk-delete', {
+        sessionIds: ['bulk-a1-session', 'bulk-a2-session', 'bulk-b1-session', 'bulk-c1-session', 'missing-session']
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.ok, false);
+    assert.deepEqual(
+        { deleted: body.deleted, not_found: body.not_found, failed: body.failed },
+        { deleted: 1, not_found: 2, failed: 2 }
+    );
+    assert.deepEqual(body.results.map(({ sessionId, status: outcome, serverId }) => [sessionId, outcome, serverId]), [
+        ['bulk-a1-session', 'deleted', 'bulk-a'],
+        ['bulk-a2-session', 'not_found', 'bulk-a'],
+        ['bulk-b1-session', 'failed', 'bulk-b'],
+        ['bulk-c1-session', 'failed', 'bulk-c'],
+        ['missing-session', 'not_found', null]
+    ]);
+    assert.equal(body.results[2].error, 'logout 500');
+
+    // Unreachable owners are not called
+    assert.deepEqual(logouts.sort(), ['bulk-a1-session', 'bulk-a2-session', 'bulk-b1-session']);
+});
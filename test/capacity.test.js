@@ -0,0 +1,86 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend } from './gateway.js';
+
+// Both backends hold two sessions
+const listSessions = (prefix) => (req, res) => {
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ sessions: [{ id: `${prefix}-1` }, { id: `${prefix}-2` }] }));
+};
+const small = await startBackend(listSessions('small'));
+const large = await startBackend(listSessions('large'));
+
+process.env.LOG_LEVEL = 'error';
+process.env.MAX_SESSIONS_PER_SERVER = '10';
+process.env.SERVER_REGISTRY = 'memory';
+process.env.BACKEND_SERVERS = `small=${small.url};maxSessions=2,large=${large.url};weight=2`;
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { calculateCapacityMetrics, getServerCapacity } = await import('../src/utils/helpers.js');
+const { validateServerUpdate } = await import('../src/middleware/validator.js');
+const { default: ServerManager } = await import('../src/services/serverManager.js');
+const { default: HealthMonitor } = await import('../src/services/healthMonitor.js');
+
+const serverManager = new ServerManager();
+const healthMonitor = new HealthMonitor(serverManager);
+
+after(async () => {
+    await small.close();
+    await large.close();
+});
+
+test('marks backends full against their own capacity', async () => {
+    await healthMonitor.performHealthChecks();
+
+    const smallServer = serverManager.getServer('small');
+    const largeServer = serverManager.getServer('large');
+    assert.equal(getServerCapacity(smallServer), 2);
+    assert.equal(getServerCapacity(largeServer), 10, 'defaults to MAX_SESSIONS_PER_SERVER');
+    assert.equal(largeServer.weight, 2);
+
+    assert.equal(smallServer.status, CONFIG.STATUS.FULL);
+    assert.equal(largeServer.status, CONFIG.STATUS.HEALTHY);
+    assert.deepEqual(serverManager.getActiveServers().map(server => server.id), ['large']);
+
+    assert.deepEqual(calculateCapacityMetrics(serverManager.getAllServers()), {
+        totalSessions: 4,
+        totalCapacity: 12,
+        availableSessions: 8,
+        usedPercentage: 33,
+        averagePerServer: 2,
+        maxPerServer: 10
+    });
+});
+
+test('re-evaluates the full state when capacity changes', async () => {
+    await serverManager.updateServer('small', { maxSessions: 3 });
+    assert.equal(serverManager.getServer('small').status, CONFIG.STATUS.HEALTHY);
+    assert.equal(serverManager.getServer('small').isActive, true);
+
+    await serverManager.updateServer('large', { maxSessions: 2, weight: 1 });
+    assert.equal(serverManager.getServer('large').status, CONFIG.STATUS.FULL);
+    assert.equal(serverManager.getServer('large').weight, 1);
+
+    await assert.rejects(serverManager.updateServer('missing', { maxSessions: 3 }), { statusCode: 404 });
+});
+
+test('validates capacity updates', () => {
+    const validate = (body) => {
+        let status = null;
+        let nextCalled = false;
+        validateServerUpdate(
+            { body },
+            { status(code) { status = code; return { json: () => {} }; } },
+            () => { nextCalled = true; }
+        );
+        return nextCalled ? 'next' : status;
+    };
+
+    assert.equal(validate({ maxSessions: 5 }), 'next');
+    assert.equal(validate({ weight: 0.5 }), 'next');
+    assert.equal(validate({ maxSessions: null }), 'next', 'null restores the default capacity');
+    assert.equal(validate({}), 400);
+    assert.equal(validate({ maxSessions: 0 }), 400);
+    assert.equal(validate({ maxSessions: 2.5 }), 400);
+    assert.equal(validate({ weight: -1 }), 400);
+});
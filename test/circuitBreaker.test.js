@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { default: CircuitBreaker } = await import('../src/services/circuitBreaker.js');
+const { delay } = await import('../src/utils/helpers.js');
+
+const { CLOSED, OPEN, HALF_OPEN } = CONFIG.CIRCUIT;
+
+const createBreaker = (options = {}) => new CircuitBreaker('test', {
+    windowMs: 60000,
+    failureRateThreshold: 0.5,
+    minimumRequests: 4,
+    cooldownMs: 30,
+    halfOpenMaxTrials: 1,
+    successThreshold: 2,
+    ...options
+});
+
+const openBreaker = (breaker) => {
+    for (let i = 0; i < 4; i++) breaker.recordFailure();
+    assert.equal(breaker.state, OPEN);
+};
+
+const halfOpenBreaker = async (breaker) => {
+    openBreaker(breaker);
+    await delay(40);
+    assert.equal(breaker.canRequest(), true);
+    assert.equal(breaker.state, HALF_OPEN);
+};
+
+test('opens once the failure rate crosses the threshold with enough requests', () => {
+    const breaker = createBreaker();
+
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.state, CLOSED, 'below the minimum request count');
+
+    breaker.recordSuccess();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.equal(breaker.state, OPEN);
+    assert.equal(breaker.canRequest(), false);
+});
+
+test('stays closed while the failure rate is below the threshold', () => {
+    const breaker = createBreaker();
+
+    for (let i = 0; i < 6; i++) breaker.recordSuccess();
+    for (let i = 0; i < 5; i++) breaker.recordFailure();
+
+    assert.equal(breaker.state, CLOSED);
+    assert.equal(breaker.getWindowStats().requests, 11);
+});
+
+test('moves to half-open after the cooldown and admits a limited number of trials', async () => {
+    const breaker = createBreaker();
+    await halfOpenBreaker(breaker);
+
+    breaker.onRequest();
+    assert.equal(breaker.canRequest(), false, 'only one trial in flight');
+});
+
+test('closes after a run of successful trials', async () => {
+    const transitions = [];
+    const breaker = createBreaker({ onStateChange: (state, previous) => transitions.push(`${previous}->${state}`) });
+    await halfOpenBreaker(breaker);
+
+    breaker.onRequest();
+    breaker.recordSuccess();
+    assert.equal(breaker.state, HALF_OPEN);
+
+    breaker.onRequest();
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CLOSED);
+    assert.deepEqual(transitions, [`${CLOSED}->${OPEN}`, `${OPEN}->${HALF_OPEN}`, `${HALF_OPEN}->${CLOSED}`]);
+    assert.equal(breaker.getWindowStats().requests, 0, 'closing starts a fresh window');
+});
+
+test('re-opens when a trial fails', async () => {
+    const breaker = createBreaker();
+    await halfOpenBreaker(breaker);
+
+    breaker.onRequest();
+    breaker.recordFailure();
+    assert.equal(breaker.state, OPEN);
+    assert.equal(breaker.canRequest(), false);
+});
+
+test('ignores successes of requests that were not admitted as trials', async () => {
+    const breaker = createBreaker();
+    await halfOpenBreaker(breaker);
+
+    for (let i = 0; i < 3; i++) breaker.recordSuccess();
+
+    assert.equal(breaker.state, HALF_OPEN);
+    assert.equal(breaker.trialsInFlight, 0);
+    assert.equal(breaker.consecutiveSuccesses, 0);
+});
+
+test('health probes never close a half-open circuit or count as trials', async () => {
+    const breaker = createBreaker();
+    await halfOpenBreaker(breaker);
+
+    breaker.onRequest();
+    for (let i = 0; i < 3; i++) breaker.recordProbe(true);
+
+    assert.equal(breaker.state, HALF_OPEN);
+    assert.equal(breaker.trialsInFlight, 1);
+    assert.equal(breaker.consecutiveSuccesses, 0);
+
+    breaker.recordProbe(false);
+    assert.equal(breaker.state, OPEN, 'a failed probe re-opens the circuit');
+});
+
+test('health probes feed the window while closed', () => {
+    const breaker = createBreaker();
+
+    for (let i = 0; i < 4; i++) breaker.recordProbe(false);
+    assert.equal(breaker.state, OPEN);
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startGateway } from './gateway.js';
+
+test('API keys set in .env enable authentication', async (t) => {
+    const gateway = await startGateway({
+        API_KEYS: 'dotenv-secret:admin',
+        BACKEND_SERVERS: 'http://127.0.0.1:9'
+    }, { dotenv: true });
+    t.after(() => gateway.stop());
+
+    const anonymous = await fetch(`${gateway.url}/servers`);
+    assert.equal(anonymous.status, 401);
+
+    const authenticated = await fetch(`${gateway.url}/servers`, {
+        headers: { 'x-api-key': 'dotenv-secret' }
+    });
+    assert.equal(authenticated.status, 200);
+});
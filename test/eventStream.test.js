@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.LOG_LEVEL = 'error';
+process.env.EVENT_STREAM_HEARTBEAT = '100';
+
+const { emitGatewayEvent } = await import('../src/utils/eventBus.js');
+const { default: EventStream } = await import('../src/services/eventStream.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+const { waitFor } = await import('./gateway.js');
+
+let eventStream;
+let server;
+let url;
+
+before(async () => {
+    eventStream = new EventStream(createServerManager([
+        createServer('stream-a', { sessionCount: 1, maxSessions: 4 }),
+        createServer('stream-b', { sessionCount: 3, maxSessions: 4 })
+    ]));
+    eventStream.start();
+
+    const app = express();
+    app.get('/events', (req, res) => eventStream.addClient(req, res));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/events`;
+});
+
+after(async () => {
+    eventStream.stop();
+    await new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    });
+});
+
+/**
+ * Open a stream and collect its text
+ * @param {string} query - Query string
+ * @returns {Promise<Object>} - { response, next(pattern), close }
+ */
+const connect = async (query = '') => {
+    const controller = new AbortController();
+    const response = await fetch(`${url}${query}`, { signal: controller.signal });
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let text = '';
+
+    return {
+        response,
+        // Read until the text received so far matches
+        async next(pattern) {
+            while (!pattern.test(text)) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error(`Stream ended before ${pattern}`);
+                text += value;
+            }
+            return text;
+        },
+        close: () => controller.abort()
+    };
+};
+
+const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.includes('data: '))
+    .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+
+test('sends the current state first, then every event', async (t) => {
+    const client = await connect();
+    t.after(client.close);
+
+    assert.match(client.response.headers.get('content-type'), /^text\/event-stream/);
+    const [snapshot] = parseEvents(await client.next(/event: snapshot\n/));
+    assert.deepEqual(snapshot.data.servers.map(server => server.id), ['stream-a', 'stream-b']);
+    assert.equal(snapshot.data.capacity.usedPercentage, 50);
+
+    const event = emitGatewayEvent('server.down', { serverId: 'stream-a' });
+    const text = await client.next(/event: server\.down\n/);
+    assert.match(text, new RegExp(`id: ${event.id}\nevent: server.down\n`));
+    assert.deepEqual(parseEvents(text).at(-1), event);
+});
+
+test('limits the stream to the requested event types', async (t) => {
+    const client = await connect('?events=session.paired');
+    t.after(client.close);
+    await client.next(/event: snapshot\n/);
+
+    emitGatewayEvent('server.down', { serverId: 'stream-a' });
+    emitGatewayEvent('session.paired', { sessionId: 's1' });
+
+    const events = parseEvents(await client.next(/event: session\.paired\n/));
+    assert.deepEqual(events.map(event => event.type), ['snapshot', 'session.paired']);
+});
+
+test('keeps idle streams alive and forgets closed ones', async () => {
+    const client = await connect();
+    await client.next(/: heartbeat\n\n/);
+    assert.equal(eventStream.getStatus().clients, 1);
+
+    client.close();
+    await waitFor(() => eventStream.getStatus().clients === 0);
+});
+
+test('drops clients whose connection is gone without failing the emitter', async () => {
+    await waitFor(() => eventStream.getStatus().clients === 0);
+    const ended = { res: { writableEnded: true, write: () => assert.fail('wrote to an ended response') } };
+    const broken = {
+        res: {
+            write: () => {
+                throw new Error('write after end');
+            }
+        }
+    };
+    eventStream.clients.add(ended);
+    eventStream.clients.add(broken);
+
+    assert.doesNotThrow(() => emitGatewayEvent('server.down', { serverId: 'stream-a' }));
+    assert.equal(eventStream.getStatus().clients, 0);
+});
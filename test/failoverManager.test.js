@@ -0,0 +1,114 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.FAILOVER_AFTER = '60000';
+process.env.FAILOVER_HISTORY_LIMIT = '2';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { gatewayEvents } = await import('../src/utils/eventBus.js');
+const { default: FailoverManager } = await import('../src/services/failoverManager.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+const unhealthyFor = (ms) => ({
+    status: CONFIG.STATUS.UNHEALTHY,
+    unhealthySince: Date.now() - ms,
+    error: 'connect ECONNREFUSED'
+});
+
+const setup = (servers) => {
+    const serverManager = createServerManager(servers);
+    return { serverManager, failoverManager: new FailoverManager(serverManager) };
+};
+
+afterEach(() => {
+    CONFIG.FAILOVER_ENABLED = true;
+});
+
+test('fails over servers unhealthy past the threshold once', async () => {
+    const { serverManager, failoverManager } = setup([
+        createServer('dead', { ...unhealthyFor(61000), sessions: ['s1', 's2'] }),
+        createServer('flapping', unhealthyFor(1000)),
+        createServer('alive')
+    ]);
+    serverManager.sessionMap.set('s1', 'dead', { number: '33612340001', tenant: 'team-a' });
+    serverManager.sessionMap.set('s2', 'dead');
+    serverManager.sessionMap.set('s3', 'alive');
+
+    const events = [];
+    const listener = event => events.push(event);
+    gatewayEvents.on(CONFIG.EVENTS.SERVER_FAILOVER, listener);
+    try {
+        await failoverManager.checkServers();
+        await failoverManager.checkServers();
+    } finally {
+        gatewayEvents.off(CONFIG.EVENTS.SERVER_FAILOVER, listener);
+    }
+
+    assert.equal(events.length, 1);
+    const [{ data: failover }] = events;
+    assert.equal(failover.serverId, 'dead');
+    assert.equal(failover.trigger, 'automatic');
+    assert.equal(failover.error, 'connect ECONNREFUSED');
+    assert.deepEqual(failover.sessions, [
+        { sessionId: 's1', number: '33612340001', tenant: 'team-a' },
+        { sessionId: 's2', number: null, tenant: null }
+    ]);
+
+    assert.deepEqual(Array.from(serverManager.sessionMap.entries()), [['s3', 'alive']]);
+    assert.deepEqual(serverManager.getServer('dead').sessions, []);
+});
+
+test('fails over again after the server recovers and goes down again', async () => {
+    const { serverManager, failoverManager } = setup([createServer('dead', unhealthyFor(61000))]);
+    await failoverManager.checkServers();
+    const server = serverManager.getServer('dead');
+    assert.equal(failoverManager.isDue(server), false);
+
+    // An outage that started after the last failover
+    server.failedOverAt = Date.now() - 120000;
+    server.unhealthySince = Date.now() - 61000;
+    assert.equal(failoverManager.isDue(server), true);
+});
+
+test('only fails over unhealthy servers on request', async () => {
+    const { failoverManager } = setup([
+        createServer('flapping', unhealthyFor(1000)),
+        createServer('alive')
+    ]);
+
+    await assert.rejects(failoverManager.failover('missing'), { statusCode: 404 });
+    await assert.rejects(failoverManager.failover('alive'), { statusCode: 409 });
+
+    const failover = await failoverManager.failover('flapping');
+    assert.equal(failover.trigger, 'manual');
+});
+
+test('reports pending candidates and recent history', async () => {
+    const { serverManager, failoverManager } = setup([
+        createServer('a', unhealthyFor(1000)),
+        createServer('b', unhealthyFor(1000)),
+        createServer('c', unhealthyFor(1000)),
+        createServer('pending', unhealthyFor(1000))
+    ]);
+    serverManager.sessionMap.set('s1', 'pending');
+
+    for (const serverId of ['a', 'b', 'c']) {
+        await failoverManager.failover(serverId);
+    }
+
+    const status = failoverManager.getStatus();
+    assert.deepEqual(status.history.map(failover => failover.serverId), ['c', 'b']);
+
+    const pending = status.unhealthy.find(server => server.serverId === 'pending');
+    assert.equal(pending.mappedSessions, 1);
+    assert.equal(pending.failedOver, false);
+    assert.equal(
+        pending.failoverAt,
+        new Date(serverManager.getServer('pending').unhealthySince + 60000).toISOString()
+    );
+    assert.equal(status.unhealthy.find(server => server.serverId === 'a').failoverAt, null);
+
+    CONFIG.FAILOVER_ENABLED = false;
+    assert.equal(failoverManager.getStatus().unhealthy.find(server => server.serverId === 'pending').failoverAt, null);
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend, startGateway, waitFor } from './gateway.js';
+
+const SESSION_ID = 'forward-session-1';
+const LIMIT = 64 * 1024;
+
+let backend;
+let gateway;
+
+const sendChunks = (res, size) => {
+    res.writeHead(200, { 'content-type': 'application/octet-stream' });
+    const chunk = Buffer.alloc(16 * 1024, 1);
+    for (let sent = 0; sent < size; sent += chunk.length) {
+        res.write(chunk);
+    }
+    res.end();
+};
+
+before(async () => {
+    backend = await startBackend((req, res) => {
+        const path = req.url.replace(`/session/${SESSION_ID}`, '');
+
+        if (req.url === '/sessions') {
+            res.setHeader('content-type', 'application/json');
+            return res.end(JSON.stringify({ sessions: [{ id: SESSION_ID }] }));
+        }
+        if (path === '/echo') {
+            // Echo the upload back with its content type
+            res.setHeader('content-type', req.headers['content-type'] || 'application/octet-stream');
+            return req.pipe(res);
+        }
+        if (path === '/large') {
+            const body = Buffer.alloc(LIMIT * 2, 1);
+            res.writeHead(200, { 'content-type': 'application/octet-stream', 'content-length': body.length });
+            return res.end(body);
+        }
+        if (path === '/large-chunked') {
+            return sendChunks(res, LIMIT * 4);
+        }
+        if (req.url.startsWith('/pair/')) {
+            return sendChunks(res, LIMIT * 2);
+        }
+        res.statusCode = 404;
+        res.end();
+    });
+
+    gateway = await startGateway({
+        BACKEND_SERVERS: backend.url,
+        PROXY_ALLOWED_PATHS: '/session/:sessionId/*',
+        FORWARD_MAX_REQUEST_SIZE: LIMIT,
+        FORWARD_MAX_RESPONSE_SIZE: LIMIT
+    });
+
+    await waitFor(async () => {
+        const response = await fetch(`${gateway.url}/find-session/${SESSION_ID}`);
+        return response.status === 200;
+    });
+});
+
+after(async () => {
+    await gateway?.stop();
+    await backend?.close();
+});
+
+test('passes binary bodies through untouched', async () => {
+    const body = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x0d, 0x0a]);
+    const response = await fetch(`${gateway.url}/s/${SESSION_ID}/session/${SESSION_ID}/echo`, {
+        method: 'POST',
+        headers: { 'content-type': 'image/png' },
+        body
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), body);
+});
+
+test('rejects uploads over the request limit', async () => {
+    const declared = await fetch(`${gateway.url}/s/${SESSION_ID}/session/${SESSION_ID}/echo`, {
+        method: 'POST',
+        body: Buffer.alloc(LIMIT + 1)
+    });
+    assert.equal(declared.status, 413);
+
+    // Chunked: the size is only known while streaming
+    const chunked = await fetch(`${gateway.url}/s/${SESSION_ID}/session/${SESSION_ID}/echo`, {
+        method: 'POST',
+        body: new ReadableStream({
+            start(controller) {
+                for (let i = 0; i < 8; i++) controller.enqueue(new Uint8Array(16 * 1024));
+                controller.close();
+            }
+        }),
+        duplex: 'half'
+    });
+    assert.equal(chunked.status, 413);
+});
+
+test('rejects streamed responses declared over the response limit', async () => {
+    const response = await fetch(`${gateway.url}/s/${SESSION_ID}/session/${SESSION_ID}/large`);
+    assert.equal(response.status, 502);
+});
+
+test('aborts streamed responses that grow over the response limit', async () => {
+    const response = await fetch(`${gateway.url}/s/${SESSION_ID}/session/${SESSION_ID}/large-chunked`);
+    assert.equal(response.status, 200);
+    await assert.rejects(response.arrayBuffer());
+});
+
+test('rejects buffered pairing responses over the response limit', async () => {
+    const response = await fetch(`${gateway.url}/pair/33612340003`);
+    assert.equal(response.status, 502);
+});
@@ -0,0 +1,107 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Run the gateway as a child process against local stand-in backends
+ */
+
+const entry = fileURLToPath(new URL('../src/index.js', import.meta.url));
+
+const findFreePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Start an HTTP backend stand-in on a free local port
+ * @param {Function} handler - (req, res) request handler
+ * @returns {Promise<Object>} - { url, close }
+ */
+export const startBackend = async (handler) => {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        })
+    };
+};
+
+/**
+ * Start the gateway in an empty working directory
+ * @param {Object} env - Configuration
+ * @param {Object} options - { dotenv: write the configuration to .env instead of the environment, cwd: working directory to reuse }
+ * @returns {Promise<Object>} - { url, cwd, exited, kill, stop }
+ */
+export const startGateway = async (env, { dotenv = false, cwd: reusedCwd } = {}) => {
+    const cwd = reusedCwd || fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-test-'));
+    const port = await findFreePort();
+    const config = { HEALTH_CHECK_INTERVAL: 60000, ...env, PORT: port };
+
+    if (dotenv) {
+        const lines = Object.entries(config).map(([name, value]) => `${name}=${value}`);
+        fs.writeFileSync(path.join(cwd, '.env'), `${lines.join('\n')}\n`);
+    }
+
+    const child = spawn(process.execPath, [entry], {
+        cwd,
+        env: { PATH: process.env.PATH, LOG_LEVEL: 'info', ...(!dotenv && config) },
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Gateway did not start')), 15000);
+        // Keep draining the output for the life of the process
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes(`running on port ${port}`)) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        exited.then(code => {
+            clearTimeout(timer);
+            reject(new Error(`Gateway exited with code ${code}`));
+        });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        cwd,
+        // Resolves with the exit code
+        exited,
+        kill: (signal) => child.kill(signal),
+        stop: async () => {
+            const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+            child.kill();
+            await exited;
+            clearTimeout(timer);
+            fs.rmSync(cwd, { recursive: true, force: true });
+        }
+    };
+};
+
+/**
+ * Poll until a condition holds
+ * @param {Function} condition - Async predicate
+ * @param {number} timeoutMs - Give up after
+ */
+export const waitFor = async (condition, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) throw new Error('Condition not met in time');
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+};
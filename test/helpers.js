@@ -0,0 +1,58 @@
+import { CONFIG } from '../src/config/constants.js';
+import CircuitBreaker from '../src/services/circuitBreaker.js';
+import { MemorySessionStore } from '../src/stores/sessionStore.js';
+
+/**
+ * Shared test fixtures
+ */
+
+/**
+ * Create a backend server as held by the server manager
+ * @param {string} id - Server ID
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Server
+ */
+export const createServer = (id, overrides = {}) => ({
+    id,
+    url: `http://${id}.test`,
+    status: CONFIG.STATUS.HEALTHY,
+    isActive: true,
+    draining: false,
+    sessionCount: 0,
+    sessions: [],
+    maxSessions: 2,
+    reservedSessions: 0,
+    ...overrides
+});
+
+/**
+ * Minimal server manager over a fixed server list
+ * @param {Array} servers - Servers
+ * @returns {Object} - Server manager
+ */
+export const createServerManager = (servers) => {
+    const breakers = new Map();
+
+    return {
+        servers,
+        sessionMap: new MemorySessionStore(),
+        saveState: async () => {},
+        getAllServers: () => servers,
+        getServer: (serverId) => servers.find(server => server.id === serverId) || null,
+        getServerSessionCount: async (serverId) => servers.find(server => server.id === serverId).sessionCount,
+        getBreaker(serverId) {
+            if (!breakers.has(serverId)) {
+                breakers.set(serverId, new CircuitBreaker(serverId));
+            }
+            return breakers.get(serverId);
+        },
+        getActiveServers() {
+            return servers.filter(server =>
+                server.status === CONFIG.STATUS.HEALTHY &&
+                server.isActive &&
+                !server.draining &&
+                this.getBreaker(server.id).canRequest()
+            );
+        }
+    };
+};
@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend, startGateway } from './gateway.js';
+
+let backends;
+let gateway;
+const pairings = []; // { backend, number }
+
+// A backend answering pairings after a short delay so concurrent requests overlap
+const pairingBackend = (name) => (req, res) => {
+    res.setHeader('content-type', 'application/json');
+    if (req.url === '/sessions') {
+        return res.end(JSON.stringify({ sessions: [] }));
+    }
+
+    const number = req.url.split('/')[2];
+    pairings.push({ backend: name, number });
+    setTimeout(() => {
+        res.end(JSON.stringify({ ok: true, code: `CODE-${pairings.length}`, sessionId: number }));
+    }, 200);
+};
+
+before(async () => {
+    backends = [await startBackend(pairingBackend('a')), await startBackend(pairingBackend('b'))];
+    gateway = await startGateway({
+        BACKEND_SERVERS: backends.map(backend => backend.url).join(',')
+    });
+});
+
+after(async () => {
+    await gateway?.stop();
+    await Promise.all(backends.map(backend => backend.close()));
+});
+
+const pair = (number, headers = {}) => fetch(`${gateway.url}/pair/${number}`, { headers });
+
+test('joins concurrent pairings of the same number', async () => {
+    const responses = await Promise.all([pair('33612340001'), pair('33612340001')]);
+    const bodies = await Promise.all(responses.map(response => response.json()));
+
+    assert.deepEqual(responses.map(response => response.status), [200, 200]);
+    assert.deepEqual(
+        responses.map(response => response.headers.get('x-pairing-joined')).sort(),
+        ['true', null].sort()
+    );
+    assert.deepEqual(bodies[0], bodies[1]);
+    assert.equal(pairings.filter(({ number }) => number === '33612340001').length, 1);
+});
+
+test('re-pairs a number on the backend holding its session', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await pair('33612340002')).status, 200);
+    }
+
+    const used = pairings.filter(({ number }) => number === '33612340002').map(({ backend }) => backend);
+    assert.equal(used.length, 3);
+    assert.equal(new Set(used).size, 1);
+});
+
+test('replays responses for a known Idempotency-Key', async () => {
+    const first = await pair('33612340003', { 'idempotency-key': 'retry-1' });
+    const replay = await pair('33612340003', { 'idempotency-key': 'retry-1' });
+
+    assert.equal(replay.status, 200);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await replay.json(), await first.json());
+    assert.equal(pairings.filter(({ number }) => number === '33612340003').length, 1);
+
+    const reused = await pair('33612340004', { 'idempotency-key': 'retry-1' });
+    assert.equal(reused.status, 422);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.SERVER_REGISTRY = 'memory';
+process.env.BACKEND_SERVERS = 'fast=http://localhost:4201,slow=http://localhost:4202';
+process.env.LATENCY_MIN_SAMPLES = '3';
+
+const { LatencyWindow } = await import('../src/utils/latencyWindow.js');
+const { default: ServerManager } = await import('../src/services/serverManager.js');
+const { default: LoadBalancer } = await import('../src/services/loadBalancer.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+const mockRandom = (t, value) => t.mock.method(Math, 'random', () => value);
+
+test('reports nearest-rank percentiles of recent samples', () => {
+    const window = new LatencyWindow({ maxSamples: 100 });
+    assert.deepEqual(window.getSummary(), { samples: 0, p50: null, p95: null, p99: null, last: null });
+
+    for (let value = 1; value <= 100; value++) window.record(value);
+    window.record(5.4); // over the cap: the oldest sample (1) is dropped
+
+    assert.deepEqual(window.getSummary(), { samples: 100, p50: 50, p95: 95, p99: 99, last: 5 });
+});
+
+test('drops samples older than the window', () => {
+    const window = new LatencyWindow({ maxAgeMs: 1000 });
+    window.record(500);
+    window.record(20);
+    window.samples[0].timestamp -= 2000;
+
+    assert.equal(window.percentile(99), 20);
+    assert.equal(window.samples.length, 1);
+});
+
+test('routes on forwarded latency once enough samples exist', () => {
+    const serverManager = new ServerManager();
+    assert.equal(serverManager.getRoutingLatency('fast'), null);
+
+    serverManager.recordLatency('fast', 40, 'health');
+    assert.equal(serverManager.getRoutingLatency('fast'), 40, 'health checks until then');
+
+    [300, 320, 310].forEach(ms => serverManager.recordLatency('fast', ms, 'forward'));
+    assert.equal(serverManager.getRoutingLatency('fast'), 320);
+    assert.equal(serverManager.getServer('fast').responseTime, 310);
+
+    serverManager.recordLatency('missing', 10, 'health');
+    assert.equal(serverManager.getLatencySummary('slow').forward.samples, 0);
+});
+
+test('thins out servers slower than twice the fastest', (t) => {
+    const servers = [createServer('fast'), createServer('near'), createServer('slow'), createServer('new')];
+    const latencies = { fast: 100, near: 200, slow: 800, new: null };
+    const serverManager = createServerManager(servers);
+    serverManager.getRoutingLatency = (serverId) => latencies[serverId];
+    const loadBalancer = new LoadBalancer(serverManager);
+
+    // The slow server is kept with probability 200/800
+    mockRandom(t, 0.3);
+    assert.deepEqual(loadBalancer.filterSlowServers(servers).map(server => server.id), ['fast', 'near', 'new']);
+    mockRandom(t, 0.2);
+    assert.deepEqual(loadBalancer.filterSlowServers(servers).map(server => server.id), ['fast', 'near', 'slow', 'new']);
+
+    // Never filters everything out, and needs two measurements to compare
+    mockRandom(t, 0.99);
+    latencies.fast = 0;
+    assert.ok(loadBalancer.filterSlowServers(servers).length > 0);
+    assert.equal(loadBalancer.filterSlowServers([servers[2], servers[3]]).length, 2);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { default: LoadBalancer } = await import('../src/services/loadBalancer.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+test('reserveServer claims slots up to server capacity', async () => {
+    const servers = [createServer('lb-a'), createServer('lb-b')];
+    const loadBalancer = new LoadBalancer(createServerManager(servers));
+
+    const admissions = [];
+    for (let i = 0; i < 4; i++) {
+        admissions.push(await loadBalancer.reserveServer({ key: `3361234567${i}` }));
+    }
+
+    const perServer = admissions.reduce((counts, { server }) => {
+        counts[server.id] = (counts[server.id] || 0) + 1;
+        return counts;
+    }, {});
+    assert.deepEqual(perServer, { 'lb-a': 2, 'lb-b': 2 });
+
+    await assert.rejects(loadBalancer.reserveServer({ key: '33612345679' }), { message: 'ALL_FULL' });
+
+    await loadBalancer.releaseReservation(admissions[0].reservation, 'test');
+    const next = await loadBalancer.reserveServer({ key: '33612345679' });
+    assert.equal(next.server.id, admissions[0].server.id);
+});
+
+test('reserveServer reports unavailable backends instead of ALL_FULL', async () => {
+    const servers = [
+        createServer('lb-down-a', { status: CONFIG.STATUS.UNHEALTHY }),
+        createServer('lb-down-b', { status: CONFIG.STATUS.UNHEALTHY })
+    ];
+    const loadBalancer = new LoadBalancer(createServerManager(servers));
+
+    await assert.rejects(loadBalancer.reserveServer({ key: '33612345678' }), { message: 'ALL_UNAVAILABLE' });
+});
+
+test('reserveServer reports no active servers when backends are inactive', async () => {
+    const servers = [createServer('lb-draining', { draining: true })];
+    const loadBalancer = new LoadBalancer(createServerManager(servers));
+
+    await assert.rejects(loadBalancer.reserveServer({ key: '33612345678' }), { message: 'NO_ACTIVE_SERVERS' });
+});
+
+test('reserveServer keeps ALL_FULL when every backend is marked full', async () => {
+    const servers = [createServer('lb-full', { status: CONFIG.STATUS.FULL, sessionCount: 2 })];
+    const loadBalancer = new LoadBalancer(createServerManager(servers));
+
+    await assert.rejects(loadBalancer.reserveServer({ key: '33612345678' }), { message: 'ALL_FULL' });
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend, startGateway } from './gateway.js';
+
+const { metrics } = await import('../src/utils/metrics.js');
+
+test('renders counters with escaped labels', () => {
+    const counter = metrics.counter('test_jobs_total', 'Jobs by result', ['result']);
+    counter.inc({ result: 'ok' });
+    counter.inc({ result: 'ok' }, 2);
+    counter.inc({ result: 'say "hi"\n', ignored: 'x' });
+
+    assert.equal(counter.render(), [
+        '# HELP test_jobs_total Jobs by result',
+        '# TYPE test_jobs_total counter',
+        'test_jobs_total{result="ok"} 3',
+        'test_jobs_total{result="say \\"hi\\"\\n"} 1'
+    ].join('\n'));
+    assert.throws(() => metrics.counter('test_jobs_total', 'Again'), /already registered/);
+});
+
+test('refreshes collected gauges on every scrape', () => {
+    let queued = 2;
+    const gauge = metrics.gauge('test_queue_depth', 'Queued items', [], metric => metric.set({}, queued));
+
+    assert.match(gauge.render(), /^test_queue_depth 2$/m);
+    queued = 0;
+    assert.match(gauge.render(), /^test_queue_depth 0$/m);
+});
+
+test('renders cumulative histogram buckets', () => {
+    const histogram = metrics.histogram('test_duration_seconds', 'Durations', ['kind'], [1, 0.1]);
+    histogram.observe({ kind: 'a' }, 0.05);
+    histogram.observe({ kind: 'a' }, 0.5);
+    histogram.observe({ kind: 'a' }, 3);
+
+    assert.deepEqual(histogram.render().split('\n').slice(2), [
+        'test_duration_seconds_bucket{kind="a",le="0.1"} 1',
+        'test_duration_seconds_bucket{kind="a",le="1"} 2',
+        'test_duration_seconds_bucket{kind="a",le="+Inf"} 3',
+        'test_duration_seconds_sum{kind="a"} 3.55',
+        'test_duration_seconds_count{kind="a"} 3'
+    ]);
+});
+
+test('restores recorded values from a snapshot', () => {
+    const snapshot = JSON.parse(JSON.stringify(metrics.toJSON()));
+    assert.equal('test_queue_depth' in snapshot, false, 'collected metrics are not saved');
+
+    const counter = metrics.metrics.get('test_jobs_total');
+    const histogram = metrics.metrics.get('test_duration_seconds');
+    counter.reset();
+    histogram.reset();
+
+    // Bucket layouts that changed since the snapshot are dropped
+    snapshot.test_duration_seconds.values[0].value.bucketCounts.push(0);
+    metrics.restore(snapshot);
+
+    assert.match(counter.render(), /^test_jobs_total\{result="ok"\} 3$/m);
+    assert.equal(histogram.values.size, 0);
+});
+
+test('serves gateway and backend metrics', async (t) => {
+    const backend = await startBackend((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ sessions: [{ id: 'metrics-session' }] }));
+    });
+    const gateway = await startGateway({ BACKEND_SERVERS: `metered=${backend.url};maxSessions=4` });
+    t.after(async () => {
+        await gateway.stop();
+        await backend.close();
+    });
+
+    await fetch(`${gateway.url}/find-session/metrics-session`);
+    const response = await fetch(`${gateway.url}/metrics`);
+    const text = await response.text();
+
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(text, /^gateway_http_requests_total\{method="GET",route="\/find-session\/:sessionId",status="200"\} 1$/m);
+    assert.match(text, /^gateway_backend_sessions\{server="metered"\} 1$/m);
+    assert.match(text, /^gateway_backend_capacity\{server="metered"\} 4$/m);
+    assert.match(text, /^gateway_backend_up\{server="metered"\} 1$/m);
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend, startGateway, waitFor } from './gateway.js';
+
+let backend;
+let gateway;
+
+before(async () => {
+    // A backend already holding its only session
+    backend = await startBackend((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        if (req.url === '/sessions') {
+            return res.end(JSON.stringify({ sessions: [{ id: 'existing-session' }] }));
+        }
+        res.end(JSON.stringify({ ok: true, code: 'ABCD-1234', sessionId: req.url.split('/')[2] }));
+    });
+
+    gateway = await startGateway({
+        BACKEND_SERVERS: `${backend.url};maxSessions=1`,
+        PAIRING_QUEUE_ENABLED: 'true'
+    });
+
+    await waitFor(async () => {
+        const { servers } = await (await fetch(`${gateway.url}/servers`)).json();
+        return servers[0].status === 'full';
+    });
+});
+
+after(async () => {
+    await gateway?.stop();
+    await backend?.close();
+});
+
+test('queues pairings while every backend is full and points at the ticket', async () => {
+    const response = await fetch(`${gateway.url}/pair/33612340001?async=true`);
+    assert.equal(response.status, 202);
+
+    const location = response.headers.get('location');
+    assert.match(location, /^\/pair-queue\/[0-9a-f-]+$/);
+
+    const ticket = await (await fetch(`${gateway.url}${location}`)).json();
+    assert.equal(ticket.state, 'queued');
+    assert.equal(ticket.position, 1);
+});
+
+test('replays a queued pairing with its Location', async () => {
+    const request = () => fetch(`${gateway.url}/pair/33612340002?async=true`, {
+        headers: { 'idempotency-key': 'queued-replay' }
+    });
+
+    const first = await request();
+    assert.equal(first.status, 202);
+
+    const replay = await request();
+    assert.equal(replay.status, 202);
+    assert.equal(replay.headers.get('idempotent-replayed'), 'true');
+    assert.equal(replay.headers.get('location'), first.headers.get('location'));
+});
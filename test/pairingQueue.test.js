@@ -0,0 +1,147 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.PAIRING_QUEUE_ENABLED = 'true';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { default: PairingQueue } = await import('../src/services/pairingQueue.js');
+const { delay } = await import('../src/utils/helpers.js');
+
+const DEFAULTS = {
+    PAIRING_QUEUE_ORDER: CONFIG.PAIRING_QUEUE_ORDER,
+    PAIRING_QUEUE_MAX_SIZE: CONFIG.PAIRING_QUEUE_MAX_SIZE,
+    PAIRING_QUEUE_TIMEOUT: CONFIG.PAIRING_QUEUE_TIMEOUT
+};
+
+afterEach(() => Object.assign(CONFIG, DEFAULTS));
+
+/**
+ * Load balancer handing out a fixed number of free slots
+ */
+const createLoadBalancer = (free = 0) => ({
+    free,
+    released: [],
+    async reserveServer() {
+        if (this.free <= 0) throw new Error('ALL_FULL');
+        this.free--;
+        return { server: { id: 'server-a' }, reservation: { id: `reservation-${this.free}` } };
+    },
+    async releaseReservation(reservation) {
+        this.released.push(reservation);
+    }
+});
+
+/**
+ * Queue pairings and record the order they run in
+ */
+const enqueueAll = (queue, requests) => {
+    const admitted = [];
+    const tickets = requests.map(request => queue.enqueue(request, async () => {
+        admitted.push(request.number);
+        return { status: 200, body: { ok: true, number: request.number } };
+    }).ticket);
+    return { admitted, tickets };
+};
+
+test('admits queued pairings first in, first out', async () => {
+    const loadBalancer = createLoadBalancer();
+    const queue = new PairingQueue(loadBalancer);
+    const { admitted, tickets } = enqueueAll(queue, [
+        { number: '33600000001', tenant: 'a', priority: 5 },
+        { number: '33600000002', tenant: 'b', priority: 10 },
+        { number: '33600000003', tenant: 'a', priority: 0 }
+    ]);
+
+    assert.deepEqual(tickets.map(ticket => queue.getPosition(ticket)), [1, 2, 3]);
+
+    loadBalancer.free = 2;
+    await queue.process();
+    await Promise.all(tickets.slice(0, 2).map(ticket => ticket.completion));
+
+    assert.deepEqual(admitted, ['33600000001', '33600000002']);
+    assert.equal(queue.getPosition(tickets[2]), 1);
+    assert.equal(queue.getStatus().depth, 1);
+    queue.stop();
+});
+
+test('admits higher tenant priorities first, FIFO within a priority', async () => {
+    CONFIG.PAIRING_QUEUE_ORDER = 'priority';
+    const loadBalancer = createLoadBalancer();
+    const queue = new PairingQueue(loadBalancer);
+    const { admitted, tickets } = enqueueAll(queue, [
+        { number: '33600000001', tenant: 'a', priority: 0 },
+        { number: '33600000002', tenant: 'b', priority: 10 },
+        { number: '33600000003', tenant: 'c', priority: 10 },
+        { number: '33600000004', tenant: 'a', priority: 0 }
+    ]);
+
+    loadBalancer.free = 4;
+    await queue.process();
+    await Promise.all(tickets.map(ticket => ticket.completion));
+
+    assert.deepEqual(admitted, ['33600000002', '33600000003', '33600000001', '33600000004']);
+});
+
+test('shares the ticket of a number already waiting for the same tenant', () => {
+    const queue = new PairingQueue(createLoadBalancer());
+    const pair = async () => ({ status: 200, body: {} });
+
+    const first = queue.enqueue({ number: '33600000001', tenant: 'a' }, pair);
+    const again = queue.enqueue({ number: '33600000001', tenant: 'a' }, pair);
+    const otherTenant = queue.enqueue({ number: '33600000001', tenant: 'b' }, pair);
+
+    assert.equal(first.created, true);
+    assert.equal(again.created, false);
+    assert.equal(again.ticket, first.ticket);
+    assert.notEqual(otherTenant.ticket, first.ticket);
+    queue.stop();
+});
+
+test('rejects pairings when the queue is full', () => {
+    CONFIG.PAIRING_QUEUE_MAX_SIZE = 1;
+    const queue = new PairingQueue(createLoadBalancer());
+    const pair = async () => ({ status: 200, body: {} });
+
+    queue.enqueue({ number: '33600000001' }, pair);
+    assert.throws(() => queue.enqueue({ number: '33600000002' }, pair), { statusCode: 503 });
+    assert.equal(queue.getStatus().rejected, 1);
+    queue.stop();
+});
+
+test('times out pairings that wait too long', async () => {
+    CONFIG.PAIRING_QUEUE_TIMEOUT = 30;
+    const queue = new PairingQueue(createLoadBalancer());
+    const { ticket } = queue.enqueue({ number: '33600000001' }, async () => ({ status: 200, body: {} }));
+
+    await assert.rejects(ticket.completion, { statusCode: 503 });
+    assert.equal(ticket.state, 'timed_out');
+    assert.equal(queue.getTicket(ticket.id).result.status, 503);
+    assert.equal(queue.getStatus().timedOut, 1);
+});
+
+test('releases the slot of a ticket that timed out while claiming it', async () => {
+    CONFIG.PAIRING_QUEUE_TIMEOUT = 20;
+    const loadBalancer = createLoadBalancer(1);
+    loadBalancer.reserveServer = async function () {
+        await delay(40);
+        return { server: { id: 'server-a' }, reservation: { id: 'late' } };
+    };
+    const queue = new PairingQueue(loadBalancer);
+    const { ticket } = queue.enqueue({ number: '33600000001' }, async () => ({ status: 200, body: {} }));
+
+    await queue.process();
+
+    assert.equal(ticket.state, 'timed_out');
+    assert.deepEqual(loadBalancer.released, [{ id: 'late' }]);
+});
+
+test('only shows tickets to their tenant', () => {
+    const queue = new PairingQueue(createLoadBalancer());
+    const { ticket } = queue.enqueue({ number: '33600000001', tenant: 'a' }, async () => ({ status: 200, body: {} }));
+
+    assert.equal(queue.getTicket(ticket.id, 'a').position, 1);
+    assert.equal(queue.getTicket(ticket.id).state, 'queued');
+    assert.throws(() => queue.getTicket(ticket.id, 'b'), { statusCode: 404 });
+    queue.stop();
+});
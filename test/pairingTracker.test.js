@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.PAIRING_CODE_TTL = '60000';
+process.env.PAIRING_STATUS_RETENTION = '120000';
+
+const { default: PairingTracker } = await import('../src/services/pairingTracker.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+const NUMBER = '33612340001';
+
+const setup = () => {
+    const server = createServer('tracked', { sessionsList: [], sessionsListedAt: null });
+    const serverManager = createServerManager([server]);
+    const tracker = new PairingTracker(serverManager);
+    tracker.trackPending({ number: NUMBER, serverId: 'tracked', code: 'ABCD-1234', tenant: 'team-a' });
+    return { server, serverManager, tracker };
+};
+
+// Simulate the listing of the next health check
+const listSessions = (server, sessions) => {
+    server.sessionsList = sessions;
+    server.sessionsListedAt = Date.now();
+};
+
+test('stays pending with its code until the session is listed connected', () => {
+    const { server, tracker } = setup();
+
+    const pending = tracker.getStatus(NUMBER);
+    assert.equal(pending.state, 'pending');
+    assert.equal(pending.code, 'ABCD-1234');
+    assert.equal(pending.sessionId, NUMBER, 'sessions are named after the number by default');
+    assert.equal(pending.lastCheckedAt, null);
+
+    listSessions(server, [{ id: NUMBER, status: 'connecting' }]);
+    assert.equal(tracker.getStatus(NUMBER).state, 'pending');
+
+    listSessions(server, [{ id: NUMBER, status: 'OPEN' }]);
+    const connected = tracker.getStatus(NUMBER);
+    assert.equal(connected.state, 'connected');
+    assert.equal(connected.code, null);
+    assert.equal(connected.expiresAt, null);
+    assert.equal(connected.lastCheckedAt, new Date(server.sessionsListedAt).toISOString());
+});
+
+test('ignores listings taken before the code was issued', () => {
+    const { server, tracker } = setup();
+    server.sessionsList = [{ sessionId: NUMBER, connected: true }];
+    server.sessionsListedAt = Date.now() - 1000;
+    assert.equal(tracker.getStatus(NUMBER).state, 'pending');
+
+    listSessions(server, [{ sessionId: NUMBER, connected: true }]);
+    assert.equal(tracker.getStatus(NUMBER).state, 'connected');
+});
+
+test('treats listings without a state as live sessions', () => {
+    const { server, tracker } = setup();
+    listSessions(server, [{ id: NUMBER }]);
+    assert.equal(tracker.getStatus(NUMBER).state, 'connected');
+});
+
+test('expires codes that never connected and fails on removed backends', () => {
+    const { serverManager, tracker } = setup();
+    tracker.attempts.get(NUMBER).createdAt -= 60000;
+    assert.equal(tracker.getStatus(NUMBER).state, 'expired');
+
+    tracker.trackPending({ number: '33612340002', serverId: 'tracked', code: 'EFGH-5678' });
+    serverManager.servers.length = 0;
+    const failed = tracker.getStatus('33612340002');
+    assert.equal(failed.state, 'failed');
+    assert.equal(failed.error, 'Backend tracked was removed');
+});
+
+test('records failures and hides other tenants', () => {
+    const { tracker } = setup();
+    tracker.trackFailure({ number: '33612340003', tenant: 'team-b', error: 'All API servers are full (2/2)' });
+
+    assert.equal(tracker.getStatus(NUMBER, 'team-b'), null);
+    assert.equal(tracker.getStatus(NUMBER, 'team-a').state, 'pending');
+    assert.equal(tracker.getStatus('33612340003', 'team-b').error, 'All API servers are full (2/2)');
+    assert.deepEqual(tracker.getSummary(), { pending: 1, connected: 0, expired: 0, failed: 1 });
+});
+
+test('forgets attempts after the retention period', () => {
+    const { tracker } = setup();
+    tracker.attempts.get(NUMBER).updatedAt -= 120001;
+
+    tracker.trackFailure({ number: '33612340003', error: 'boom' });
+    assert.equal(tracker.getStatus(NUMBER), null);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { gatewayEvents } = await import('../src/utils/eventBus.js');
+const { default: Rebalancer } = await import('../src/services/rebalancer.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+const { waitFor } = await import('./gateway.js');
+
+/**
+ * a: draining, b: over the even load, c: empty, d: unhealthy.
+ * 6 sessions over 8 active slots puts every active server at 75% (3 sessions).
+ */
+const setup = () => {
+    const serverManager = createServerManager([
+        createServer('a', { draining: true, maxSessions: 4, sessionCount: 2, sessions: ['s1', '33612340002'] }),
+        createServer('b', { maxSessions: 4, sessionCount: 4 }),
+        createServer('c', { maxSessions: 4 }),
+        createServer('d', { maxSessions: 4, sessionCount: 4, status: CONFIG.STATUS.UNHEALTHY })
+    ]);
+    serverManager.sessionMap.set('s1', 'a', { number: '33612340001', tenant: 'team-a' });
+    ['b1', 'b2', 'b3', 'b4'].forEach(sessionId => serverManager.sessionMap.set(sessionId, 'b'));
+    ['d1', 'd2'].forEach(sessionId => serverManager.sessionMap.set(sessionId, 'd'));
+
+    const repairs = [];
+    const pairingCoordinator = {
+        flagForRepair: (number, options) => repairs.push({ number, ...options })
+    };
+
+    return { serverManager, repairs, rebalancer: new Rebalancer(serverManager, pairingCoordinator) };
+};
+
+test('plans moves off draining and overloaded servers towards an even load', () => {
+    const { rebalancer } = setup();
+    const plan = rebalancer.createPlan();
+
+    assert.equal(plan.targetLoadPercentage, 75);
+    assert.deepEqual(plan.moves, [
+        { sessionId: 's1', number: '33612340001', tenant: 'team-a', from: 'a', to: 'c', reason: 'draining' },
+        { sessionId: '33612340002', number: '33612340002', tenant: null, from: 'a', to: 'c', reason: 'draining' },
+        { sessionId: 'b1', number: null, tenant: null, from: 'b', to: 'c', reason: 'overloaded' }
+    ]);
+    assert.deepEqual(
+        plan.servers.map(({ id, outgoing, incoming }) => ({ id, outgoing, incoming })),
+        [
+            { id: 'a', outgoing: 2, incoming: 0 },
+            { id: 'b', outgoing: 1, incoming: 0 },
+            { id: 'c', outgoing: 0, incoming: 3 }
+        ]
+    );
+});
+
+test('plans moves off a single server on request', () => {
+    const { rebalancer } = setup();
+
+    assert.deepEqual(rebalancer.createPlan({ serverId: 'b' }).moves.map(move => move.sessionId), ['b1']);
+    assert.throws(() => rebalancer.createPlan({ serverId: 'missing' }), { statusCode: 404 });
+});
+
+test('executes a plan once and flags moved numbers for re-pair', async () => {
+    const { serverManager, repairs, rebalancer } = setup();
+    serverManager.deleteSessionFromServer = async (serverId, sessionId) => {
+        if (sessionId === '33612340002') throw Object.assign(new Error('Not found'), { response: { status: 404 } });
+        if (sessionId === 'b1') throw new Error('socket hang up');
+    };
+
+    const events = [];
+    const listener = event => events.push(event.data);
+    gatewayEvents.on(CONFIG.EVENTS.SESSION_REPAIR_REQUIRED, listener);
+
+    const plan = rebalancer.createPlan();
+    const job = rebalancer.executePlan(plan.id, { concurrency: 2 });
+    try {
+        await waitFor(() => job.status === 'completed');
+    } finally {
+        gatewayEvents.off(CONFIG.EVENTS.SESSION_REPAIR_REQUIRED, listener);
+    }
+
+    assert.deepEqual(
+        { moved: job.moved, skipped: job.skipped, failed: job.failed },
+        { moved: 1, skipped: 1, failed: 1 }
+    );
+    assert.deepEqual(job.moves.map(move => move.status), ['moved', 'skipped', 'failed']);
+    assert.equal(job.moves[2].error, 'socket hang up');
+
+    // Sessions already gone from the source are still re-paired; failed moves are not
+    assert.deepEqual(repairs.map(({ number, targetServerId }) => ({ number, targetServerId })), [
+        { number: '33612340001', targetServerId: 'c' },
+        { number: '33612340002', targetServerId: 'c' }
+    ]);
+    assert.deepEqual(events.map(event => event.sessionId), ['s1', '33612340002']);
+
+    assert.throws(() => rebalancer.executePlan(plan.id), { statusCode: 404 });
+    assert.equal(rebalancer.getJob(job.id), job);
+    assert.deepEqual(rebalancer.listJobs().map(summary => 'moves' in summary), [false]);
+});
+
+test('runs one job at a time', async () => {
+    const { serverManager, rebalancer } = setup();
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    serverManager.deleteSessionFromServer = () => blocked;
+
+    const job = rebalancer.executePlan(rebalancer.createPlan().id);
+    assert.throws(() => rebalancer.executePlan(rebalancer.createPlan().id), { statusCode: 409 });
+
+    release();
+    await waitFor(() => job.status === 'completed');
+    assert.throws(() => rebalancer.getJob('missing'), { statusCode: 404 });
+});
@@ -0,0 +1,197 @@
+import net from 'net';
+
+/**
+ * In-process RESP stand-in for Redis
+ * Implements the plain commands the shared state uses, with key expiry,
+ * so the Redis backend can be tested without a Redis server.
+ */
+
+const CRLF = '\r\n';
+
+const simple = (value) => `+${value}${CRLF}`;
+const integer = (value) => `:${value}${CRLF}`;
+const error = (message) => `-ERR ${message}${CRLF}`;
+const bulk = (value) => {
+    if (value === null || value === undefined) return `$-1${CRLF}`;
+    const text = String(value);
+    return `$${Buffer.byteLength(text)}${CRLF}${text}${CRLF}`;
+};
+const array = (values) => `*${values.length}${CRLF}${values.map(bulk).join('')}`;
+
+/**
+ * Parse one command (RESP array of bulk strings)
+ * @param {Buffer} buffer - Received data
+ * @returns {Object|null} - { args, offset } or null when incomplete
+ */
+const parseCommand = (buffer) => {
+    let lineEnd = buffer.indexOf(CRLF);
+    if (lineEnd === -1) return null;
+
+    const count = parseInt(buffer.toString('utf8', 1, lineEnd));
+    const args = [];
+    let position = lineEnd + 2;
+
+    for (let i = 0; i < count; i++) {
+        lineEnd = buffer.indexOf(CRLF, position);
+        if (lineEnd === -1) return null;
+
+        const length = parseInt(buffer.toString('utf8', position + 1, lineEnd));
+        const start = lineEnd + 2;
+        if (buffer.length < start + length + 2) return null;
+
+        args.push(buffer.toString('utf8', start, start + length));
+        position = start + length + 2;
+    }
+
+    return { args, offset: position };
+};
+
+/**
+ * Start a RESP stand-in on a free local port
+ * @returns {Promise<Object>} - { url, close }
+ */
+export const startRespServer = async () => {
+    const values = new Map(); // key -> string | Map (hash) | Map (sorted set, member -> score)
+    const expiries = new Map(); // key -> expiry timestamp (ms)
+    const sockets = new Set();
+
+    const exists = (key) => {
+        if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+            values.delete(key);
+            expiries.delete(key);
+        }
+        return values.has(key);
+    };
+    const getMap = (key) => (exists(key) ? values.get(key) : new Map());
+    const remove = (key) => {
+        values.delete(key);
+        expiries.delete(key);
+    };
+    // Redis drops collections once their last member is gone
+    const storeMap = (key, map) => {
+        if (map.size > 0) values.set(key, map);
+        else remove(key);
+    };
+
+    const handlers = {
+        PING: () => simple('PONG'),
+        QUIT: () => simple('OK'),
+        AUTH: () => simple('OK'),
+        SELECT: () => simple('OK'),
+        GET: ([key]) => bulk(exists(key) ? values.get(key) : null),
+        SET: ([key, value, ...options]) => {
+            values.set(key, value);
+            if (!options.includes('KEEPTTL')) expiries.delete(key);
+            return simple('OK');
+        },
+        DEL: ([key]) => {
+            const existed = exists(key);
+            remove(key);
+            return integer(existed ? 1 : 0);
+        },
+        INCR: ([key]) => {
+            const value = (exists(key) ? parseInt(values.get(key)) : 0) + 1;
+            values.set(key, String(value));
+            return integer(value);
+        },
+        DECR: ([key]) => {
+            const value = (exists(key) ? parseInt(values.get(key)) : 0) - 1;
+            values.set(key, String(value));
+            return integer(value);
+        },
+        PEXPIRE: ([key, ms]) => {
+            if (!exists(key)) return integer(0);
+            expiries.set(key, Date.now() + parseInt(ms));
+            return integer(1);
+        },
+        PEXPIREAT: ([key, timestamp]) => {
+            if (!exists(key)) return integer(0);
+            expiries.set(key, parseInt(timestamp));
+            return integer(1);
+        },
+        PTTL: ([key]) => {
+            if (!exists(key)) return integer(-2);
+            return integer(expiries.has(key) ? expiries.get(key) - Date.now() : -1);
+        },
+        HSET: ([key, field, value]) => {
+            const hash = getMap(key);
+            const created = !hash.has(field);
+            hash.set(field, value);
+            values.set(key, hash);
+            return integer(created ? 1 : 0);
+        },
+        HGET: ([key, field]) => bulk(getMap(key).get(field) ?? null),
+        HDEL: ([key, field]) => {
+            const hash = getMap(key);
+            const deleted = hash.delete(field);
+            storeMap(key, hash);
+            return integer(deleted ? 1 : 0);
+        },
+        HGETALL: ([key]) => array(Array.from(getMap(key)).flat()),
+        ZADD: ([key, score, member]) => {
+            const set = getMap(key);
+            const created = !set.has(member);
+            set.set(member, parseFloat(score));
+            values.set(key, set);
+            return integer(created ? 1 : 0);
+        },
+        ZREM: ([key, member]) => {
+            const set = getMap(key);
+            const deleted = set.delete(member);
+            storeMap(key, set);
+            return integer(deleted ? 1 : 0);
+        },
+        ZCARD: ([key]) => integer(getMap(key).size),
+        ZRANGE: ([key, start, stop, withScores]) => {
+            const entries = Array.from(getMap(key)).sort((a, b) => a[1] - b[1]);
+            const from = parseInt(start) < 0 ? entries.length + parseInt(start) : parseInt(start);
+            const to = parseInt(stop) < 0 ? entries.length + parseInt(stop) : parseInt(stop);
+            const range = entries.slice(Math.max(0, from), to + 1);
+            return array(withScores ? range.flat() : range.map(([member]) => member));
+        },
+        ZREMRANGEBYSCORE: ([key, min, max]) => {
+            const set = getMap(key);
+            const low = min === '-inf' ? -Infinity : parseFloat(min);
+            const high = max === '+inf' ? Infinity : parseFloat(max);
+            let removed = 0;
+            set.forEach((score, member) => {
+                if (score >= low && score <= high) {
+                    set.delete(member);
+                    removed++;
+                }
+            });
+            storeMap(key, set);
+            return integer(removed);
+        }
+    };
+
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        sockets.add(socket);
+        socket.once('close', () => sockets.delete(socket));
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            let command;
+            while (buffer.length > 0 && (command = parseCommand(buffer))) {
+                buffer = buffer.subarray(command.offset);
+                const [name, ...args] = command.args;
+                const handler = handlers[name.toUpperCase()];
+                socket.write(handler ? handler(args) : error(`unknown command '${name}'`));
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `redis://127.0.0.1:${port}`,
+        close: () => new Promise(resolve => {
+            server.close(() => resolve());
+            sockets.forEach(socket => socket.destroy());
+        })
+    };
+};
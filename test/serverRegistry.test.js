@@ -0,0 +1,109 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-registry-'));
+const registryPath = path.join(dataDir, 'servers.json');
+
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_STORE = 'memory';
+process.env.SERVER_REGISTRY = 'file';
+process.env.SERVER_REGISTRY_PATH = registryPath;
+process.env.BACKEND_SERVERS = 'http://localhost:4001,legacy=http://localhost:4002;maxSessions=5';
+
+const { parseBackendServers } = await import('../src/utils/helpers.js');
+const { logger } = await import('../src/utils/logger.js');
+const { createServerRegistry } = await import('../src/stores/serverRegistry.js');
+const { default: ServerManager } = await import('../src/services/serverManager.js');
+
+// One manager per process: it registers its metrics on creation
+let serverManager;
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('derives IDs from the host unless one is given', () => {
+    const servers = parseBackendServers([
+        'http://localhost:4001/',
+        'server-1=https://backend.example.com;maxSessions=10;weight=2'
+    ]);
+
+    assert.deepEqual(servers, [
+        { id: 'localhost-4001', url: 'http://localhost:4001' },
+        { id: 'server-1', url: 'https://backend.example.com', maxSessions: 10, weight: 2 }
+    ]);
+});
+
+test('skips malformed entries instead of failing', (t) => {
+    const error = t.mock.method(logger, 'error', () => {});
+    const servers = parseBackendServers([
+        'http://localhost:4001',
+        'not a url',
+        'broken=ftp://localhost:4002',
+        'bad id=http://localhost:4003'
+    ]);
+
+    assert.deepEqual(servers.map(server => server.id), ['localhost-4001']);
+    assert.equal(error.mock.callCount(), 3);
+});
+
+test('saves and loads server definitions', async () => {
+    const registry = createServerRegistry('file', { filePath: path.join(dataDir, 'roundtrip.json') });
+    assert.equal(await registry.load(), null);
+
+    await registry.save([{ id: 'a', url: 'http://a.test', weight: 1 }]);
+    assert.deepEqual(await registry.load(), [{ id: 'a', url: 'http://a.test', weight: 1 }]);
+});
+
+test('uses the saved registry over BACKEND_SERVERS and warns when they differ', async (t) => {
+    fs.writeFileSync(registryPath, JSON.stringify({
+        servers: [
+            { id: 'localhost-4001', url: 'http://localhost:4001' },
+            { id: 'added', url: 'http://localhost:4003', draining: true }
+        ]
+    }));
+    const warn = t.mock.method(logger, 'warn', () => {});
+
+    serverManager = new ServerManager();
+    assert.deepEqual(serverManager.getAllServers().map(server => server.id), ['localhost-4001', 'legacy']);
+
+    await serverManager.loadState();
+    assert.deepEqual(serverManager.getAllServers().map(server => server.id), ['localhost-4001', 'added']);
+    assert.equal(serverManager.getServer('added').draining, true);
+
+    const [message, details] = warn.mock.calls.find(call => /differs from BACKEND_SERVERS/.test(call.arguments[0])).arguments;
+    assert.match(message, /servers\.json/);
+    assert.deepEqual(details, {
+        onlyInBackendServers: ['legacy=http://localhost:4002'],
+        onlyInRegistry: ['added=http://localhost:4003']
+    });
+
+    // A registry matching the env var loads silently
+    warn.mock.resetCalls();
+    serverManager.warnIfRegistryDiffers(parseBackendServers(process.env.BACKEND_SERVERS.split(',')));
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test('registers, drains and removes servers at runtime', async () => {
+    const added = await serverManager.addServer({ url: 'http://localhost:4005/' });
+    assert.equal(added.id, 'localhost-4005');
+    await assert.rejects(serverManager.addServer({ url: 'http://localhost:4005' }), { statusCode: 409 });
+    await assert.rejects(serverManager.addServer({ id: 'added', url: 'http://localhost:4006' }), { statusCode: 409 });
+
+    await serverManager.setDraining('localhost-4005', true);
+    assert.equal(serverManager.getActiveServers().some(server => server.id === 'localhost-4005'), false);
+    await serverManager.setDraining('localhost-4005', false);
+    assert.equal(serverManager.getActiveServers().some(server => server.id === 'localhost-4005'), true);
+    await assert.rejects(serverManager.setDraining('missing', true), { statusCode: 404 });
+
+    serverManager.sessionMap.set('s1', 'added');
+    await assert.rejects(serverManager.removeServer('added'), { statusCode: 409 });
+    const removed = await serverManager.removeServer('added', { force: true });
+    assert.deepEqual(removed.droppedSessions, ['s1']);
+    assert.equal(serverManager.sessionMap.has('s1'), false);
+
+    // Every change is saved to the registry
+    const saved = JSON.parse(fs.readFileSync(registryPath, 'utf8')).servers;
+    assert.deepEqual(saved.map(server => server.id), ['localhost-4001', 'localhost-4005']);
+});
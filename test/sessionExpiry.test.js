@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_EXPIRY_WARNING = '60000';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { logger } = await import('../src/utils/logger.js');
+const { gatewayEvents } = await import('../src/utils/eventBus.js');
+const { default: SessionExpiry } = await import('../src/services/sessionExpiry.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+const { startBackend, startGateway } = await import('./gateway.js');
+
+const inSeconds = (seconds) => new Date(Date.now() + seconds * 1000).toISOString();
+
+const setup = () => {
+    const serverManager = createServerManager([createServer('a')]);
+    const logouts = [];
+    serverManager.deleteSessionFromServer = async (serverId, sessionId) => {
+        logouts.push(sessionId);
+        if (sessionId === 'flaky-session') throw new Error('socket hang up');
+        serverManager.sessionMap.delete(sessionId);
+    };
+
+    const tenants = { 'team-a': { sessionTtl: 3600 }, 'team-b': {} };
+    const tenantQuota = {
+        getTenant: (tenant) => tenants[tenant] || null,
+        canAccessSession: (tenant, sessionId) => !tenant || serverManager.sessionMap.getRecord(sessionId)?.tenant === tenant
+    };
+
+    return { serverManager, logouts, sessionExpiry: new SessionExpiry(serverManager, tenantQuota) };
+};
+
+const collectEvents = (t) => {
+    const events = [];
+    const listener = event => events.push([event.type, event.data.sessionId]);
+    gatewayEvents.on('event', listener);
+    t.after(() => gatewayEvents.off('event', listener));
+    return events;
+};
+
+test('resolves the TTL of new pairings', () => {
+    const { sessionExpiry } = setup();
+
+    assert.equal(sessionExpiry.resolveTtl(120, 'team-a'), 120);
+    assert.equal(sessionExpiry.resolveTtl(undefined, 'team-a'), 3600);
+    assert.equal(sessionExpiry.resolveTtl(undefined, 'team-b'), null);
+    assert.equal(sessionExpiry.resolveTtl(undefined), null);
+    assert.deepEqual(sessionExpiry.buildExpiry(null), {});
+});
+
+test('warns once that TTLs are lost on restart with the memory store', (t) => {
+    const { sessionExpiry } = setup();
+    const warn = t.mock.method(logger, 'warn', () => {});
+
+    sessionExpiry.resolveTtl(120);
+    sessionExpiry.resolveTtl(60);
+    sessionExpiry.resolveTtl(undefined);
+
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /ttl parameter.*SESSION_STORE=file/);
+});
+
+test('warns once before expiry and logs expired sessions out', async (t) => {
+    const { serverManager, logouts, sessionExpiry } = setup();
+    const events = collectEvents(t);
+    const { sessionMap } = serverManager;
+    sessionMap.set('expired-session', 'a', { expiresAt: inSeconds(-1), number: '33612340001' });
+    sessionMap.set('expiring-session', 'a', { expiresAt: inSeconds(30) });
+    sessionMap.set('later-session', 'a', { expiresAt: inSeconds(3600) });
+    sessionMap.set('forever-session', 'a');
+    sessionMap.set('orphan-session', 'gone', { expiresAt: inSeconds(-1) });
+
+    await sessionExpiry.checkExpirations();
+    await sessionExpiry.checkExpirations();
+
+    assert.deepEqual(logouts, ['expired-session']);
+    // Expired sessions are logged out concurrently
+    assert.deepEqual(events.sort(), [
+        [CONFIG.EVENTS.SESSION_EXPIRED, 'expired-session'],
+        [CONFIG.EVENTS.SESSION_EXPIRED, 'orphan-session'],
+        [CONFIG.EVENTS.SESSION_EXPIRING, 'expiring-session']
+    ]);
+    assert.deepEqual(Array.from(sessionMap.entries()).map(([sessionId]) => sessionId), [
+        'expiring-session', 'later-session', 'forever-session'
+    ]);
+    assert.equal(sessionExpiry.getStatus().sessionsWithExpiry, 2);
+    assert.equal(sessionExpiry.getStatus().expired, 2);
+});
+
+test('retries sessions whose logout failed', async (t) => {
+    const { serverManager, logouts, sessionExpiry } = setup();
+    const events = collectEvents(t);
+    serverManager.sessionMap.set('flaky-session', 'a', { expiresAt: inSeconds(-1) });
+
+    await sessionExpiry.checkExpirations();
+    await sessionExpiry.checkExpirations();
+
+    assert.deepEqual(logouts, ['flaky-session', 'flaky-session']);
+    assert.deepEqual(events, []);
+    assert.equal(sessionExpiry.getStatus().expired, 0);
+});
+
+test('extends and renews expiries of accessible sessions', () => {
+    const { serverManager, sessionExpiry } = setup();
+    const { sessionMap } = serverManager;
+    const expiresAt = inSeconds(100);
+    sessionMap.set('timed-session', 'a', { expiresAt, warnedAt: inSeconds(0), tenant: 'team-a' });
+    sessionMap.set('forever-session', 'a', { tenant: 'team-b' });
+
+    const extended = sessionExpiry.extend('timed-session', 60, 'team-a');
+    assert.equal(extended.previousExpiresAt, expiresAt);
+    assert.equal(new Date(extended.expiresAt) - new Date(expiresAt), 60000);
+    assert.equal(sessionMap.getRecord('timed-session').warnedAt, null, 'a new expiry gets a new warning');
+
+    const renewed = sessionExpiry.renew('timed-session', undefined, 'team-a');
+    assert.ok(Math.abs(new Date(renewed.expiresAt) - Date.now() - 3600000) < 1000, 'tenant TTL from now');
+
+    assert.throws(() => sessionExpiry.extend('forever-session', 60), { statusCode: 409 });
+    assert.throws(() => sessionExpiry.renew('forever-session'), { statusCode: 400 });
+    assert.equal(sessionExpiry.renew('forever-session', 60).previousExpiresAt, null);
+
+    assert.throws(() => sessionExpiry.extend('timed-session', 60, 'team-b'), { statusCode: 404 });
+    assert.throws(() => sessionExpiry.renew('unknown-session', 60), { statusCode: 404 });
+});
+
+test('stores the TTL it validated for a pairing', async (t) => {
+    const backend = await startBackend((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        if (req.url === '/sessions') {
+            return res.end(JSON.stringify({ sessions: [] }));
+        }
+        res.end(JSON.stringify({ ok: true, code: 'ABCD-1234', sessionId: req.url.split('/')[2] }));
+    });
+    const gateway = await startGateway({ BACKEND_SERVERS: backend.url });
+    t.after(async () => {
+        await gateway.stop();
+        await backend.close();
+    });
+
+    for (const ttl of ['1e3', '0x10', '1000.0', ' 1000', '-5']) {
+        const rejected = await fetch(`${gateway.url}/pair/33612340001?ttl=${encodeURIComponent(ttl)}`);
+        assert.equal(rejected.status, 400, ttl);
+    }
+
+    const paired = await fetch(`${gateway.url}/pair/33612340001?ttl=1000`);
+    assert.equal(paired.status, 200);
+    const expiresIn = new Date(paired.headers.get('x-session-expires-at')) - Date.now();
+    assert.ok(Math.abs(expiresIn - 1000000) < 5000, `expires in ${expiresIn}ms`);
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startBackend, startGateway, waitFor } from './gateway.js';
+
+let backends;
+let gateway;
+
+const listings = {
+    a: [{ id: '33612340001', status: 'open' }, { id: 'alpha-session', status: 'connecting' }],
+    b: [{ id: 'beta-session', status: 'open' }]
+};
+
+const listingBackend = (name) => (req, res) => {
+    res.setHeader('content-type', 'application/json');
+    res.end(JSON.stringify({ sessions: listings[name] }));
+};
+
+const list = async (query = '') => {
+    const response = await fetch(`${gateway.url}/sessions${query}`);
+    return { status: response.status, ...(await response.json()) };
+};
+
+const ids = ({ sessions }) => sessions.map(session => session.sessionId);
+
+before(async () => {
+    backends = [await startBackend(listingBackend('a')), await startBackend(listingBackend('b'))];
+    gateway = await startGateway({
+        BACKEND_SERVERS: `list-a=${backends[0].url},list-b=${backends[1].url}`
+    });
+
+    await waitFor(async () => (await list()).total === 3);
+});
+
+after(async () => {
+    await gateway?.stop();
+    await Promise.all(backends.map(backend => backend.close()));
+});
+
+test('lists sessions of every backend from the last health check', async () => {
+    const listing = await list();
+
+    assert.equal(listing.source, 'cache');
+    assert.deepEqual(ids(listing), ['33612340001', 'alpha-session', 'beta-session']);
+
+    const [numbered, alpha] = listing.sessions;
+    assert.equal(numbered.number, '33612340001', 'numbers are recognized in session IDs');
+    assert.equal(numbered.server.id, 'list-a');
+    assert.equal(alpha.number, null);
+    assert.equal(alpha.status, 'connecting');
+});
+
+test('filters, sorts and pages the listing', async () => {
+    assert.deepEqual(ids(await list('?server=list-a')), ['33612340001', 'alpha-session']);
+    assert.deepEqual(ids(await list('?status=open')), ['33612340001', 'beta-session']);
+    assert.deepEqual(ids(await list('?prefix=336')), ['33612340001']);
+    assert.deepEqual(ids(await list('?sort=server&order=desc')), ['beta-session', '33612340001', 'alpha-session']);
+
+    const page = await list('?limit=2&page=2');
+    assert.deepEqual(
+        { total: page.total, page: page.page, pages: page.pages, ids: ids(page) },
+        { total: 3, page: 2, pages: 2, ids: ['beta-session'] }
+    );
+});
+
+test('lists live from the backends on request', async () => {
+    listings.b = [...listings.b, { id: 'gamma-session', status: 'open' }];
+
+    assert.equal((await list()).total, 3);
+    assert.deepEqual(ids(await list('?source=live&server=list-b')), ['beta-session', 'gamma-session']);
+    assert.equal((await list()).total, 4, 'the live listing refreshes the snapshot');
+});
+
+test('rejects invalid listing queries', async () => {
+    for (const query of ['?page=0', '?limit=100000', '?sort=url', '?order=up', '?source=disk', '?prefix=a.b']) {
+        assert.equal((await list(query)).status, 400, query);
+    }
+});
+
+test('lists backend entries without a session ID', async () => {
+    listings.b = [...listings.b, { status: 'open' }];
+
+    const live = await list('?source=live&server=list-b');
+    assert.equal(live.status, 200);
+    assert.deepEqual(ids(live), [undefined, 'beta-session', 'gamma-session']);
+
+    assert.equal((await list('?prefix=beta')).total, 1);
+    assert.equal((await list('?sort=number&order=desc')).status, 200);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.PROXY_ALLOWED_PATHS = 'GET|POST /session/:sessionId/*, /status, DELETE /session/:sessionId';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { default: SessionProxy } = await import('../src/services/sessionProxy.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+const SESSION_ID = 'proxied-session-1';
+
+const createProxy = ({ server = createServer('proxy-a'), owners = { [SESSION_ID]: 'team-a' } } = {}) => {
+    const serverManager = createServerManager([server]);
+    serverManager.findSessionServer = async (sessionId) => (owners[sessionId] ? { server } : null);
+
+    return new SessionProxy(serverManager, {}, {
+        canAccessSession: (tenant, sessionId) => !tenant || owners[sessionId] === tenant
+    });
+};
+
+test('allows listed methods and paths of the proxied session', () => {
+    const proxy = createProxy();
+
+    assert.equal(proxy.isAllowed('GET', `/session/${SESSION_ID}/messages`, SESSION_ID), true);
+    assert.equal(proxy.isAllowed('post', `/session/${SESSION_ID}/send/text`, SESSION_ID), true);
+    assert.equal(proxy.isAllowed('DELETE', `/session/${SESSION_ID}`, SESSION_ID), true);
+    assert.equal(proxy.isAllowed('PATCH', '/status', SESSION_ID), true, 'no method list allows any method');
+});
+
+test('rejects unlisted methods and paths', () => {
+    const proxy = createProxy();
+
+    assert.equal(proxy.isAllowed('DELETE', `/session/${SESSION_ID}/messages`, SESSION_ID), false);
+    assert.equal(proxy.isAllowed('GET', '/admin/restart', SESSION_ID), false);
+    assert.equal(proxy.isAllowed('GET', '/status/extra', SESSION_ID), false);
+    assert.equal(proxy.isAllowed('GET', `/session/${SESSION_ID}`, SESSION_ID), false, 'wildcard needs a sub-path');
+});
+
+test('only reaches the proxied session through :sessionId', () => {
+    const proxy = createProxy();
+
+    assert.equal(proxy.isAllowed('GET', '/session/other-session-1/messages', SESSION_ID), false);
+    assert.equal(proxy.isAllowed('GET', '/session/proxied%2Dsession%2D1/messages', SESSION_ID), true);
+});
+
+test('rejects paths that escape their prefix', () => {
+    const proxy = createProxy();
+
+    for (const path of [
+        `/session/${SESSION_ID}/../other-session-1/messages`,
+        `/session/${SESSION_ID}/%2e%2e/admin`,
+        `/session/${SESSION_ID}/./messages`,
+        `/session/${SESSION_ID}/a%2F..%2F..%2Fadmin`,
+        `/session/${SESSION_ID}/a%5C..%5Cadmin`,
+        `/session/${SESSION_ID}/%E0%A4%A`
+    ]) {
+        assert.equal(proxy.isAllowed('GET', path, SESSION_ID), false, path);
+    }
+});
+
+test('rejects malformed allow-list entries', () => {
+    const previous = CONFIG.PROXY_ALLOWED_PATHS;
+    CONFIG.PROXY_ALLOWED_PATHS = ['GET session/*'];
+    try {
+        assert.throws(() => createProxy(), /paths start with \//);
+    } finally {
+        CONFIG.PROXY_ALLOWED_PATHS = previous;
+    }
+});
+
+test('resolves the backend owning the session', async () => {
+    const proxy = createProxy();
+    const server = await proxy.resolveTarget(SESSION_ID, 'GET', `/session/${SESSION_ID}/messages`, 'team-a');
+    assert.equal(server.id, 'proxy-a');
+});
+
+test('hides sessions of other tenants and unknown sessions', async () => {
+    const proxy = createProxy();
+
+    await assert.rejects(
+        proxy.resolveTarget(SESSION_ID, 'GET', `/session/${SESSION_ID}/messages`, 'team-b'),
+        { statusCode: 404 }
+    );
+    await assert.rejects(
+        proxy.resolveTarget('unknown-session-1', 'GET', '/session/unknown-session-1/messages'),
+        { statusCode: 404 }
+    );
+});
+
+test('refuses forbidden paths before looking up the session', async () => {
+    const proxy = createProxy();
+
+    await assert.rejects(
+        proxy.resolveTarget(SESSION_ID, 'GET', '/admin/restart', 'team-b'),
+        { statusCode: 403 }
+    );
+});
+
+test('reports an unavailable owning backend', async () => {
+    const unhealthy = createProxy({ server: createServer('proxy-down', { status: CONFIG.STATUS.UNHEALTHY }) });
+    await assert.rejects(
+        unhealthy.resolveTarget(SESSION_ID, 'GET', `/session/${SESSION_ID}/messages`),
+        { statusCode: 503 }
+    );
+
+    const tripped = createProxy();
+    const breaker = tripped.serverManager.getBreaker('proxy-a');
+    for (let i = 0; i < CONFIG.CIRCUIT_BREAKER_MIN_REQUESTS; i++) breaker.recordFailure();
+    await assert.rejects(
+        tripped.resolveTarget(SESSION_ID, 'GET', `/session/${SESSION_ID}/messages`),
+        { statusCode: 503 }
+    );
+});
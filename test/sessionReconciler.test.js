@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.SESSION_RECONCILE_GRACE = '60000';
+
+const { CONFIG } = await import('../src/config/constants.js');
+const { default: SessionReconciler } = await import('../src/services/sessionReconciler.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+/**
+ * a and b are listed, c is unhealthy and not listed.
+ * dup-session is live on both a and b; 33612340001 is live on a and, as
+ * "renumbered", on b.
+ */
+const setup = () => {
+    const listings = {
+        a: ['moved-session', 'dup-session', '33612340001'],
+        b: ['dup-session', 'new-session', 'renumbered']
+    };
+    const serverManager = createServerManager([
+        createServer('a'),
+        createServer('b'),
+        createServer('c', { status: CONFIG.STATUS.UNHEALTHY })
+    ]);
+    serverManager.refreshSessionListing = async (server) => listings[server.id].map(id => ({ id }));
+
+    const logouts = [];
+    serverManager.deleteSessionFromServer = async (serverId, sessionId) => {
+        logouts.push({ serverId, sessionId });
+        serverManager.sessionMap.delete(sessionId);
+        if (sessionId === 'renumbered') throw new Error('logout failed');
+    };
+
+    const { sessionMap } = serverManager;
+    const age = (sessionId) => {
+        sessionMap.getRecord(sessionId).updatedAt = new Date(Date.now() - 60000).toISOString();
+    };
+    sessionMap.set('moved-session', 'b');
+    sessionMap.set('stale-session', 'a');
+    age('stale-session');
+    sessionMap.set('fresh-session', 'a');
+    sessionMap.set('c-session', 'c');
+    age('c-session');
+    sessionMap.set('orphan-session', 'gone');
+    age('orphan-session');
+    sessionMap.set('dup-session', 'b');
+    sessionMap.set('renumbered', 'b', { number: '33612340001' });
+
+    return { serverManager, logouts, reconciler: new SessionReconciler(serverManager) };
+};
+
+test('fixes stale mappings against the backends it could list', async () => {
+    const { serverManager, reconciler } = setup();
+    const report = await reconciler.run({ policy: 'report' });
+
+    assert.deepEqual(report.serversListed.sort(), ['a', 'b']);
+    assert.deepEqual(report.serversSkipped, ['c']);
+    assert.deepEqual(report.remapped, [{ sessionId: 'moved-session', from: 'b', to: 'a' }]);
+    assert.deepEqual(report.removed, [
+        { sessionId: 'stale-session', serverId: 'a' },
+        { sessionId: 'orphan-session', serverId: 'gone' }
+    ]);
+    assert.deepEqual(report.added.map(({ sessionId }) => sessionId).sort(), ['33612340001', 'new-session']);
+
+    const { sessionMap } = serverManager;
+    assert.equal(sessionMap.get('fresh-session'), 'a', 'recent mappings get a grace period');
+    assert.equal(sessionMap.get('c-session'), 'c', 'unlisted backends keep their mappings');
+    assert.equal(report.mappings, sessionMap.size);
+});
+
+test('reports sessions and numbers live on several backends', async () => {
+    const { logouts, reconciler } = setup();
+    const report = await reconciler.run({ policy: 'report' });
+
+    assert.deepEqual(report.duplicates.map(({ kind, key, copies }) => ({
+        kind,
+        key,
+        servers: copies.map(copy => copy.serverId).sort()
+    })), [
+        { kind: 'sessionId', key: 'dup-session', servers: ['a', 'b'] },
+        { kind: 'number', key: '33612340001', servers: ['a', 'b'] }
+    ]);
+    assert.deepEqual(logouts, []);
+    assert.equal(reconciler.getStatus().lastReport, report);
+});
+
+test('logs out the extra copies with the keep-mapped policy', async () => {
+    const { serverManager, logouts, reconciler } = setup();
+    const report = await reconciler.run({ policy: 'keep-mapped' });
+
+    assert.deepEqual(logouts, [
+        { serverId: 'a', sessionId: 'dup-session' },
+        { serverId: 'b', sessionId: 'renumbered' }
+    ]);
+    assert.deepEqual(report.loggedOut.map(({ sessionId, ok }) => [sessionId, ok]), [
+        ['dup-session', true],
+        ['renumbered', false]
+    ]);
+    assert.equal(serverManager.sessionMap.get('dup-session'), 'b', 'the kept copy stays mapped');
+});
+
+test('runs one pass at a time and rejects unknown policies', async () => {
+    const { reconciler } = setup();
+
+    const first = reconciler.run();
+    assert.equal(reconciler.run(), first);
+    assert.equal(reconciler.getStatus().running, true);
+    await first;
+    assert.equal(reconciler.getStatus().runs, 1);
+
+    await assert.rejects(reconciler.run({ policy: 'delete-all' }), { statusCode: 400 });
+});
@@ -0,0 +1,79 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = 'error';
+
+const { createSessionStore, FileSessionStore } = await import('../src/stores/sessionStore.js');
+const { logger } = await import('../src/utils/logger.js');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-sessions-'));
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('maps sessions to servers with their metadata', () => {
+    const store = createSessionStore('memory');
+
+    store.set('s1', 'a', { number: '33612340001' });
+    store.set('s2', 'b');
+    store.set('s1', 'b');
+
+    assert.equal(store.size, 2);
+    assert.equal(store.get('s1'), 'b');
+    assert.equal(store.getRecord('s1').number, '33612340001', 'moves keep the metadata');
+    assert.deepEqual(store.getSessionsForServer('b'), ['s1', 's2']);
+    assert.deepEqual(Array.from(store.entries()), [['s1', 'b'], ['s2', 'b']]);
+
+    assert.equal(store.delete('s1'), true);
+    assert.equal(store.delete('s1'), false);
+    assert.equal(store.getRecord('s1'), null);
+    assert.throws(() => createSessionStore('sqlite'), /Unknown session store type/);
+});
+
+test('keeps mappings across restarts with the file store', async () => {
+    const filePath = path.join(dataDir, 'sessions.json');
+    const store = createSessionStore('file', { filePath });
+    await store.load();
+    assert.equal(store.size, 0);
+
+    store.set('s1', 'a', { number: '33612340001', tenant: 'team-a' });
+    store.set('s2', 'a');
+    store.delete('s2');
+    await store.flush();
+
+    const restarted = createSessionStore('file', { filePath });
+    await restarted.load();
+    assert.deepEqual(Array.from(restarted.entries()), [['s1', 'a']]);
+    assert.deepEqual(restarted.getRecord('s1'), store.getRecord('s1'));
+});
+
+test('coalesces bursts of changes into one write', async (t) => {
+    const store = new FileSessionStore(path.join(dataDir, 'burst.json'), { writeDelay: 20 });
+    const persist = t.mock.method(store, 'persist');
+
+    for (let i = 0; i < 10; i++) store.set(`s${i}`, 'a');
+    store.set('s0', 'a'); // unchanged, no write scheduled
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await store.pendingWrite;
+    assert.equal(persist.mock.callCount(), 1);
+
+    const saved = JSON.parse(fs.readFileSync(store.filePath, 'utf8'));
+    assert.equal(Object.keys(saved.sessions).length, 10);
+});
+
+test('starts empty and keeps the file aside when it is corrupt', async (t) => {
+    const filePath = path.join(dataDir, 'truncated.json');
+    fs.writeFileSync(filePath, '{"sessions": {"s1": {"serverId"');
+    const error = t.mock.method(logger, 'error', () => {});
+
+    const store = createSessionStore('file', { filePath });
+    await store.load();
+
+    assert.equal(store.size, 0);
+    assert.equal(error.mock.callCount(), 1);
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(fs.readFileSync(`${filePath}.corrupt`, 'utf8'), '{"sessions": {"s1": {"serverId"');
+});
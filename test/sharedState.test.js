@@ -0,0 +1,117 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { createSharedState } = await import('../src/stores/sharedState.js');
+const { delay } = await import('../src/utils/helpers.js');
+const { startRespServer } = await import('./respServer.js');
+
+const BACKENDS = {
+    memory: async () => ({ state: createSharedState('memory', { prefix: 'test:' }), close: async () => {} }),
+    redis: async () => {
+        const resp = await startRespServer();
+        const state = createSharedState('redis', { url: resp.url, prefix: 'test:' });
+        await state.connect();
+        return {
+            state,
+            close: async () => {
+                await state.close();
+                await resp.close();
+            }
+        };
+    }
+};
+
+for (const [type, createBackend] of Object.entries(BACKENDS)) {
+    describe(`${type} shared state`, () => {
+        let backend;
+        let state;
+
+        before(async () => {
+            backend = await createBackend();
+            state = backend.state;
+        });
+        after(() => backend.close());
+
+        test('stores JSON values in hashes', async () => {
+            await state.hashSet('owners', 'session-1', { serverId: 'a' });
+            await state.hashSet('owners', 'session-2', { serverId: 'b' });
+
+            assert.deepEqual(await state.hashGet('owners', 'session-1'), { serverId: 'a' });
+            assert.equal(await state.hashGet('owners', 'missing'), null);
+
+            await state.hashDelete('owners', 'session-1');
+            assert.deepEqual(await state.hashGetAll('owners'), { 'session-2': { serverId: 'b' } });
+        });
+
+        test('counts hits in a window that expires', async () => {
+            assert.equal((await state.increment('hits', 100)).count, 1);
+            const second = await state.increment('hits', 100);
+            assert.equal(second.count, 2);
+            assert.ok(second.resetAt > Date.now());
+
+            await delay(150);
+            assert.equal((await state.increment('hits', 100)).count, 1);
+        });
+
+        test('never decrements a counter below zero', async () => {
+            await state.increment('refunds', 1000);
+            await state.decrement('refunds');
+            await state.decrement('refunds');
+
+            assert.equal((await state.increment('refunds', 1000)).count, 1);
+
+            await state.resetCounter('refunds');
+            assert.equal((await state.increment('refunds', 1000)).count, 1);
+        });
+
+        test('claims slots up to a limit and frees released ones', async () => {
+            assert.equal(await state.reserveSlot('pool', 'r1', 2, 1000), true);
+            assert.equal(await state.reserveSlot('pool', 'r2', 2, 1000), true);
+            assert.equal(await state.reserveSlot('pool', 'r3', 2, 1000), false);
+            assert.equal(await state.countSlots('pool'), 2);
+
+            await state.releaseSlot('pool', 'r1');
+            assert.equal(await state.reserveSlot('pool', 'r3', 2, 1000), true);
+            assert.equal(await state.countSlots('pool'), 2);
+        });
+
+        test('stops counting expired slots', async () => {
+            await state.reserveSlot('expiring', 'r1', 1, 50);
+            assert.equal(await state.reserveSlot('expiring', 'r2', 1, 50), false);
+
+            await delay(100);
+            assert.equal(await state.countSlots('expiring'), 0);
+            assert.equal(await state.reserveSlot('expiring', 'r2', 1, 50), true);
+        });
+
+        test('keeps long slots when a shorter one is claimed', async () => {
+            await state.reserveSlot('mixed', 'pending', 10, 1000);
+            await state.reserveSlot('mixed', 'confirmed', Infinity, 50);
+
+            await delay(100);
+            assert.equal(await state.countSlots('mixed'), 1);
+        });
+
+        test('advances a shared cursor', async () => {
+            const first = await state.nextIndex('cursor');
+            assert.equal(await state.nextIndex('cursor'), first + 1);
+        });
+    });
+}
+
+test('replicas on the same Redis share counters', async () => {
+    const resp = await startRespServer();
+    const replicaA = createSharedState('redis', { url: resp.url, instanceId: 'a' });
+    const replicaB = createSharedState('redis', { url: resp.url, instanceId: 'b' });
+
+    try {
+        await replicaA.increment('shared-hits', 1000);
+        assert.equal((await replicaB.increment('shared-hits', 1000)).count, 2);
+    } finally {
+        await replicaA.close();
+        await replicaB.close();
+        await resp.close();
+    }
+});
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { startBackend, startGateway, waitFor } from './gateway.js';
+
+process.env.LOG_LEVEL = 'error';
+process.env.SHUTDOWN_RETRY_AFTER = '7';
+
+const { default: Lifecycle } = await import('../src/services/lifecycle.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+const NUMBER = '33612340001';
+const config = { SESSION_STORE: 'file', METRICS_STORE: 'file' };
+
+let backend;
+let pairingsReceived = 0;
+
+before(async () => {
+    // Pairings take a moment so one is still in flight at shutdown
+    backend = await startBackend((req, res) => {
+        res.setHeader('content-type', 'application/json');
+        if (req.url === '/sessions') {
+            return res.end(JSON.stringify({ sessions: [] }));
+        }
+        pairingsReceived++;
+        setTimeout(() => res.end(JSON.stringify({ ok: true, code: 'ABCD-1234', sessionId: NUMBER })), 500);
+    });
+});
+
+after(async () => {
+    await backend?.close();
+});
+
+test('reports liveness and readiness', async (t) => {
+    const gateway = await startGateway({ BACKEND_SERVERS: backend.url });
+    t.after(gateway.stop);
+
+    const live = await (await fetch(`${gateway.url}/live`)).json();
+    assert.equal(live.alive, true);
+    assert.equal(live.draining, false);
+
+    const ready = await fetch(`${gateway.url}/ready`);
+    assert.equal(ready.status, 200);
+    const readiness = await ready.json();
+    assert.equal(readiness.ready, true);
+    assert.equal(readiness.activeServers, 1);
+    assert.equal(readiness.inFlight, 1, 'the readiness probe counts itself');
+});
+
+/**
+ * Response stand-in recording what a middleware sent
+ */
+const createResponse = () => Object.assign(new EventEmitter(), {
+    statusCode: null,
+    headers: {},
+    set(name, value) {
+        this.headers[name.toLowerCase()] = value;
+        return this;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+test('refuses new pairings on open connections and waits for running requests', async () => {
+    const lifecycle = new Lifecycle(createServerManager([createServer('a')]));
+    lifecycle.markReady();
+    const running = createResponse();
+    lifecycle.trackRequests()({ path: '/pair/33612340001' }, running, () => {});
+    lifecycle.trackRequests()({ path: '/events' }, createResponse(), () => {});
+
+    lifecycle.beginDrain();
+    const readiness = lifecycle.getReadiness();
+    assert.equal(readiness.ready, false);
+    assert.equal(readiness.draining, true);
+    assert.equal(readiness.inFlight, 1, 'event streams are not tracked');
+
+    const refused = createResponse();
+    let passed = false;
+    lifecycle.rejectWhileDraining()({}, refused, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.equal(refused.statusCode, 503);
+    assert.equal(refused.headers['retry-after'], '7');
+    assert.equal(refused.headers.connection, 'close');
+
+    assert.equal(await lifecycle.waitForInFlight(150), false, 'gives up after the grace period');
+    setTimeout(() => running.emit('close'), 50);
+    assert.equal(await lifecycle.waitForInFlight(1000), true);
+});
+
+test('drains in-flight pairings and persists state on SIGTERM', async (t) => {
+    const gateway = await startGateway({ ...config, BACKEND_SERVERS: backend.url });
+    t.after(gateway.stop);
+
+    const inFlight = fetch(`${gateway.url}/pair/${NUMBER}`);
+    await waitFor(() => pairingsReceived === 1);
+    gateway.kill('SIGTERM');
+
+    // New connections are refused while the running pairing finishes
+    await waitFor(() => fetch(`${gateway.url}/live`).then(() => false, () => true));
+    await assert.rejects(fetch(`${gateway.url}/pair/33612340002`));
+
+    const paired = await inFlight;
+    assert.equal(paired.status, 200);
+    assert.equal((await paired.json()).code, 'ABCD-1234');
+    assert.equal(await gateway.exited, 0);
+    assert.equal(pairingsReceived, 1);
+
+    const { sessions } = JSON.parse(fs.readFileSync(path.join(gateway.cwd, 'data', 'sessions.json'), 'utf8'));
+    assert.equal(sessions[NUMBER].number, NUMBER);
+
+    // Mappings and counters survive the restart
+    const restarted = await startGateway({ ...config, BACKEND_SERVERS: backend.url }, { cwd: gateway.cwd });
+    t.after(restarted.stop);
+
+    const found = await (await fetch(`${restarted.url}/find-session/${NUMBER}`)).json();
+    assert.equal(found.server.url, backend.url);
+    const text = await (await fetch(`${restarted.url}/metrics`)).text();
+    assert.match(text, /^gateway_pairings_total\{result="success"\} 1$/m);
+});
@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { createStrategy, AVAILABLE_STRATEGIES } = await import('../src/services/strategies/index.js');
+const { createServer, createServerManager } = await import('./helpers.js');
+
+const mockRandom = (t, ...values) => {
+    let call = 0;
+    t.mock.method(Math, 'random', () => values[call++ % values.length]);
+};
+
+test('creates strategies by name', () => {
+    assert.deepEqual(AVAILABLE_STRATEGIES, ['least-connections', 'weighted', 'consistent-hash', 'power-of-two-choices']);
+    assert.throws(() => createStrategy('fastest', createServerManager([])), /Unknown load-balancing strategy: fastest/);
+});
+
+test('least-connections picks the lowest load and takes turns on ties', async () => {
+    const servers = [
+        createServer('a', { maxSessions: 10, sessionCount: 5 }),
+        createServer('b', { maxSessions: 4, sessionCount: 1 }),
+        createServer('c', { maxSessions: 4, sessionCount: 0, reservedSessions: 1 }),
+        createServer('full', { maxSessions: 2, sessionCount: 2 })
+    ];
+    const strategy = createStrategy('least-connections', createServerManager(servers));
+
+    const picks = [];
+    for (let i = 0; i < 4; i++) picks.push((await strategy.select(servers)).id);
+    assert.deepEqual(new Set(picks), new Set(['b', 'c']));
+    assert.notEqual(picks[0], picks[1]);
+
+    servers[1].sessionCount = 2;
+    assert.equal((await strategy.select(servers)).id, 'c');
+    await assert.rejects(strategy.select([servers[3]]), /ALL_FULL/);
+});
+
+test('least-connections skips servers whose count cannot be read', async () => {
+    const servers = [createServer('a', { sessionCount: 1 }), createServer('broken')];
+    const serverManager = createServerManager(servers);
+    serverManager.getServerSessionCount = async (serverId) => {
+        if (serverId === 'broken') throw new Error('timeout');
+        return 1;
+    };
+
+    assert.equal((await createStrategy('least-connections', serverManager).select(servers)).id, 'a');
+});
+
+test('weighted picks in proportion to free capacity times weight', async (t) => {
+    const servers = [
+        createServer('a', { maxSessions: 4 }), // 4 free slots x 1
+        createServer('b', { maxSessions: 4, sessionCount: 2, weight: 3 }), // 2 free slots x 3
+        createServer('full', { maxSessions: 2, sessionCount: 1, reservedSessions: 1, weight: 10 })
+    ];
+    const strategy = createStrategy('weighted', createServerManager(servers));
+
+    mockRandom(t, 0.39, 0.41);
+    assert.equal((await strategy.select(servers)).id, 'a');
+    assert.equal((await strategy.select(servers)).id, 'b');
+    await assert.rejects(strategy.select([servers[2]]), /ALL_FULL/);
+});
+
+test('consistent-hash keeps a number on its server while it has room', async () => {
+    const servers = ['a', 'b', 'c'].map(id => createServer(id, { maxSessions: 100 }));
+    const strategy = createStrategy('consistent-hash', createServerManager(servers));
+    const numbers = Array.from({ length: 30 }, (_, i) => `3361234${String(i).padStart(4, '0')}`);
+
+    const owners = new Map();
+    for (const number of numbers) {
+        owners.set(number, (await strategy.select(servers, { key: number })).id);
+    }
+    assert.equal(new Set(owners.values()).size, 3, 'numbers spread over every server');
+
+    for (const number of numbers) {
+        assert.equal((await strategy.select(servers, { key: number })).id, owners.get(number));
+    }
+
+    // Numbers of a full server move to another one; the others stay put
+    const full = servers[0];
+    full.sessionCount = full.maxSessions;
+    for (const number of numbers) {
+        const owner = (await strategy.select(servers, { key: number })).id;
+        if (owners.get(number) === full.id) {
+            assert.notEqual(owner, full.id);
+        } else {
+            assert.equal(owner, owners.get(number));
+        }
+    }
+});
+
+test('consistent-hash falls back to the least loaded server without a key', async () => {
+    const servers = [
+        createServer('a', { maxSessions: 4, sessionCount: 2 }),
+        createServer('b', { maxSessions: 10, sessionCount: 3 })
+    ];
+    const strategy = createStrategy('consistent-hash', createServerManager(servers));
+
+    assert.equal((await strategy.select(servers)).id, 'b');
+    await assert.rejects(strategy.select([createServer('full', { maxSessions: 1, sessionCount: 1 })]), /ALL_FULL/);
+});
+
+test('power-of-two-choices keeps the less loaded of two samples', async (t) => {
+    const servers = [
+        createServer('a', { maxSessions: 4, sessionCount: 3 }),
+        createServer('b', { maxSessions: 4, sessionCount: 1 }),
+        createServer('c', { maxSessions: 4, sessionCount: 2 })
+    ];
+    const strategy = createStrategy('power-of-two-choices', createServerManager(servers));
+
+    // Samples a then c, then c then b
+    mockRandom(t, 0, 0.6, 0.9, 0.5);
+    assert.equal((await strategy.select(servers)).id, 'c');
+    assert.equal((await strategy.select(servers)).id, 'b');
+
+    assert.equal((await strategy.select([servers[0], createServer('full', { sessionCount: 2 })])).id, 'a');
+    await assert.rejects(strategy.select([createServer('full', { sessionCount: 2 })]), /ALL_FULL/);
+});
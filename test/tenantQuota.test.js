@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const accessDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-quota-'));
+const accessFile = path.join(accessDir, 'access.json');
+fs.writeFileSync(accessFile, JSON.stringify({
+    tenants: {
+        'capped': { maxSessions: 2, pairingsPerHour: 100 },
+        'budgeted': { maxSessions: 100, pairingsPerHour: 2 }
+    },
+    keys: []
+}));
+
+process.env.LOG_LEVEL = 'error';
+process.env.API_KEYS_FILE = accessFile;
+
+const { default: TenantQuota } = await import('../src/services/tenantQuota.js');
+fs.rmSync(accessDir, { recursive: true, force: true });
+
+const createQuota = (records = {}) => new TenantQuota({
+    sessionMap: {
+        recordEntries: () => Object.entries(records),
+        getRecord: (sessionId) => records[sessionId] || null
+    }
+});
+
+test('limits live sessions per tenant', () => {
+    const quota = createQuota({
+        'session-1': { tenant: 'capped' },
+        'session-2': { tenant: 'capped' },
+        'session-3': { tenant: 'budgeted' }
+    });
+
+    const check = quota.checkPairing('capped');
+    assert.equal(check.allowed, false);
+    assert.match(check.error, /2\/2/);
+    assert.equal(quota.checkPairing('budgeted').allowed, true);
+});
+
+test('counts pairings in flight against the session quota', () => {
+    const quota = createQuota({ 'session-1': { tenant: 'capped' } });
+
+    // Two concurrent requests for the last session: only one may go through
+    assert.equal(quota.reservePairing('capped').allowed, true);
+    assert.equal(quota.reservePairing('capped').allowed, false);
+
+    quota.releasePairing('capped');
+    assert.equal(quota.reservePairing('capped').allowed, true);
+});
+
+test('limits pairings per hour, counting pairings in flight', () => {
+    const quota = createQuota();
+
+    assert.equal(quota.reservePairing('budgeted').allowed, true);
+    quota.recordPairing('budgeted');
+    quota.releasePairing('budgeted');
+
+    assert.equal(quota.reservePairing('budgeted').allowed, true);
+    const pendingCheck = quota.reservePairing('budgeted');
+    assert.equal(pendingCheck.allowed, false);
+    assert.ok(pendingCheck.retryAfter > 0);
+
+    quota.recordPairing('budgeted');
+    quota.releasePairing('budgeted');
+    const exhausted = quota.checkPairing('budgeted');
+    assert.equal(exhausted.allowed, false);
+    assert.ok(exhausted.retryAfter > 3500 && exhausted.retryAfter <= 3600);
+});
+
+test('reports usage with pairings in flight', () => {
+    const quota = createQuota({ 'session-1': { tenant: 'capped' } });
+    quota.reservePairing('capped');
+
+    const usage = quota.getUsage().find(entry => entry.tenant === 'capped');
+    assert.equal(usage.sessions, 1);
+    assert.equal(usage.pairingsInFlight, 1);
+});
+
+test('leaves unknown tenants unrestricted and scopes sessions to their tenant', () => {
+    const quota = createQuota({ 'session-1': { tenant: 'capped' } });
+
+    assert.equal(quota.checkPairing('unknown').allowed, true);
+    assert.equal(quota.canAccessSession('capped', 'session-1'), true);
+    assert.equal(quota.canAccessSession('budgeted', 'session-1'), false);
+    assert.equal(quota.canAccessSession(undefined, 'session-1'), true);
+});
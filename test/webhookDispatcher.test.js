@@ -0,0 +1,143 @@
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startBackend, waitFor } from './gateway.js';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-webhooks-'));
+
+process.env.LOG_LEVEL = 'error';
+process.env.WEBHOOK_STORE = 'file';
+process.env.WEBHOOK_STORE_PATH = path.join(dataDir, 'webhooks.json');
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_BASE_DELAY = '10';
+process.env.WEBHOOK_DEAD_LETTER_LIMIT = '2';
+
+const { default: WebhookDispatcher, signPayload } = await import('../src/services/webhookDispatcher.js');
+const { emitGatewayEvent } = await import('../src/utils/eventBus.js');
+
+// Receiver answering with the next queued status (200 once the queue is empty)
+let receiver;
+let deliveries = [];
+let statuses = [];
+
+const started = [];
+const createDispatcher = async () => {
+    const dispatcher = new WebhookDispatcher();
+    await dispatcher.start();
+    started.push(dispatcher);
+    return dispatcher;
+};
+
+before(async () => {
+    receiver = await startBackend((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            deliveries.push({ path: req.url, headers: req.headers, body });
+            res.statusCode = statuses.shift() || 200;
+            res.end();
+        });
+    });
+});
+
+afterEach(() => {
+    started.splice(0).forEach(dispatcher => dispatcher.stop());
+    fs.rmSync(process.env.WEBHOOK_STORE_PATH, { force: true });
+    deliveries = [];
+    statuses = [];
+});
+
+after(async () => {
+    await receiver?.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('delivers signed events to matching subscribers only', async () => {
+    const dispatcher = await createDispatcher();
+    const all = await dispatcher.subscribe({ url: `${receiver.url}/all` });
+    await dispatcher.subscribe({ url: `${receiver.url}/paired`, events: ['session.paired'] });
+
+    const event = emitGatewayEvent('server.down', { serverId: 'a' });
+    await waitFor(() => deliveries.length === 1);
+
+    const [delivery] = deliveries;
+    assert.equal(delivery.path, '/all');
+    assert.deepEqual(JSON.parse(delivery.body), event);
+    assert.equal(delivery.headers['x-gateway-event'], 'server.down');
+    assert.equal(delivery.headers['x-gateway-delivery'], event.id);
+    assert.equal(
+        delivery.headers['x-gateway-signature'],
+        signPayload(all.secret, delivery.headers['x-gateway-timestamp'], delivery.body)
+    );
+});
+
+test('retries failed deliveries with backoff', async () => {
+    const dispatcher = await createDispatcher();
+    const subscription = await dispatcher.subscribe({ url: `${receiver.url}/flaky` });
+    statuses = [500, 503];
+
+    assert.equal(await dispatcher.deliver(subscription, { id: 'e1', type: 'server.up' }), true);
+    assert.equal(deliveries.length, 3);
+    assert.deepEqual(dispatcher.getStatus(), {
+        subscriptions: 1, deadLetters: 0, delivered: 1, retried: 2, failed: 0
+    });
+});
+
+test('dead-letters events after the last attempt and keeps the list bounded', async () => {
+    const dispatcher = await createDispatcher();
+    const subscription = await dispatcher.subscribe({ url: `${receiver.url}/down` });
+    statuses = Array(9).fill(500);
+
+    for (const id of ['e1', 'e2', 'e3']) {
+        assert.equal(await dispatcher.deliver(subscription, { id, type: 'server.down' }), false);
+    }
+
+    const deadLetters = dispatcher.getDeadLetters();
+    assert.deepEqual(deadLetters.map(d => d.event.id), ['e2', 'e3']);
+    assert.equal(deadLetters[0].lastError, 'HTTP 500');
+    assert.equal(deadLetters[0].attempts, 3);
+    assert.equal(dispatcher.getStatus().failed, 3);
+});
+
+test('redelivers dead letters while their subscription exists', async () => {
+    const dispatcher = await createDispatcher();
+    const subscription = await dispatcher.subscribe({ url: `${receiver.url}/down` });
+    statuses = Array(6).fill(500);
+    await dispatcher.deliver(subscription, { id: 'e1', type: 'server.down' });
+    await dispatcher.deliver(subscription, { id: 'e2', type: 'server.down' });
+    const [first, second] = dispatcher.getDeadLetters();
+    deliveries = [];
+
+    assert.equal(dispatcher.retryDeadLetter(first.id), first);
+    await waitFor(() => dispatcher.getStatus().delivered === 1);
+    assert.equal(JSON.parse(deliveries[0].body).id, 'e1');
+    assert.deepEqual(dispatcher.getDeadLetters(), [second]);
+
+    assert.throws(() => dispatcher.retryDeadLetter(first.id), { statusCode: 404 });
+    await dispatcher.unsubscribe(subscription.id);
+    assert.throws(() => dispatcher.retryDeadLetter(second.id), { statusCode: 410 });
+});
+
+test('persists subscriptions and masks their secrets', async () => {
+    const dispatcher = await createDispatcher();
+    const subscription = await dispatcher.subscribe({ url: `${receiver.url}/kept`, secret: 'topsecret-value' });
+
+    const reloaded = await createDispatcher();
+    assert.deepEqual(reloaded.listSubscriptions(), [{ ...subscription, secret: 'tops…' }]);
+
+    await reloaded.unsubscribe(subscription.id);
+    await assert.rejects(reloaded.unsubscribe(subscription.id), { statusCode: 404 });
+    assert.equal((await createDispatcher()).getStatus().subscriptions, 0);
+});
+
+test('stops listening for events when stopped', async () => {
+    const dispatcher = await createDispatcher();
+    await dispatcher.subscribe({ url: `${receiver.url}/all` });
+    dispatcher.stop();
+
+    emitGatewayEvent('server.up', { serverId: 'a' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(deliveries.length, 0);
+});